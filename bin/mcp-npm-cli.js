@@ -3,6 +3,7 @@ const { program } = require('commander');
 const chalk = require('chalk');
 const MCPNpmClient = require('../src/mcp-npm-client');
 const MCPNpmServer = require('../src/mcp-npm-server');
+const { startStdioServer } = require('../src/mcp/mcp-protocol-server');
 const path = require('path');
 const fs = require('fs');
 const os = require('os');
@@ -41,29 +42,57 @@ const client = new MCPNpmClient({
 program
   .name('mcp-npm')
   .description('Model Context Protocol for NPM Dependencies in Monorepos')
-  .version('1.0.0');
+  .version('1.0.0')
+  .option('-w, --workspace <name>', 'Workspace to analyze on a server with several workspaces');
+
+// Send the selected workspace with every client request
+program.hook('preAction', () => {
+  client.workspace = program.opts().workspace || null;
+});
 
 // Server commands
 program
   .command('start')
-  .description('Start the MCP NPM Dependencies server')
+  .description('Start the MCP NPM Dependencies server (REST API and MCP over HTTP)')
   .option('-p, --port <number>', 'Port to run the server on', 3000)
   .option('-r, --root <path>', 'Path to monorepo root', process.cwd())
-  .option('-d, --packages-dir <dir>', 'Directory containing packages', 'packages')
+  .option('-d, --packages-dir <dir>', 'Directory containing packages (overrides the workspace globs)')
+  .option('--nx', 'Enable Nx workspace mode (detected from nx.json by default)')
+  .option('--workspaces <file>', 'JSON file listing additional workspaces to serve')
+  .option('--allow-write', 'Let local clients write package.json files and register workspaces')
   .action((options) => {
     console.log(chalk.bold('🚀 Starting MCP NPM Dependencies Server\n'));
     console.log(`Root directory: ${chalk.blue(path.resolve(options.root))}`);
-    console.log(`Packages directory: ${chalk.blue(options.packagesDir)}`);
-    console.log(`Port: ${chalk.blue(options.port)}\n`);
+    console.log(`Packages directory: ${chalk.blue(options.packagesDir || 'from workspace configuration')}`);
+    console.log(`Port: ${chalk.blue(options.port)}`);
+    console.log(`Writes: ${chalk.blue(options.allowWrite ? 'allowed from localhost' : 'disabled (start with --allow-write to enable)')}\n`);
     
-    const server = new MCPNpmServer({
-      port: options.port,
-      monorepoRoot: options.root,
-      packagesDir: options.packagesDir
-    });
+    let server;
+    try {
+      server = new MCPNpmServer({
+        port: options.port,
+        monorepoRoot: options.root,
+        packagesDir: options.packagesDir,
+        nx: options.nx,
+        workspacesFile: options.workspaces,
+        allowWrite: options.allowWrite
+      });
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
     
     server.start();
     
+    // Close MCP sessions and the HTTP server on shutdown
+    const shutdown = async () => {
+      console.log('\nShutting down MCP NPM Dependencies Server...');
+      await server.stop();
+      process.exit(0);
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+    
     // Save config
     saveConfig({
       ...config,
@@ -73,6 +102,29 @@ program
     });
   });
 
+program
+  .command('mcp')
+  .description('Start a Model Context Protocol server over stdio (for Claude Desktop, IDE agents, etc.)')
+  .option('-r, --root <path>', 'Path to monorepo root', process.cwd())
+  .option('-d, --packages-dir <dir>', 'Directory containing packages (overrides the workspace globs)')
+  .option('--nx', 'Enable Nx workspace mode (detected from nx.json by default)')
+  .option('--workspaces <file>', 'JSON file listing additional workspaces to serve')
+  .action(async (options) => {
+    // stdout carries the JSON-RPC stream, so nothing else may be printed to it
+    try {
+      const server = new MCPNpmServer({
+        monorepoRoot: path.resolve(options.root),
+        packagesDir: options.packagesDir,
+        nx: options.nx,
+        workspacesFile: options.workspaces
+      });
+      await startStdioServer(server);
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
 // Client commands
 program
   .command('configure')
@@ -98,7 +150,8 @@ program
   .action(async () => {
     const interactiveClient = new MCPNpmClient({
       baseUrl: config.serverUrl || 'http://localhost:3000/api',
-      interactive: true
+      interactive: true,
+      workspace: program.opts().workspace
     });
     
     try {
@@ -135,13 +188,47 @@ program
     }
   });
 
+program
+  .command('align [dependencies...]')
+  .description('Rewrite package.json files so each inconsistent dependency uses one range')
+  .option('-s, --set <dependency@range...>', 'Range to align a dependency to, instead of the suggested one')
+  .option('--dry-run', 'Print the diff without writing files')
+  .option('-i, --install', 'Refresh the lockfile afterwards')
+  .action(async (dependencies, options) => {
+    try {
+      // "@scope/name@^1.0.0" -> { "@scope/name": "^1.0.0" }
+      const versions = {};
+      (options.set || []).forEach(spec => {
+        const at = spec.indexOf('@', 1);
+        if (at === -1) {
+          throw new Error(`Expected <dependency>@<range>, got: ${spec}`);
+        }
+        versions[spec.slice(0, at)] = spec.slice(at + 1);
+      });
+
+      const data = await client.alignVersions({
+        versions,
+        dependencies,
+        dryRun: Boolean(options.dryRun),
+        install: Boolean(options.install)
+      });
+      client.displayAlignment(data);
+      if (data.install && !data.install.success) {
+        process.exitCode = 1;
+      }
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
 program
   .command('unused')
   .description('Show unused dependencies')
   .option('-p, --package <name>', 'Package name')
   .action(async (options) => {
     try {
-      const data = await client.getUnusedDependencies(options.package);
+      const data = await client.streamUnusedDependencies(options.package, (progress) => client.displayProgress(progress));
       client.displayUnusedDependencies(data);
     } catch (error) {
       console.error(chalk.red(`Error: ${error.message}`));
@@ -189,6 +276,100 @@ program
     }
   });
 
+program
+  .command('duplicates')
+  .description('Show packages installed at more than one version')
+  .action(async () => {
+    try {
+      const data = await client.getDuplicatePackages();
+      client.displayDuplicatePackages(data);
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+program
+  .command('engines')
+  .description('Check engines.node ranges against the supported Node versions (exits with 1 on conflicts)')
+  .option('-n, --node <version>', 'Lowest supported Node version, instead of the one from the root engines.node')
+  .action(async (options) => {
+    try {
+      const data = await client.getEngines(options.node);
+      client.displayEngines(data);
+      if (data.error || data.total > 0) {
+        process.exitCode = 1;
+      }
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+program
+  .command('peers')
+  .description('Check peer dependencies against the versions their consumers provide (exits with 1 on issues)')
+  .action(async () => {
+    try {
+      const data = await client.getPeerDependencies();
+      client.displayPeerDependencies(data);
+      if (data.error || data.total > 0) {
+        process.exitCode = 1;
+      }
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+program
+  .command('drift')
+  .description('Check the lockfile against the package.json files (exits with 1 on drift)')
+  .action(async () => {
+    try {
+      const data = await client.getLockfileDrift();
+      client.displayLockfileDrift(data);
+      if (data.error || !data.inSync) {
+        process.exitCode = 1;
+      }
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+program
+  .command('internal')
+  .description('Check the ranges workspace packages declare on each other (exits with 1 on issues)')
+  .action(async () => {
+    try {
+      const data = await client.getInternalDependencies();
+      client.displayInternalDependencies(data);
+      if (data.issues.length > 0) {
+        process.exitCode = 1;
+      }
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+program
+  .command('policy')
+  .description('Check the package.json files against .mcp-npm-policy.json (exits with 1 on violations)')
+  .action(async () => {
+    try {
+      const data = await client.getPolicyViolations();
+      client.displayPolicyViolations(data);
+      if (data.error || data.total > 0) {
+        process.exitCode = 1;
+      }
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
 program
   .command('security')
   .description('Show security vulnerabilities')
@@ -215,6 +396,19 @@ program
     }
   });
 
+program
+  .command('why <package>')
+  .description('Show the dependency paths from workspace packages to a package (name or name@range)')
+  .action(async (dependency) => {
+    try {
+      const data = await client.explainDependency(dependency);
+      client.displayDependencyPaths(data);
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
 program
   .command('project <name>')
   .description('Show dependencies for a specific project')
@@ -228,6 +422,114 @@ program
     }
   });
 
+// Workspace registry commands
+const workspaces = program
+  .command('workspaces')
+  .description('Manage the workspaces served by the server');
+
+workspaces
+  .command('list', { isDefault: true })
+  .description('List registered workspaces')
+  .action(async () => {
+    try {
+      const data = await client.listWorkspaces();
+      client.displayWorkspaces(data);
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+workspaces
+  .command('add <name> <root>')
+  .description('Register a monorepo with the server')
+  .option('-d, --packages-dir <dir>', 'Directory containing packages (overrides the workspace globs)')
+  .option('--nx', 'Enable Nx workspace mode (detected from nx.json by default)')
+  .action(async (name, root, options) => {
+    try {
+      const data = await client.addWorkspace(name, path.resolve(root), {
+        packagesDir: options.packagesDir,
+        nx: options.nx
+      });
+      console.log(chalk.green(`Workspace ${data.name} registered at ${data.root}`));
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+workspaces
+  .command('remove <name>')
+  .description('Unregister a workspace')
+  .action(async (name) => {
+    try {
+      const data = await client.removeWorkspace(name);
+      console.log(chalk.green(data.message));
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+// Nx workspace commands (the server must run in Nx mode)
+const nx = program
+  .command('nx')
+  .description('Analyze an Nx workspace');
+
+nx
+  .command('projects')
+  .description('List Nx projects')
+  .action(async () => {
+    try {
+      const data = await client.getNxProjects();
+      client.displayNxProjects(data);
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+nx
+  .command('deps <project>')
+  .description('Show npm dependencies imported by an Nx project')
+  .action(async (project) => {
+    try {
+      const data = await client.getNxProjectDependencies(project);
+      client.displayNxProjectDependencies(data);
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+nx
+  .command('package-json <project>')
+  .description('Generate the package.json of an Nx project from its imports and show the diff')
+  .option('--write', 'Write the generated package.json')
+  .action(async (project, options) => {
+    try {
+      const data = await client.generateNxPackageJson(project, { write: Boolean(options.write) });
+      client.displayNxPackageJson(data);
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+nx
+  .command('vuln')
+  .description('Show vulnerabilities by Nx project')
+  .option('-l, --level <level>', 'Minimum vulnerability level (low, moderate, high, critical)')
+  .action(async (options) => {
+    try {
+      const data = await client.getNxVulnerabilities(options.level);
+      client.displayNxVulnerabilities(data);
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
 program
   .command('query <text...>')
   .description('Natural language query')
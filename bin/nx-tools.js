@@ -2,7 +2,26 @@
 
 const { program } = require('commander');
 const path = require('path');
-const { execSync } = require('child_process');
+const NxMonorepoAnalyzer = require('../src/nx/nx-root-analyzer');
+const NxProjectDepsAnalyzer = require('../src/nx/nx-project-deps');
+const { generateDependencyGraph } = require('../src/nx/nx-graph-visualizer');
+const { scanVulnerabilities } = require('../src/nx/nx-vuln-scanner');
+
+/**
+ * Run an analysis and set a non-zero exit code when it fails
+ * @param {Function} task - Async function resolving to true on success
+ */
+async function run(task) {
+  try {
+    const result = await task();
+    if (!result) {
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+  }
+}
 
 program
   .name('nx-tools')
@@ -16,13 +35,19 @@ program
   .option('-o, --output <file>', 'Output HTML file', '')
   .option('-b, --browser', 'Open the generated file in browser', false)
   .option('-d, --reports-dir <dir>', 'Reports directory', 'deps-reports')
-  .action((options) => {
-    const scriptPath = path.join(__dirname, '../src/nx/nx-graph-visualizer.js');
-    const cmd = `node ${scriptPath} generate --root "${options.root}" ${options.output ? `--output "${options.output}"` : ''} ${options.browser ? '--browser' : ''} --reports-dir "${options.reportsDir}"`;
-    
-    console.log(`Executing: ${cmd}`);
-    execSync(cmd, { stdio: 'inherit' });
-  });
+  .action((options) => run(async () => {
+    const result = await generateDependencyGraph({
+      rootDir: path.resolve(options.root),
+      outputFile: options.output,
+      openBrowser: options.browser,
+      reportsDir: options.reportsDir
+    });
+
+    if (result) {
+      console.log(`\n📊 Dependency graph generated successfully`);
+    }
+    return result;
+  }));
 
 program
   .command('deps')
@@ -35,19 +60,49 @@ program
   .option('-p, --project <n>', 'Analyze a specific project')
   .option('-s, --skip-latest', 'Skip fetching latest versions from npm')
   .option('-n, --npm-only', 'Show only npm projects with dependencies')
-  .action((options) => {
-    const scriptPath = path.join(__dirname, '../src/nx/nx-project-deps.js');
-    let cmd;
-    
-    if (options.project) {
-      cmd = `node ${scriptPath} project --root "${options.root}" ${options.verbose ? '--verbose' : ''} --project "${options.project}" ${options.browser ? '--browser' : ''} ${options.skipLatest ? '--skip-latest' : ''} ${options.npmOnly ? '--npm-only' : ''}`;
-    } else {
-      cmd = `node ${scriptPath} project --root "${options.root}" ${options.verbose ? '--verbose' : ''} ${options.output ? `--output "${options.output}"` : ''} ${options.browser ? '--browser' : ''} ${options.skipLatest ? '--skip-latest' : ''} ${options.npmOnly ? '--npm-only' : ''}`;
+  .action((options) => run(() => {
+    const analyzer = new NxProjectDepsAnalyzer({
+      rootDir: path.resolve(options.root),
+      verbose: options.verbose
+    });
+
+    return analyzer.runAnalysis({
+      project: options.project,
+      skipLatest: options.skipLatest,
+      npmOnly: options.npmOnly,
+      output: options.output,
+      browser: options.browser,
+      reportsDir: options.reportsDir
+    });
+  }));
+
+program
+  .command('package-json')
+  .description('Generate the package.json of a project from its imports')
+  .option('-r, --root <path>', 'Path to monorepo root', process.cwd())
+  .requiredOption('-p, --project <n>', 'Project to generate the package.json for')
+  .option('-w, --write', 'Write the generated package.json instead of only printing the diff', false)
+  .option('-v, --verbose', 'Enable verbose output', false)
+  .action((options) => run(() => {
+    const analyzer = new NxProjectDepsAnalyzer({
+      rootDir: path.resolve(options.root),
+      verbose: options.verbose
+    });
+
+    const result = analyzer.generatePackageJson(options.project, { write: options.write });
+    if (!result) {
+      return false;
+    }
+
+    console.log(result.changed ? `\n${result.diff}` : `\n✅ ${result.file} is up to date`);
+    if (result.written) {
+      console.log(`✅ Wrote ${result.file}`);
     }
-    
-    console.log(`Executing: ${cmd}`);
-    execSync(cmd, { stdio: 'inherit' });
-  });
+    result.unresolved.forEach(entry => console.log(`⚠️ Left out ${entry.import}: ${entry.reason}`));
+    result.misplaced.forEach(entry => console.log(`⚠️ ${entry.dependency}: ${entry.reason}`));
+    result.unpinned.forEach(entry => console.log(`ℹ️ ${entry.dependency}@${entry.range}: ${entry.reason}`));
+    return true;
+  }));
 
 program
   .command('analyze')
@@ -59,13 +114,20 @@ program
   .option('-o, --output <file>', 'Output HTML report file', '')
   .option('-b, --browser', 'Open the report in browser', false)
   .option('-d, --reports-dir <dir>', 'Reports directory', 'deps-reports')
-  .action((options) => {
-    const scriptPath = path.join(__dirname, '../src/nx/nx-root-analyzer.js');
-    const cmd = `node ${scriptPath} analyze --root "${options.root}" --apps "${options.apps}" --libs "${options.libs}" ${options.verbose ? '--verbose' : ''} ${options.output ? `--output "${options.output}"` : ''} ${options.browser ? '--browser' : ''} --reports-dir "${options.reportsDir}"`;
-    
-    console.log(`Executing: ${cmd}`);
-    execSync(cmd, { stdio: 'inherit' });
-  });
+  .action((options) => run(() => {
+    const analyzer = new NxMonorepoAnalyzer({
+      rootDir: path.resolve(options.root),
+      appsDir: options.apps,
+      libsDir: options.libs,
+      verbose: options.verbose
+    });
+
+    return analyzer.runAnalysis({
+      output: options.output,
+      browser: options.browser,
+      reportsDir: options.reportsDir
+    });
+  }));
 
 program
   .command('vuln')
@@ -75,17 +137,26 @@ program
   .option('-b, --browser', 'Open the generated report in browser', false)
   .option('-d, --reports-dir <dir>', 'Reports directory', 'deps-reports')
   .option('-l, --level <level>', 'Minimum vulnerability level to report (low, moderate, high, critical)')
-  .action((options) => {
-    const scriptPath = path.join(__dirname, '../src/nx/nx-vuln-scanner.js');
-    const cmd = `node ${scriptPath} scan --root "${options.root}" ${options.output ? `--output "${options.output}"` : ''} ${options.browser ? '--browser' : ''} --reports-dir "${options.reportsDir}" ${options.level ? `--level ${options.level}` : ''}`;
-    
-    console.log(`Executing: ${cmd}`);
-    execSync(cmd, { stdio: 'inherit' });
-  });
+  .action((options) => run(async () => {
+    const result = await scanVulnerabilities({
+      rootDir: path.resolve(options.root),
+      outputFile: options.output,
+      openBrowser: options.browser,
+      reportsDir: options.reportsDir,
+      level: options.level
+    });
 
-program.parse(process.argv);
+    if (result) {
+      console.log(`\n📊 Vulnerability scan completed successfully`);
+    } else {
+      console.log(`\n❌ Vulnerability scan failed`);
+    }
+    return result;
+  }));
 
 // Show help if no command is provided
 if (!process.argv.slice(2).length) {
   program.outputHelp();
-} 
\ No newline at end of file
+} else {
+  program.parseAsync(process.argv);
+}
@@ -1,17 +1,58 @@
 const MCPNpmServer = require('./src/mcp-npm-server');
 const MCPNpmClient = require('./src/mcp-npm-client');
+const NxMonorepoAnalyzer = require('./src/nx/nx-root-analyzer');
+const NxProjectDepsAnalyzer = require('./src/nx/nx-project-deps');
+const { scanVulnerabilities } = require('./src/nx/nx-vuln-scanner');
+const { generateDependencyGraph } = require('./src/nx/nx-graph-visualizer');
 
 module.exports = {
   MCPNpmServer,
   MCPNpmClient,
   
+  /**
+   * Analyzer for the structure of an Nx monorepo with root-level dependencies
+   * (projects, frameworks, project-to-project dependencies, HTML report)
+   * @example new NxMonorepoAnalyzer({ rootDir, appsDir: 'apps', libsDir: 'libs', verbose: false })
+   */
+  NxMonorepoAnalyzer,
+  
+  /**
+   * Analyzer matching each Nx project's imports against the root package.json
+   * @example new NxProjectDepsAnalyzer({ rootDir, verbose: false }).analyzeProject('my-app')
+   */
+  NxProjectDepsAnalyzer,
+  
+  /**
+   * Run npm audit in an Nx monorepo and save an HTML vulnerability report
+   * @param {Object} options
+   * @param {string} options.rootDir - Path to monorepo root
+   * @param {string} [options.outputFile] - Report file (defaults to a timestamped file in reportsDir)
+   * @param {boolean} [options.openBrowser=false] - Open the report in the browser
+   * @param {string} [options.reportsDir='deps-reports'] - Reports directory
+   * @param {string} [options.level] - Minimum vulnerability level (low, moderate, high, critical)
+   * @returns {Promise<boolean>} - Whether the scan succeeded
+   */
+  scanVulnerabilities,
+  
+  /**
+   * Generate an interactive HTML graph of the Nx project dependencies
+   * @param {Object} options
+   * @param {string} options.rootDir - Path to monorepo root
+   * @param {string} [options.outputFile] - Report file (defaults to a timestamped file in reportsDir)
+   * @param {boolean} [options.openBrowser=false] - Open the graph in the browser
+   * @param {string} [options.reportsDir='deps-reports'] - Reports directory
+   * @returns {Promise<boolean>} - Whether the graph was generated
+   */
+  generateDependencyGraph,
+  
   /**
    * Create and start a new MCP NPM Dependencies server
    * @param {Object} options - Server options
    * @param {string} [options.monorepoRoot=process.cwd()] - Path to monorepo root
-   * @param {string} [options.packagesDir='packages'] - Directory containing packages
+   * @param {string} [options.packagesDir] - Directory containing packages, overriding the workspace globs
    * @param {number} [options.port=3000] - Port to run the server on
    * @param {number} [options.cacheTTL=3600000] - Cache TTL in milliseconds
+   * @param {string} [options.workspacesFile] - JSON file listing additional workspaces to serve
    * @returns {MCPNpmServer} - The server instance
    */
   createServer: (options = {}) => {
@@ -25,6 +66,7 @@ module.exports = {
    * @param {Object} options - Client options
    * @param {string} [options.baseUrl='http://localhost:3000/api'] - Server API URL
    * @param {boolean} [options.interactive=false] - Whether to run in interactive mode
+   * @param {string} [options.workspace] - Workspace to analyze on a server with several workspaces
    * @returns {MCPNpmClient} - The client instance
    */
   createClient: (options = {}) => {
@@ -0,0 +1,202 @@
+// Limits for the chain search, which can branch a lot in large lockfiles
+const MAX_CHAINS = 5;
+const MAX_SEARCH_STEPS = 5000;
+
+/**
+ * Installed dependency graph of a monorepo: the workspace packages and every
+ * package of the lockfile, linked by the entries their dependencies resolve to.
+ * Lets analyses explain why a package version is installed.
+ */
+class DependencyGraph {
+  /**
+   * @param {Object} lockfile - Lockfile model (see ./index.js)
+   * @param {Object[]} workspaces - { name, version, location, dependencies: [{ name, range, type }],
+   *   peerDependencies?, peerDependenciesMeta? } for the root package ('' location) and every workspace package
+   */
+  constructor(lockfile, workspaces) {
+    this.lockfile = lockfile;
+    this.nodes = new Map(lockfile.getPackageGraph());
+
+    workspaces.forEach(workspace => {
+      const dependencies = [];
+      workspace.dependencies.forEach(({ name, range, type }) => {
+        const resolved = lockfile.resolveDependency(workspace.location, name, range);
+        if (resolved) {
+          dependencies.push({ name, range, type, id: resolved.id, link: resolved.link, location: resolved.location });
+        }
+      });
+
+      this.nodes.set(workspaceId(workspace.location), {
+        name: workspace.name,
+        version: workspace.version,
+        workspace: true,
+        dependencies,
+        peerDependencies: workspace.peerDependencies || {},
+        peerDependenciesMeta: workspace.peerDependenciesMeta || {}
+      });
+    });
+
+    // Reverse edges: the nodes depending on each node, with the range they ask for
+    this.dependents = new Map();
+    this.nodes.forEach((node, id) => {
+      node.dependencies.forEach(dependency => {
+        const targetId = this.getTargetId(dependency);
+        if (!targetId) {
+          return;
+        }
+        if (!this.dependents.has(targetId)) {
+          this.dependents.set(targetId, []);
+        }
+        this.dependents.get(targetId).push({ id, range: dependency.range });
+      });
+    });
+  }
+
+  /**
+   * ID of the node a dependency resolves to
+   * @param {Object} dependency - { id, link, location } from a node's dependencies
+   * @returns {string|null} - Node ID, or null if it is not in the graph
+   */
+  getTargetId(dependency) {
+    const targetId = dependency.link
+      ? (dependency.location !== undefined ? workspaceId(dependency.location) : null)
+      : dependency.id;
+    return targetId && this.nodes.has(targetId) ? targetId : null;
+  }
+
+  /**
+   * Installed versions of a package (workspace packages excluded)
+   * @param {string} name - Package name
+   * @returns {Map<string, string[]>} - Node IDs by version
+   */
+  getVersions(name) {
+    const versions = new Map();
+    this.nodes.forEach((node, id) => {
+      if (node.name === name && !node.workspace) {
+        if (!versions.has(node.version)) {
+          versions.set(node.version, []);
+        }
+        versions.get(node.version).push(id);
+      }
+    });
+    return versions;
+  }
+
+  /**
+   * Names of all installed packages (workspace packages excluded)
+   * @returns {string[]} - Package names, sorted
+   */
+  getPackageNames() {
+    const names = new Set();
+    this.nodes.forEach(node => {
+      if (!node.workspace) {
+        names.add(node.name);
+      }
+    });
+    return Array.from(names).sort();
+  }
+
+  /**
+   * Nodes depending directly on a node
+   * @param {string} id - Node ID
+   * @returns {Object[]} - { id, range }, with a null range when the lockfile does not record it
+   */
+  getDependents(id) {
+    return this.dependents.get(id) || [];
+  }
+
+  /**
+   * Peer dependencies of a node
+   * @param {string} id - Node ID
+   * @returns {Object[]} - { name, range, optional }
+   */
+  getPeers(id) {
+    const node = this.nodes.get(id);
+    if (!node || !node.peerDependencies) {
+      return [];
+    }
+    return Object.entries(node.peerDependencies).map(([name, range]) => ({
+      name,
+      range: String(range),
+      optional: Boolean(node.peerDependenciesMeta && node.peerDependenciesMeta[name] && node.peerDependenciesMeta[name].optional)
+    }));
+  }
+
+  /**
+   * Dependency chains from a workspace package to a node, shortest first
+   * @param {string} id - Node ID
+   * @param {Object} [options]
+   * @param {number} [options.limit=5] - Maximum number of chains
+   * @param {boolean} [options.throughWorkspaces=false] - Also follow workspace packages up to the
+   *   workspace packages depending on them, instead of stopping at the first one
+   * @returns {string[][]} - Node IDs of each chain, starting with a workspace package
+   */
+  findChains(id, options = {}) {
+    const { limit = MAX_CHAINS, throughWorkspaces = false } = options;
+    const chains = [];
+    const queue = [[id]];
+    let steps = 0;
+
+    // Breadth-first search up the reverse edges
+    while (queue.length > 0 && chains.length < limit && steps < MAX_SEARCH_STEPS) {
+      const chain = queue.shift();
+      steps++;
+
+      if (this.nodes.get(chain[0]).workspace) {
+        chains.push(chain);
+        if (!throughWorkspaces) {
+          continue;
+        }
+      }
+
+      this.getDependents(chain[0]).forEach(dependent => {
+        if (!chain.includes(dependent.id)) {
+          queue.push([dependent.id, ...chain]);
+        }
+      });
+    }
+
+    return chains;
+  }
+
+  /**
+   * Steps of a chain after its first node, with the range and dependency type
+   * each package was required with by the previous one
+   * @param {string[]} chain - Node IDs, as returned by findChains
+   * @returns {Object[]} - { name, version, workspace, range, type }, with a null range
+   *   when the lockfile does not record it
+   */
+  describeHops(chain) {
+    return chain.slice(1).map((id, index) => {
+      const node = this.nodes.get(id);
+      const dependency = this.nodes.get(chain[index]).dependencies
+        .find(candidate => this.getTargetId(candidate) === id) || {};
+      return {
+        name: node.name,
+        version: node.version,
+        workspace: Boolean(node.workspace),
+        range: dependency.range,
+        type: dependency.type
+      };
+    });
+  }
+
+  /**
+   * Human readable label of a node: "lodash@4.17.21", or the workspace package name
+   * @param {string} id - Node ID
+   * @returns {string} - Label
+   */
+  describe(id) {
+    const node = this.nodes.get(id);
+    if (!node) {
+      return id;
+    }
+    return node.workspace || !node.version ? node.name : `${node.name}@${node.version}`;
+  }
+}
+
+function workspaceId(location) {
+  return `workspace:${(location || '').replace(/\\/g, '/') || '.'}`;
+}
+
+module.exports = DependencyGraph;
@@ -0,0 +1,31 @@
+const NpmLockfile = require('./npm-lockfile');
+const YarnLockfile = require('./yarn-lockfile');
+const PnpmLockfile = require('./pnpm-lockfile');
+const { detectPackageManager } = require('./package-manager');
+const DependencyGraph = require('./dependency-graph');
+
+const LOCKFILE_CLASSES = {
+  npm: NpmLockfile,
+  yarn: YarnLockfile,
+  pnpm: PnpmLockfile
+};
+
+/**
+ * Load the lockfile of a monorepo, using the parser of its package manager
+ * @param {string} rootDir - Path to monorepo root
+ * @returns {Object|null} - Lockfile model with resolveDependency(location, name, range),
+ *   getPackages() and getPackageGraph(), or null if there is none
+ */
+function loadLockfile(rootDir) {
+  const packageManager = detectPackageManager(rootDir);
+  return LOCKFILE_CLASSES[packageManager.name].read(rootDir);
+}
+
+module.exports = {
+  NpmLockfile,
+  YarnLockfile,
+  PnpmLockfile,
+  detectPackageManager,
+  loadLockfile,
+  DependencyGraph
+};
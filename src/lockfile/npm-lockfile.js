@@ -0,0 +1,185 @@
+const fs = require('fs');
+const path = require('path');
+
+const LOCKFILE_NAMES = ['npm-shrinkwrap.json', 'package-lock.json'];
+
+// npm 7+ installs peer dependencies too
+const PACKAGE_DEPENDENCY_FIELDS = ['dependencies', 'optionalDependencies', 'peerDependencies'];
+
+/**
+ * Model of an npm lockfile (package-lock.json or npm-shrinkwrap.json, lockfileVersion 2 or 3).
+ *
+ * The "packages" section maps install locations to entries:
+ *   ""                              - the root package
+ *   "packages/api"                  - a workspace package
+ *   "node_modules/@acme/api"        - link to a workspace ({ link: true, resolved: "packages/api" })
+ *   "node_modules/lodash"           - hoisted dependency
+ *   "packages/api/node_modules/x"   - dependency nested under a workspace or another package
+ * Dependencies are resolved from those locations with the Node.js module lookup.
+ */
+class NpmLockfile {
+  /**
+   * @param {Object} lockData - Parsed lockfile JSON
+   * @param {string} [filename='package-lock.json'] - Name of the lockfile
+   */
+  constructor(lockData, filename = 'package-lock.json') {
+    if (!lockData || !lockData.packages) {
+      throw new Error(`Unsupported ${filename} (lockfileVersion ${lockData && lockData.lockfileVersion}): only lockfileVersion 2 and 3 are supported`);
+    }
+
+    this.type = 'npm';
+    this.filename = filename;
+    this.lockfileVersion = lockData.lockfileVersion;
+    this.packages = lockData.packages;
+  }
+
+  /**
+   * Read the npm lockfile in a directory (npm-shrinkwrap.json wins over package-lock.json)
+   * @param {string} rootDir - Directory containing the lockfile
+   * @returns {NpmLockfile|null} - The lockfile, or null if there is none
+   */
+  static read(rootDir) {
+    const filename = LOCKFILE_NAMES.find(name => fs.existsSync(path.join(rootDir, name)));
+    if (!filename) {
+      return null;
+    }
+
+    const lockData = JSON.parse(fs.readFileSync(path.join(rootDir, filename), 'utf8'));
+    return new NpmLockfile(lockData, filename);
+  }
+
+  /**
+   * Workspace packages recorded in the lockfile
+   * @returns {Object[]} - { name, version, location } for every workspace
+   */
+  getWorkspaces() {
+    return Object.entries(this.packages)
+      .filter(([location, entry]) => location.startsWith('node_modules/') && entry.link)
+      .map(([location, entry]) => ({
+        name: location.slice('node_modules/'.length),
+        version: (this.packages[entry.resolved] || {}).version,
+        location: entry.resolved
+      }));
+  }
+
+  /**
+   * Every installed package version (workspace links excluded)
+   * @returns {Object[]} - { name, version }, one per distinct name and version
+   */
+  getPackages() {
+    const packages = new Map();
+    Object.entries(this.packages).forEach(([location, entry]) => {
+      const index = location.lastIndexOf('node_modules/');
+      if (index === -1 || entry.link || !entry.version) {
+        return;
+      }
+      const name = entry.name || location.slice(index + 'node_modules/'.length);
+      packages.set(`${name}@${entry.version}`, { name, version: entry.version });
+    });
+    return Array.from(packages.values());
+  }
+
+  /**
+   * Installed packages with the entries their dependencies resolve to (workspaces excluded)
+   * @returns {Map<string, Object>} - { name, version, dependencies: [{ name, range, type, id, link, location }],
+   *   peerDependencies, peerDependenciesMeta, engines } by location
+   */
+  getPackageGraph() {
+    const graph = new Map();
+    Object.entries(this.packages).forEach(([location, entry]) => {
+      const index = location.lastIndexOf('node_modules/');
+      if (index === -1 || entry.link) {
+        return;
+      }
+
+      const dependencies = [];
+      PACKAGE_DEPENDENCY_FIELDS.forEach(field => {
+        Object.entries(entry[field] || {}).forEach(([name, range]) => {
+          // Optional (peer) dependencies may not be installed
+          const resolved = this.resolveDependency(location, name);
+          if (resolved) {
+            dependencies.push({ name, range, type: field, id: resolved.id, link: resolved.link, location: resolved.location });
+          }
+        });
+      });
+
+      graph.set(location, {
+        name: entry.name || location.slice(index + 'node_modules/'.length),
+        version: entry.version,
+        dependencies,
+        peerDependencies: entry.peerDependencies || {},
+        peerDependenciesMeta: entry.peerDependenciesMeta || {},
+        engines: entry.engines || null
+      });
+    });
+    return graph;
+  }
+
+  /**
+   * Find the entry a package at `fromLocation` gets when it requires `name`,
+   * looking in node_modules of the location and then of each parent directory
+   * @param {string} fromLocation - Location of the requiring package, relative to the root ('' for the root)
+   * @param {string} name - Dependency name
+   * @returns {Object|null} - { id, version, location, resolved, integrity, link }
+   */
+  resolveDependency(fromLocation, name) {
+    let dir = toLockfilePath(fromLocation);
+
+    while (true) {
+      const location = dir ? `${dir}/node_modules/${name}` : `node_modules/${name}`;
+      const entry = this.packages[location];
+      if (entry) {
+        return this.describeEntry(location, entry);
+      }
+      if (!dir) {
+        return null;
+      }
+      dir = parentLocation(dir);
+    }
+  }
+
+  describeEntry(location, entry) {
+    if (entry.link) {
+      const target = this.packages[entry.resolved] || {};
+      return {
+        version: target.version,
+        location: entry.resolved,
+        link: true
+      };
+    }
+
+    return {
+      id: location,
+      version: entry.version,
+      location,
+      resolved: entry.resolved,
+      integrity: entry.integrity,
+      link: false
+    };
+  }
+}
+
+/**
+ * Lockfile locations always use forward slashes and no leading "./"
+ */
+function toLockfilePath(location) {
+  return (location || '').replace(/\\/g, '/').replace(/^\.(\/|$)/, '').replace(/\/+$/, '');
+}
+
+/**
+ * Directory whose node_modules is searched after the one of `location`
+ * ("a/node_modules/@scope/b" -> "a", "packages/api" -> "packages")
+ */
+function parentLocation(location) {
+  const segments = location.split('/');
+  segments.pop();
+  if (segments.length >= 2 && segments[segments.length - 1].startsWith('@') && segments[segments.length - 2] === 'node_modules') {
+    segments.pop();
+  }
+  if (segments[segments.length - 1] === 'node_modules') {
+    segments.pop();
+  }
+  return segments.join('/');
+}
+
+module.exports = NpmLockfile;
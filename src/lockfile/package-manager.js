@@ -0,0 +1,54 @@
+const fs = require('fs');
+const path = require('path');
+
+// Checked in order: a repo with several lockfiles is most likely managed by the less common one
+const LOCKFILES = [
+  { name: 'pnpm', filename: 'pnpm-lock.yaml' },
+  { name: 'yarn', filename: 'yarn.lock' },
+  { name: 'npm', filename: 'npm-shrinkwrap.json' },
+  { name: 'npm', filename: 'package-lock.json' }
+];
+
+const PACKAGE_MANAGER_PATTERN = /^(npm|yarn|pnpm)@([^+\s]+)/;
+
+/**
+ * Detect the package manager of a monorepo. The "packageManager" field of the
+ * root package.json (Corepack, e.g. "yarn@4.1.0+sha512...") wins over the lockfile.
+ * @param {string} rootDir - Path to monorepo root
+ * @returns {Object} - { name, version, lockfile, source }, where source is
+ *   'packageManager', 'lockfile' or 'default'
+ */
+function detectPackageManager(rootDir) {
+  const lockfile = LOCKFILES.find(candidate => fs.existsSync(path.join(rootDir, candidate.filename)));
+
+  let packageManagerField = null;
+  try {
+    const packageJson = JSON.parse(fs.readFileSync(path.join(rootDir, 'package.json'), 'utf8'));
+    packageManagerField = typeof packageJson.packageManager === 'string' ? packageJson.packageManager : null;
+  } catch (error) {
+    // No readable package.json: fall back to the lockfile
+  }
+
+  const match = packageManagerField && packageManagerField.match(PACKAGE_MANAGER_PATTERN);
+  if (match) {
+    const name = match[1];
+    const ownLockfile = LOCKFILES.find(candidate =>
+      candidate.name === name && fs.existsSync(path.join(rootDir, candidate.filename)));
+    return {
+      name,
+      version: match[2],
+      lockfile: ownLockfile ? ownLockfile.filename : null,
+      source: 'packageManager'
+    };
+  }
+
+  if (lockfile) {
+    return { name: lockfile.name, version: null, lockfile: lockfile.filename, source: 'lockfile' };
+  }
+
+  return { name: 'npm', version: null, lockfile: null, source: 'default' };
+}
+
+module.exports = {
+  detectPackageManager
+};
@@ -0,0 +1,207 @@
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+
+const DEPENDENCY_FIELDS = ['dependencies', 'devDependencies', 'optionalDependencies'];
+const PACKAGE_DEPENDENCY_FIELDS = ['dependencies', 'optionalDependencies'];
+
+/**
+ * Model of a pnpm-lock.yaml (lockfileVersion 5.x, 6.x and 9.x).
+ *
+ * "importers" holds one entry per workspace package ("." for the root) with
+ * the specifier and version of each of its dependencies:
+ *   5.x:       specifiers: { lodash: ^4.17.0 }, dependencies: { lodash: 4.17.21 }
+ *   6.x, 9.x:  dependencies: { lodash: { specifier: ^4.17.0, version: 4.17.21 } }
+ * Versions may carry a peer dependency suffix ("7.0.0(react@18.2.0)" or
+ * "7.0.0_react@18.2.0"), and workspace dependencies are "link:../api".
+ */
+class PnpmLockfile {
+  /**
+   * @param {string} content - Contents of the pnpm-lock.yaml
+   * @param {string} [filename='pnpm-lock.yaml'] - Name of the lockfile
+   */
+  constructor(content, filename = 'pnpm-lock.yaml') {
+    // pnpm may prepend documents (e.g. config dependencies) to the lockfile
+    const documents = YAML.parseAllDocuments(content).map(document => document.toJSON() || {});
+    const lockData = documents.reverse().find(document => document.lockfileVersion !== undefined) || {};
+
+    this.type = 'pnpm';
+    this.filename = filename;
+    this.lockfileVersion = lockData.lockfileVersion !== undefined ? String(lockData.lockfileVersion) : null;
+    // Lockfiles of single-package repos keep the root dependencies at the top level
+    this.importers = lockData.importers || { '.': lockData };
+    this.packages = lockData.packages || {};
+    // Since 9.x the dependencies of each package (per peer variant) are under "snapshots"
+    this.snapshots = lockData.snapshots || null;
+  }
+
+  /**
+   * Read the pnpm-lock.yaml in a directory
+   * @param {string} rootDir - Directory containing the lockfile
+   * @returns {PnpmLockfile|null} - The lockfile, or null if there is none
+   */
+  static read(rootDir) {
+    const lockfilePath = path.join(rootDir, 'pnpm-lock.yaml');
+    if (!fs.existsSync(lockfilePath)) {
+      return null;
+    }
+    return new PnpmLockfile(fs.readFileSync(lockfilePath, 'utf8'));
+  }
+
+  /**
+   * Every installed package version
+   * @returns {Object[]} - { name, version }, one per distinct name and version
+   */
+  getPackages() {
+    const packages = new Map();
+    Object.keys(this.packages).forEach(key => {
+      const pkg = parsePackageKey(key);
+      if (pkg) {
+        packages.set(`${pkg.name}@${pkg.version}`, pkg);
+      }
+    });
+    return Array.from(packages.values());
+  }
+
+  /**
+   * Installed packages with the entries their dependencies resolve to (workspaces excluded)
+   * @returns {Map<string, Object>} - { name, version, dependencies: [{ name, range: null, type, id }],
+   *   peerDependencies, peerDependenciesMeta, engines } by package key
+   */
+  getPackageGraph() {
+    const source = this.snapshots || this.packages;
+    const graph = new Map();
+    Object.entries(source).forEach(([key, entry]) => {
+      const pkg = parsePackageKey(key);
+      if (!pkg) {
+        return;
+      }
+
+      // pnpm records the resolved version of transitive dependencies, not the declared range,
+      // so their range is left null rather than passing the version off as one
+      const dependencies = [];
+      PACKAGE_DEPENDENCY_FIELDS.forEach(field => {
+        Object.entries((entry && entry[field]) || {}).forEach(([name, reference]) => {
+          const id = this.toPackageKey(name, String(reference));
+          if (source[id] !== undefined) {
+            dependencies.push({ name, range: null, type: field, id, link: false });
+          }
+        });
+      });
+
+      // Snapshots list the resolved peers with the dependencies; the declared ranges (and engines) stay under "packages"
+      const metadata = (this.snapshots ? this.packages[key.split('(')[0]] : entry) || {};
+      graph.set(key, {
+        name: pkg.name,
+        version: pkg.version,
+        dependencies,
+        peerDependencies: metadata.peerDependencies || {},
+        peerDependenciesMeta: metadata.peerDependenciesMeta || {},
+        engines: metadata.engines || null
+      });
+    });
+    return graph;
+  }
+
+  /**
+   * Key of the "packages" (or "snapshots") entry a dependency reference points to
+   * @param {string} name - Dependency name
+   * @param {string} reference - Version reference ("4.17.21", "7.0.0(react@18.2.0)", or a package path for aliases)
+   * @returns {string} - Package key
+   */
+  toPackageKey(name, reference) {
+    if (!/^\d/.test(reference)) {
+      return reference;
+    }
+
+    const majorVersion = parseInt(this.lockfileVersion, 10);
+    if (majorVersion >= 9) {
+      return `${name}@${reference}`;
+    }
+    return majorVersion >= 6 ? `/${name}@${reference}` : `/${name}/${reference}`;
+  }
+
+  /**
+   * Find the version a workspace package gets for one of its dependencies
+   * @param {string} location - Location of the workspace package, relative to the root ('' for the root)
+   * @param {string} name - Dependency name
+   * @param {string} [range] - Declared range, checked against the specifier the importer was locked with
+   * @returns {Object|null} - { id, version, link }, or { version, location, link } for workspace links;
+   *   null if the dependency was locked for another range (e.g. it was edited without reinstalling)
+   */
+  resolveDependency(location, name, range) {
+    const importerId = toImporterId(location);
+    const importer = this.importers[importerId];
+    if (!importer) {
+      return null;
+    }
+
+    const field = DEPENDENCY_FIELDS.find(type => importer[type] && importer[type][name] !== undefined);
+    if (!field) {
+      return null;
+    }
+
+    const spec = importer[field][name];
+    // 5.x keeps the specifiers in a map of their own
+    const specifier = typeof spec === 'object' ? spec.specifier : (importer.specifiers || {})[name];
+    if (range && specifier !== undefined && String(specifier) !== range) {
+      return null;
+    }
+
+    const rawVersion = String(typeof spec === 'object' ? spec.version : spec);
+
+    if (rawVersion.startsWith('link:')) {
+      return {
+        version: undefined,
+        location: path.posix.normalize(path.posix.join(importerId, rawVersion.slice('link:'.length))),
+        link: true
+      };
+    }
+
+    return {
+      id: this.toPackageKey(name, rawVersion),
+      version: parseVersion(rawVersion),
+      link: false
+    };
+  }
+}
+
+function toImporterId(location) {
+  return (location || '').replace(/\\/g, '/').replace(/\/+$/, '') || '.';
+}
+
+/**
+ * Version from an importer reference: "4.17.21", "7.0.0(react@18.2.0)",
+ * "7.0.0_react@18.2.0", or a package path for aliases ("/string-width/4.2.3", "string-width@4.2.3")
+ */
+function parseVersion(reference) {
+  if (/^\d/.test(reference)) {
+    return reference.split(/[(_]/)[0];
+  }
+  const pkg = parsePackageKey(reference);
+  return pkg ? pkg.version : reference;
+}
+
+/**
+ * Name and version from a "packages" key:
+ *   5.x: "/lodash/4.17.21", "/@babel/core/7.0.0_react@18.2.0"
+ *   6.x: "/lodash@4.17.21", "/@babel/core@7.0.0(react@18.2.0)"
+ *   9.x: "lodash@4.17.21"
+ */
+function parsePackageKey(key) {
+  const packagePath = key.split('(')[0].replace(/^\//, '');
+
+  const pathMatch = packagePath.match(/^(@[^/@]+\/[^/@]+|[^/@]+)\/([^/]+)$/);
+  if (pathMatch) {
+    return { name: pathMatch[1], version: pathMatch[2].split('_')[0] };
+  }
+
+  const at = packagePath.lastIndexOf('@');
+  if (at > 0) {
+    return { name: packagePath.slice(0, at), version: packagePath.slice(at + 1) };
+  }
+
+  return null;
+}
+
+module.exports = PnpmLockfile;
@@ -0,0 +1,238 @@
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+
+const PACKAGE_DEPENDENCY_FIELDS = ['dependencies', 'optionalDependencies'];
+
+/**
+ * Model of a yarn.lock, either Yarn classic (v1) or Yarn Berry (v2+).
+ *
+ * Both formats map descriptors to the resolved package:
+ *   classic: "lodash@^4.17.0", lodash@^4.17.21:   version "4.17.21"
+ *   Berry:   "lodash@npm:^4.17.0, lodash@npm:^4.17.21":   version: 4.17.21
+ * so a dependency is resolved from its name and declared range. Berry also
+ * records the workspaces themselves ("@acme/api@workspace:packages/api").
+ */
+class YarnLockfile {
+  /**
+   * @param {string} content - Contents of the yarn.lock
+   * @param {string} [filename='yarn.lock'] - Name of the lockfile
+   */
+  constructor(content, filename = 'yarn.lock') {
+    this.type = 'yarn';
+    this.filename = filename;
+    this.berry = /^__metadata:/m.test(content);
+
+    let entries;
+    if (this.berry) {
+      const lockData = YAML.parse(content) || {};
+      this.lockfileVersion = Number(lockData.__metadata && lockData.__metadata.version) || null;
+      delete lockData.__metadata;
+      entries = lockData;
+    } else {
+      this.lockfileVersion = 1;
+      entries = parseClassicLockfile(content);
+    }
+
+    // Index entries by every descriptor they resolve
+    this.entries = new Map();
+    Object.entries(entries).forEach(([key, entry]) => {
+      key.split(',').map(descriptor => unquote(descriptor.trim())).filter(Boolean).forEach(descriptor => {
+        this.entries.set(descriptor, entry);
+      });
+    });
+  }
+
+  /**
+   * Read the yarn.lock in a directory
+   * @param {string} rootDir - Directory containing the lockfile
+   * @returns {YarnLockfile|null} - The lockfile, or null if there is none
+   */
+  static read(rootDir) {
+    const lockfilePath = path.join(rootDir, 'yarn.lock');
+    if (!fs.existsSync(lockfilePath)) {
+      return null;
+    }
+    return new YarnLockfile(fs.readFileSync(lockfilePath, 'utf8'));
+  }
+
+  /**
+   * Every installed package version (workspaces excluded)
+   * @returns {Object[]} - { name, version }, one per distinct name and version
+   */
+  getPackages() {
+    const packages = new Map();
+    this.entries.forEach((entry, descriptor) => {
+      const { name, range } = parseDescriptor(descriptor);
+      // Berry merges "@acme/api@npm:^1.0.0" into the workspace entry when the workspace satisfies it
+      if (entry.version && !isWorkspaceRange(range) && entry.linkType !== 'soft') {
+        packages.set(`${name}@${entry.version}`, { name, version: String(entry.version) });
+      }
+    });
+    return Array.from(packages.values());
+  }
+
+  /**
+   * Installed packages with the entries their dependencies resolve to (workspaces excluded)
+   * @returns {Map<string, Object>} - { name, version, dependencies: [{ name, range, type, id, link, location }],
+   *   peerDependencies, peerDependenciesMeta } by entry ID (Yarn classic doesn't record peer dependencies,
+   *   and no yarn.lock records engines)
+   */
+  getPackageGraph() {
+    const graph = new Map();
+    this.entries.forEach((entry, descriptor) => {
+      const { name, range } = parseDescriptor(descriptor);
+      const id = entryId(name, entry);
+      if (graph.has(id) || isWorkspaceRange(range) || entry.linkType === 'soft') {
+        return;
+      }
+
+      const dependencies = [];
+      PACKAGE_DEPENDENCY_FIELDS.forEach(field => {
+        Object.entries(entry[field] || {}).forEach(([dependencyName, dependencyRange]) => {
+          const resolved = this.resolveDependency(null, dependencyName, String(dependencyRange));
+          if (resolved) {
+            dependencies.push({
+              name: dependencyName,
+              range: String(dependencyRange),
+              type: field,
+              id: resolved.id,
+              link: resolved.link,
+              location: resolved.location
+            });
+          }
+        });
+      });
+
+      graph.set(id, {
+        name,
+        version: String(entry.version),
+        dependencies,
+        peerDependencies: entry.peerDependencies || {},
+        peerDependenciesMeta: entry.peerDependenciesMeta || {}
+      });
+    });
+    return graph;
+  }
+
+  /**
+   * Find the entry resolved for a dependency declared as `name@range`.
+   * Yarn locks are flat, so the location of the requiring package is not needed.
+   * @param {string} location - Location of the requiring package, relative to the root (unused)
+   * @param {string} name - Dependency name
+   * @param {string} [range] - Declared range; without it the first entry for the name is used
+   * @returns {Object|null} - { id, version, resolved, integrity, link }, or { version, location, link } for workspaces;
+   *   null if the lockfile has no entry for the range (e.g. it was edited without reinstalling)
+   */
+  resolveDependency(location, name, range) {
+    let entry = null;
+
+    if (range) {
+      // Berry adds the npm: protocol to plain semver ranges
+      entry = this.entries.get(`${name}@${range}`) ||
+        (this.berry && !/^[a-z]+:/.test(range) ? this.entries.get(`${name}@npm:${range}`) : null);
+    } else {
+      const descriptor = Array.from(this.entries.keys()).find(key => parseDescriptor(key).name === name);
+      entry = descriptor ? this.entries.get(descriptor) : null;
+    }
+    if (!entry) {
+      return null;
+    }
+
+    // Berry resolves workspaces to "name@workspace:packages/api"
+    const resolution = entry.resolution ? parseDescriptor(entry.resolution).range : range;
+    if (isWorkspaceRange(resolution) || entry.linkType === 'soft') {
+      const location = resolution && resolution.replace(/^(workspace|link):/, '');
+      return {
+        version: entry.version !== undefined ? String(entry.version) : undefined,
+        location: location && !/^[\^~*]/.test(location) ? location : undefined,
+        link: true
+      };
+    }
+
+    return {
+      id: entryId(name, entry),
+      version: entry.version !== undefined ? String(entry.version) : undefined,
+      resolved: entry.resolved || entry.resolution,
+      integrity: entry.integrity || entry.checksum,
+      link: false
+    };
+  }
+}
+
+/**
+ * Split "name@range" (the name may be scoped, the range may itself contain "@")
+ */
+function parseDescriptor(descriptor) {
+  const at = descriptor.indexOf('@', 1);
+  return at === -1
+    ? { name: descriptor, range: '' }
+    : { name: descriptor.slice(0, at), range: descriptor.slice(at + 1) };
+}
+
+/**
+ * Unique ID of a lockfile entry: its Berry resolution ("lodash@npm:4.17.21"),
+ * or name and version for Yarn classic, which has a single entry per version
+ */
+function entryId(name, entry) {
+  return entry.resolution || `${name}@${entry.version}`;
+}
+
+function isWorkspaceRange(range) {
+  return typeof range === 'string' && (range.startsWith('workspace:') || range.startsWith('link:'));
+}
+
+function unquote(value) {
+  return value.replace(/^"(.*)"$/, '$1');
+}
+
+/**
+ * Parse the Yarn classic lockfile format: top-level descriptor lists ending in ":",
+ * indented "key value" fields and "key:" blocks (dependencies) one level deeper
+ * @param {string} content - Contents of the yarn.lock
+ * @returns {Object} - Entries by descriptor list
+ */
+function parseClassicLockfile(content) {
+  const entries = {};
+  let current = null;
+  let block = null;
+
+  content.split(/\r?\n/).forEach(line => {
+    if (!line.trim() || line.trim().startsWith('#')) {
+      return;
+    }
+
+    const indent = line.length - line.trimStart().length;
+    const text = line.trim();
+
+    if (indent === 0) {
+      current = {};
+      block = null;
+      entries[text.replace(/:$/, '')] = current;
+      return;
+    }
+    if (!current) {
+      return;
+    }
+
+    if (indent === 2 && text.endsWith(':')) {
+      block = {};
+      current[unquote(text.slice(0, -1))] = block;
+      return;
+    }
+
+    const match = text.match(/^("[^"]+"|\S+)\s+(.*)$/);
+    if (!match) {
+      return;
+    }
+    const target = indent > 2 && block ? block : current;
+    if (indent === 2) {
+      block = null;
+    }
+    target[unquote(match[1])] = unquote(match[2]);
+  });
+
+  return entries;
+}
+
+module.exports = YarnLockfile;
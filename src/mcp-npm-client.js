@@ -7,16 +7,22 @@ class MCPNpmClient {
   constructor(options = {}) {
     this.baseUrl = options.baseUrl || 'http://localhost:3000/api';
     this.interactive = options.interactive || false;
+    this.workspace = options.workspace || null; // Sent as ?workspace= with every request
   }
 
-  async makeRequest(endpoint, method = 'GET', data = null) {
+  requestParams() {
+    return this.workspace ? { workspace: this.workspace } : undefined;
+  }
+
+  async makeRequest(endpoint, method = 'GET', data = null, timeout = 30000) {
     try {
       const url = `${this.baseUrl}${endpoint}`;
       const response = await axios({
         method,
         url,
         data,
-        timeout: 30000 // 30 seconds timeout
+        params: this.requestParams(),
+        timeout // 30 seconds by default
       });
       return response.data;
     } catch (error) {
@@ -30,6 +36,18 @@ class MCPNpmClient {
     }
   }
 
+  async listWorkspaces() {
+    return this.makeRequest('/workspaces');
+  }
+
+  async addWorkspace(name, root, options = {}) {
+    return this.makeRequest('/workspaces', 'POST', { name, root, ...options });
+  }
+
+  async removeWorkspace(name) {
+    return this.makeRequest(`/workspaces/${encodeURIComponent(name)}`, 'DELETE');
+  }
+
   async getStructure() {
     return this.makeRequest('/structure');
   }
@@ -38,11 +56,92 @@ class MCPNpmClient {
     return this.makeRequest('/inconsistencies');
   }
 
+  async alignVersions(options = {}) {
+    // Refreshing the lockfile can take a few minutes
+    return this.makeRequest('/inconsistencies/fix', 'POST', options, options.install ? 600000 : 30000);
+  }
+
   async getUnusedDependencies(packageName = null) {
     const endpoint = packageName ? `/unused?package=${encodeURIComponent(packageName)}` : '/unused';
     return this.makeRequest(endpoint);
   }
 
+  /**
+   * Run the unused dependency analysis through the streaming endpoint,
+   * reporting per-package progress while it runs
+   * @param {string} [packageName] - Package to check (defaults to all packages)
+   * @param {Function} [onProgress] - Called with { progress, total, message }
+   * @returns {Promise<Object>} - The analysis result
+   */
+  async streamUnusedDependencies(packageName = null, onProgress = () => {}) {
+    const endpoint = packageName ? `/unused/stream?package=${encodeURIComponent(packageName)}` : '/unused/stream';
+    return this.streamRequest(endpoint, onProgress);
+  }
+
+  async cancelAnalysis(id) {
+    return this.makeRequest(`/analyses/${encodeURIComponent(id)}/cancel`, 'POST');
+  }
+
+  /**
+   * Read a Server-Sent Events analysis stream until its final event
+   */
+  async streamRequest(endpoint, onProgress) {
+    let response;
+    try {
+      response = await axios({
+        method: 'GET',
+        url: `${this.baseUrl}${endpoint}`,
+        params: this.requestParams(),
+        responseType: 'stream',
+        headers: { Accept: 'text/event-stream' }
+      });
+    } catch (error) {
+      if (error.response) {
+        throw new Error(`API Error (${error.response.status})`);
+      }
+      throw new Error(`Network Error: No response received. Is the server running?`);
+    }
+
+    return new Promise((resolve, reject) => {
+      let buffer = '';
+
+      const handleEvent = (rawEvent) => {
+        const event = (rawEvent.match(/^event: (.*)$/m) || [])[1];
+        const data = (rawEvent.match(/^data: (.*)$/m) || [])[1];
+        const payload = data ? JSON.parse(data) : {};
+
+        switch (event) {
+          case 'started':
+            this.currentAnalysisId = payload.id;
+            break;
+          case 'progress':
+            onProgress(payload);
+            break;
+          case 'result':
+            resolve(payload);
+            break;
+          case 'cancelled':
+            reject(new Error('Analysis cancelled'));
+            break;
+          case 'error':
+            reject(new Error(`API Error: ${payload.error}`));
+            break;
+        }
+      };
+
+      response.data.on('data', (chunk) => {
+        buffer += chunk.toString();
+        let separator;
+        while ((separator = buffer.indexOf('\n\n')) !== -1) {
+          handleEvent(buffer.slice(0, separator));
+          buffer = buffer.slice(separator + 2);
+        }
+      });
+      response.data.on('end', () => reject(new Error('Stream ended before the analysis completed')));
+      response.data.on('error', (error) => reject(new Error(`Stream Error: ${error.message}`)));
+    });
+  }
+
   async getOutdatedDependencies() {
     return this.makeRequest('/outdated');
   }
@@ -56,6 +155,35 @@ class MCPNpmClient {
     return this.makeRequest('/circular');
   }
 
+  async getDuplicatePackages() {
+    return this.makeRequest('/duplicates');
+  }
+
+  async explainDependency(dependency) {
+    return this.makeRequest(`/why/${encodeURIComponent(dependency)}`);
+  }
+
+  async getEngines(node = null) {
+    const endpoint = node ? `/engines?node=${encodeURIComponent(node)}` : '/engines';
+    return this.makeRequest(endpoint);
+  }
+
+  async getPeerDependencies() {
+    return this.makeRequest('/peers');
+  }
+
+  async getLockfileDrift() {
+    return this.makeRequest('/drift');
+  }
+
+  async getInternalDependencies() {
+    return this.makeRequest('/internal');
+  }
+
+  async getPolicyViolations() {
+    return this.makeRequest('/policy');
+  }
+
   async getSecurityVulnerabilities() {
     return this.makeRequest('/security');
   }
@@ -68,6 +196,27 @@ class MCPNpmClient {
     return this.makeRequest(`/project-dependencies/${encodeURIComponent(projectName)}`);
   }
 
+  async getNxProjects() {
+    return this.makeRequest('/nx/projects');
+  }
+
+  async getNxGraph() {
+    return this.makeRequest('/nx/graph');
+  }
+
+  async getNxProjectDependencies(projectName) {
+    return this.makeRequest(`/nx/project/${encodeURIComponent(projectName)}/deps`);
+  }
+
+  async generateNxPackageJson(projectName, options = {}) {
+    return this.makeRequest(`/nx/project/${encodeURIComponent(projectName)}/package-json`, 'POST', options);
+  }
+
+  async getNxVulnerabilities(level = null) {
+    const endpoint = level ? `/nx/vulnerabilities?level=${encodeURIComponent(level)}` : '/nx/vulnerabilities';
+    return this.makeRequest(endpoint);
+  }
+
   async query(queryText) {
     return this.makeRequest('/query', 'POST', { query: queryText });
   }
@@ -77,8 +226,19 @@ class MCPNpmClient {
   }
 
   // Formatting and display helpers
+  displayProgress({ progress, total, message }) {
+    console.log(chalk.gray(`  [${progress}/${total}] ${message}`));
+  }
+
   displayStructure(data) {
     console.log(chalk.bold.blue('\n📦 MONOREPO STRUCTURE\n'));
+    if (data.workspaces) {
+      console.log(`Workspace globs: ${chalk.bold(data.workspaces.patterns.join(', '))} (${data.workspaces.source})`);
+    }
+    if (data.packageManager) {
+      const { name, version, lockfile } = data.packageManager;
+      console.log(`Package manager: ${chalk.bold(version ? `${name}@${version}` : name)} (${lockfile || 'no lockfile'})`);
+    }
     console.log(`Total packages: ${chalk.bold(data.packageCount)}`);
     console.log(`Total dependencies: ${chalk.bold(data.totalDependencies)}`);
     console.log(`Internal dependencies: ${chalk.bold(data.internalDependencies)}`);
@@ -115,23 +275,126 @@ class MCPNpmClient {
       return;
     }
 
-    Object.entries(data.details).forEach(([dep, versions]) => {
-      console.log(chalk.bold(`${dep}:`));
-      
-      const versionTable = new Table({
-        head: [chalk.bold('Package'), chalk.bold('Version'), chalk.bold('Type')]
+    // Most severe first
+    const severityOrder = ['major-conflict', 'minor-drift', 'compatible-overlap', 'unknown'];
+    const severityColors = {
+      'major-conflict': chalk.red,
+      'minor-drift': chalk.yellow,
+      'compatible-overlap': chalk.green,
+      'unknown': chalk.gray
+    };
+
+    if (data.summary) {
+      severityOrder.forEach(severity => {
+        if (data.summary[severity] > 0) {
+          console.log(`  ${severityColors[severity](severity)}: ${data.summary[severity]}`);
+        }
       });
+      console.log('');
+    }
 
-      versions.forEach(v => {
-        versionTable.push([
-          v.package,
-          v.version,
-          v.type
-        ]);
+    Object.entries(data.details)
+      .sort(([depA, a], [depB, b]) =>
+        severityOrder.indexOf(a.severity) - severityOrder.indexOf(b.severity) || depA.localeCompare(depB))
+      .forEach(([dep, inconsistency]) => {
+        const color = severityColors[inconsistency.severity] || chalk.gray;
+        console.log(`${chalk.bold(`${dep}:`)} ${color(inconsistency.severity)}`);
+        
+        const versionTable = new Table({
+          head: [chalk.bold('Package'), chalk.bold('Version'), chalk.bold('Type')]
+        });
+
+        inconsistency.versions.forEach(v => {
+          versionTable.push([
+            v.package,
+            color(v.version),
+            v.type
+          ]);
+        });
+
+        console.log(versionTable.toString());
+        if (inconsistency.localVersion !== undefined) {
+          console.log(`  Workspace package, local version: ${chalk.bold(inconsistency.localVersion || 'none')}`);
+        }
+        if (inconsistency.suggestedRange) {
+          console.log(`  Suggested range: ${chalk.bold(inconsistency.suggestedRange)}`);
+        }
+        console.log('');
+      });
+  }
+
+  displayDiff(diff) {
+    diff.split('\n').forEach(line => {
+      if (line.startsWith('+++') || line.startsWith('---')) {
+        console.log(chalk.bold(line));
+      } else if (line.startsWith('+')) {
+        console.log(chalk.green(line));
+      } else if (line.startsWith('-')) {
+        console.log(chalk.red(line));
+      } else if (line.startsWith('@@')) {
+        console.log(chalk.cyan(line));
+      } else {
+        console.log(line);
+      }
+    });
+  }
+
+  displayAlignment(data) {
+    console.log(chalk.bold.blue(`\n🔧 VERSION ALIGNMENT${data.dryRun ? ' (dry run)' : ''}\n`));
+
+    if (data.changes.length === 0) {
+      console.log(chalk.green('✓ Nothing to change'));
+    } else if (data.dryRun) {
+      this.displayDiff(data.diff);
+      console.log(`${chalk.bold(data.changes.length)} ranges would change in ${chalk.bold(data.files.length)} files.`);
+    } else {
+      const table = new Table({
+        head: [chalk.bold('Package'), chalk.bold('Dependency'), chalk.bold('Type'), chalk.bold('From'), chalk.bold('To')]
       });
+      data.changes.forEach(c => table.push([c.package, c.dependency, c.type, chalk.red(c.from), chalk.green(c.to)]));
+      console.log(table.toString());
+      console.log(`Updated ${chalk.bold(data.files.length)} files.`);
+    }
 
-      console.log(versionTable.toString() + '\n');
+    if (data.skipped.length > 0) {
+      console.log(chalk.yellow('\nSkipped:'));
+      data.skipped.forEach(s => console.log(`  - ${s.dependency}: ${s.reason}`));
+    }
+
+    if (data.install) {
+      const status = data.install.success ? chalk.green('✓ Lockfile refreshed') : chalk.red('✗ Lockfile refresh failed');
+      console.log(`\n${status} (${data.install.command})`);
+      if (!data.install.success) console.log(data.install.output);
+    }
+  }
+
+  displayInternalDependencies(data) {
+    console.log(chalk.bold.blue('\n🔗 INTERNAL DEPENDENCIES\n'));
+
+    const protocols = Object.entries(data.protocols).map(([protocol, count]) => `${protocol}: ${count}`).join(', ');
+    console.log(`Checked ${chalk.bold(data.total)} dependencies between workspace packages (${protocols || 'none'}).\n`);
+
+    if (data.issues.length === 0) {
+      console.log(chalk.green('✓ Every internal dependency links the local package'));
+      return;
+    }
+
+    const issueColors = {
+      'range-excludes-local': chalk.red,
+      'unsupported-protocol': chalk.red,
+      'invalid-range': chalk.red,
+      'mixed-protocol': chalk.yellow
+    };
+
+    const table = new Table({
+      head: [chalk.bold('Package'), chalk.bold('Dependency'), chalk.bold('Range'), chalk.bold('Local'), chalk.bold('Issue'), chalk.bold('Suggested')]
     });
+    data.issues.forEach(i => {
+      table.push([i.package, i.dependency, i.range, i.localVersion || '-', (issueColors[i.issue] || chalk.white)(i.issue), i.suggestedRange || '-']);
+    });
+    console.log(table.toString());
+
+    data.issues.forEach(i => console.log(`  - ${i.package} → ${i.dependency}: ${i.message}`));
   }
 
   displayUnusedDependencies(data) {
@@ -145,8 +408,7 @@ class MCPNpmClient {
       console.log(`${chalk.bold(pkg)}: ${totalUnused} unused dependencies`);
 
       if (totalUnused === 0) {
-        console.log(chalk.green('  ✓ No unused dependencies\n'));
-        return;
+        console.log(chalk.green('  ✓ No unused dependencies'));
       }
 
       if (unusedDeps.length > 0) {
@@ -166,6 +428,21 @@ class MCPNpmClient {
         });
       }
 
+      if (result.misplaced && result.misplaced.length > 0) {
+        console.log(chalk.yellow('  Misplaced dependencies:'));
+        result.misplaced.forEach(entry => {
+          console.log(`  - ${entry.dependency}: ${entry.declaredIn} → ${entry.expectedIn} ${chalk.gray(`(${entry.reason})`)}`);
+          entry.files.slice(0, 3).forEach(file => console.log(chalk.gray(`      ${file}`)));
+          if (entry.files.length > 3) {
+            console.log(chalk.gray(`      ... and ${entry.files.length - 3} more`));
+          }
+        });
+      }
+
+      if (result.parseErrors && result.parseErrors.length > 0) {
+        console.log(chalk.gray(`  Could not parse ${result.parseErrors.length} files: ${result.parseErrors.map(e => e.file).join(', ')}`));
+      }
+
       console.log(''); // Add spacing between packages
     });
   }
@@ -194,14 +471,17 @@ class MCPNpmClient {
       ]
     });
 
-    Object.entries(data).forEach(([pkg, info]) => {
-      table.push([
-        pkg,
-        info.current,
-        info.wanted,
-        info.latest,
-        info.location
-      ]);
+    // Dependencies required by several packages have one entry per dependent
+    Object.entries(data).forEach(([pkg, entries]) => {
+      [].concat(entries).forEach(info => {
+        table.push([
+          pkg,
+          info.current || chalk.gray('missing'),
+          info.wanted || chalk.gray('-'),
+          info.latest,
+          info.location || info.dependent
+        ]);
+      });
     });
 
     console.log(table.toString());
@@ -222,6 +502,247 @@ class MCPNpmClient {
     });
   }
 
+  displayDuplicatePackages(data) {
+    console.log(chalk.bold.yellow('\n📚 DUPLICATE PACKAGES\n'));
+
+    if (data.error) {
+      console.log(chalk.red(`Error: ${data.error}`));
+      if (data.details) console.log(data.details);
+      return;
+    }
+
+    if (data.total === 0) {
+      console.log(chalk.green(`✓ Every package is installed at a single version (${data.lockfile})`));
+      return;
+    }
+
+    console.log(`Found ${chalk.bold(data.total)} packages installed at more than one version in ${data.lockfile}.`);
+    console.log(`Deduplicating them would remove up to ${chalk.bold(data.removableCopies)} copies.\n`);
+
+    data.duplicates.forEach(duplicate => {
+      console.log(chalk.bold(`${duplicate.name}:`));
+
+      const table = new Table({
+        head: [chalk.bold('Version'), chalk.bold('Copies'), chalk.bold('Pulled in by')]
+      });
+
+      duplicate.versions.forEach(v => {
+        table.push([
+          v.version,
+          v.instances,
+          v.chains.length > 0 ? v.chains.map(chain => chain.join(' > ')).join('\n') : chalk.gray('-')
+        ]);
+      });
+
+      console.log(table.toString());
+
+      const { dedupe } = duplicate;
+      const copies = `${dedupe.removableCopies} ${dedupe.removableCopies === 1 ? 'copy' : 'copies'}`;
+      if (dedupe.withoutChanges) {
+        console.log(chalk.green(`  Every dependent accepts ${dedupe.version}: deduplicating removes ${copies}`));
+      } else {
+        console.log(chalk.yellow(`  To share ${dedupe.version} (removing ${copies}), widen:`));
+        dedupe.rangesToWiden.forEach(request => console.log(`  - ${request.dependent}: ${request.range}`));
+      }
+      if (dedupe.rangesNotRecorded > 0) {
+        console.log(chalk.gray(`  ${dedupe.rangesNotRecorded} dependents not checked: ${data.lockfile} does not record their ranges`));
+      }
+      console.log('');
+    });
+  }
+
+  displayDependencyPaths(data) {
+    if (data.error) {
+      console.log(chalk.red(`Error: ${data.error}`));
+      if (data.details) console.log(data.details);
+      return;
+    }
+
+    const target = data.range ? `${data.dependency}@${data.range}` : data.dependency;
+    console.log(chalk.bold.green(`\n❓ WHY ${target}\n`));
+
+    if (data.installed.length === 0) {
+      console.log(`${chalk.bold(target)} is not installed according to ${data.lockfile}`);
+      return;
+    }
+
+    console.log(`${chalk.bold(data.totalPaths)} paths from ${chalk.bold(data.workspaces.length)} workspace packages: ${data.workspaces.join(', ')}`);
+
+    data.installed.forEach(({ version, paths }) => {
+      console.log(chalk.bold(`\n${data.dependency}@${version}`));
+      paths.forEach(p => {
+        const hops = p.hops.map(hop => `${hop.workspace ? hop.name : `${hop.name}@${hop.version}`} ${chalk.gray(`(${hop.range || 'range not recorded'})`)}`);
+        const label = p.dev ? chalk.yellow(' [dev]') : '';
+        console.log(`  ${[chalk.cyan(p.workspace), ...hops].join(' > ')}${label}`);
+      });
+    });
+
+    if (data.truncated) {
+      console.log(chalk.gray('\nSome paths were omitted; narrow the query with a range (e.g. name@<2.0.0)'));
+    }
+  }
+
+  displayEngines(data) {
+    console.log(chalk.bold.green('\n⬢ NODE ENGINES\n'));
+
+    if (data.error) {
+      console.log(chalk.red(`Error: ${data.error}`));
+      return;
+    }
+
+    const { lowestSupported, pins, pinConflicts, targets } = data.node;
+    console.log(`Lowest supported Node version: ${lowestSupported ? chalk.bold(lowestSupported) : chalk.gray('unknown (no engines.node, .nvmrc, .node-version or volta)')}`);
+    pins.forEach(pin => {
+      console.log(`  ${pin.source}: ${pin.value}${pin.range ? '' : chalk.gray(' (alias, not checked)')}`);
+    });
+    pinConflicts.forEach(conflict => {
+      console.log(chalk.red(`  ✗ ${conflict.sources[0]} (${conflict.values[0]}) and ${conflict.sources[1]} (${conflict.values[1]}) disagree`));
+    });
+
+    if (targets.length === 0) {
+      console.log(chalk.yellow('\nNothing to check engines against; pass --node <version>'));
+    }
+
+    if (data.workspaces.length > 0) {
+      console.log(chalk.bold('\nWorkspace packages:'));
+      const table = new Table({
+        head: [chalk.bold('Package'), chalk.bold('engines.node'), chalk.bold('Excludes')]
+      });
+      data.workspaces.forEach(w => {
+        const excludes = !w.valid
+          ? chalk.red('invalid range')
+          : w.excludes.map(e => chalk.red(`${e.range} (${e.source})`)).join('\n') || chalk.green('✓');
+        table.push([w.package, w.range, excludes]);
+      });
+      console.log(table.toString());
+      console.log(data.commonRange
+        ? `Every workspace package accepts ${chalk.green(data.commonRange)}`
+        : chalk.red('No Node version satisfies every workspace package'));
+    }
+
+    if (data.installed) {
+      console.log(chalk.bold(`\nInstalled packages (${data.installed.checked} with engines.node in ${data.installed.lockfile}):`));
+      if (data.installed.incompatible.length === 0) {
+        console.log(chalk.green('✓ Every installed package supports the targeted Node versions'));
+      } else {
+        const table = new Table({
+          head: [chalk.bold('Package'), chalk.bold('engines.node'), chalk.bold('Excludes'), chalk.bold('Required by')]
+        });
+        data.installed.incompatible.forEach(pkg => {
+          table.push([
+            `${pkg.name}@${pkg.version}`,
+            pkg.range,
+            pkg.excludes.map(e => chalk.red(`${e.range} (${e.source})`)).join('\n'),
+            pkg.path.slice(0, -1).join(' → ')
+          ]);
+        });
+        console.log(table.toString());
+      }
+    }
+  }
+
+  displayPeerDependencies(data) {
+    console.log(chalk.bold.yellow('\n🤝 PEER DEPENDENCIES\n'));
+
+    if (data.error) {
+      console.log(chalk.red(`Error: ${data.error}`));
+      if (data.details) console.log(data.details);
+      return;
+    }
+
+    console.log(`Checked ${chalk.bold(data.checked)} peer dependencies against ${data.lockfile}.`);
+    if (data.note) {
+      console.log(chalk.gray(data.note));
+    }
+    console.log();
+
+    if (data.total === 0) {
+      console.log(chalk.green('✓ Every peer dependency is satisfied'));
+      return;
+    }
+
+    console.log(`${chalk.red(data.incompatible)} incompatible, ${chalk.red(data.missing)} missing\n`);
+
+    data.issues.forEach(issue => {
+      const title = issue.problem === 'missing'
+        ? `${issue.package} is missing peer ${issue.peer}@"${issue.range}"`
+        : `${issue.package} needs peer ${issue.peer}@"${issue.range}" but ${issue.consumer} provides ${issue.found}`;
+      console.log(chalk.bold.red(`✗ ${title}${issue.optional ? ' (optional)' : ''}`));
+      console.log(chalk.gray(issue.explanation.split('\n').map(line => `  ${line}`).join('\n')));
+      console.log();
+    });
+  }
+
+  displayLockfileDrift(data) {
+    console.log(chalk.bold.yellow('\n🔐 LOCKFILE DRIFT\n'));
+
+    if (data.error) {
+      console.log(chalk.red(`Error: ${data.error}`));
+      if (data.details) console.log(data.details);
+      return;
+    }
+
+    console.log(`Checked ${chalk.bold(data.checked)} declared ranges against ${data.lockfile} (${data.skipped} workspace, tag, git or file ranges skipped).\n`);
+
+    if (data.inSync) {
+      console.log(chalk.green(`✓ ${data.lockfile} is in sync with the package.json files`));
+      return;
+    }
+
+    if (data.unsatisfied.length > 0 || data.missing.length > 0) {
+      const table = new Table({
+        head: [chalk.bold('Package'), chalk.bold('Dependency'), chalk.bold('Type'), chalk.bold('Range'), chalk.bold('Locked')]
+      });
+
+      data.unsatisfied.forEach(d => table.push([d.package, d.dependency, d.type, d.range, chalk.red(d.locked)]));
+      data.missing.forEach(d => table.push([d.package, d.dependency, d.type, d.range, chalk.red('not locked')]));
+
+      console.log(chalk.red('Declared ranges not matched by the lockfile:'));
+      console.log(table.toString());
+    }
+
+    if (data.unreferenced.length > 0) {
+      console.log(chalk.yellow(`\nLocked packages no package.json requires (${data.unreferenced.length}):`));
+      data.unreferenced.forEach(pkg => console.log(`  - ${pkg.name}@${pkg.version}`));
+    }
+
+    console.log(chalk.red('\nRun the package manager install to update the lockfile.'));
+  }
+
+  displayPolicyViolations(data) {
+    console.log(chalk.bold.magenta('\n📜 VERSION POLICY\n'));
+
+    if (data.error) {
+      console.log(chalk.red(`Error: ${data.error}`));
+      if (data.details) console.log(data.details);
+      return;
+    }
+
+    console.log(`Checked ${chalk.bold(data.checked)} package.json files against ${data.rules} rules in ${data.policyFile}.\n`);
+
+    if (data.total === 0) {
+      console.log(chalk.green('✓ No policy violations'));
+      return;
+    }
+
+    const ruleColors = {
+      banned: chalk.red,
+      pin: chalk.yellow,
+      allowed: chalk.yellow,
+      'same-version': chalk.cyan
+    };
+
+    const table = new Table({
+      head: [chalk.bold('Location'), chalk.bold('Dependency'), chalk.bold('Range'), chalk.bold('Rule'), chalk.bold('Message')]
+    });
+    data.violations.forEach(v => {
+      const location = v.line ? `${v.file}:${v.line}:${v.column}` : v.file;
+      table.push([location, v.dependency, v.range, (ruleColors[v.rule] || chalk.white)(v.rule), v.message]);
+    });
+    console.log(table.toString());
+    console.log(chalk.red(`\n${data.total} policy violations`));
+  }
+
   displaySecurityVulnerabilities(data) {
     console.log(chalk.bold.red('\n🔒 SECURITY VULNERABILITIES\n'));
 
@@ -266,8 +787,14 @@ class MCPNpmClient {
           default: color = chalk.gray; break;
         }
         
-        console.log(`\n${color(vuln.severity.toUpperCase())} ${pkgName}@${vuln.version}`);
-        console.log(`  Vulnerable path: ${vuln.path.join(' > ')}`);
+        // npm audit v2 and lockfile audits report the vulnerable range rather than a path
+        console.log(`\n${color(vuln.severity.toUpperCase())} ${pkgName}@${vuln.version || vuln.range}`);
+        if (vuln.path) {
+          console.log(`  Vulnerable path: ${vuln.path.join(' > ')}`);
+        }
+        if (vuln.versions) {
+          console.log(`  Installed: ${vuln.versions.join(', ')}`);
+        }
         console.log(`  Recommendation: ${vuln.recommendation || 'No specific recommendation'}`);
       });
     } else if (Object.keys(data).length === 0) {
@@ -289,13 +816,14 @@ class MCPNpmClient {
     console.log(`${chalk.bold(data.dependency)} is used by ${chalk.bold(data.usedByCount)} packages:\n`);
 
     const table = new Table({
-      head: [chalk.bold('Package'), chalk.bold('Version'), chalk.bold('Usage Type')]
+      head: [chalk.bold('Package'), chalk.bold('Version'), chalk.bold('Resolved'), chalk.bold('Usage Type')]
     });
 
     data.packages.forEach(pkg => {
       table.push([
         pkg.package,
         pkg.version,
+        pkg.resolvedVersion || chalk.gray('-'),
         pkg.usageType.join(', ')
       ]);
     });
@@ -365,13 +893,14 @@ class MCPNpmClient {
       console.log(chalk.bold(title));
       
       const table = new Table({
-        head: [chalk.bold('Name'), chalk.bold('Version'), chalk.bold('Type')]
+        head: [chalk.bold('Name'), chalk.bold('Version'), chalk.bold('Resolved'), chalk.bold('Type')]
       });
       
       deps.forEach(dep => {
         table.push([
           dep.name,
           dep.version,
+          dep.resolvedVersion || chalk.gray('-'),
           dep.type
         ]);
       });
@@ -393,6 +922,133 @@ class MCPNpmClient {
     }
   }
 
+  displayNxProjects(data) {
+    console.log(chalk.bold.blue('\n🏗️ NX PROJECTS\n'));
+    console.log(`Workspace: ${chalk.bold(data.name)}`);
+    console.log(`Total projects: ${chalk.bold(data.totalProjects)}`);
+    console.log(`Root dependencies: ${chalk.bold(data.totalDependencies)}`);
+    console.log(`Framework(s): ${chalk.bold(data.framework.join(', ') || 'None detected')}\n`);
+
+    const table = new Table({
+      head: [chalk.bold('Project'), chalk.bold('Type'), chalk.bold('Path')]
+    });
+
+    data.projects.forEach(project => {
+      table.push([project.name, project.type || 'unknown', project.path || '']);
+    });
+
+    console.log(table.toString());
+  }
+
+  displayNxProjectDependencies(data) {
+    if (data.error) {
+      console.log(chalk.red(`Error: ${data.error}`));
+      if (data.availableProjects) {
+        console.log('\nAvailable projects:');
+        data.availableProjects.forEach(project => console.log(`- ${project}`));
+      }
+      return;
+    }
+
+    console.log(chalk.bold.cyan(`\n📦 NX PROJECT DEPENDENCIES: ${chalk.bold(data.name)}\n`));
+    console.log(`Root: ${data.root}`);
+    console.log(`Type: ${data.type}\n`);
+
+    if (data.totalMatched > 0) {
+      const table = new Table({
+        head: [chalk.bold('Dependency'), chalk.bold('Version')]
+      });
+      Object.entries(data.dependencies).forEach(([dep, version]) => table.push([dep, version]));
+      console.log(table.toString());
+    } else {
+      console.log('No npm dependencies imported.');
+    }
+
+    if (data.totalUnmatched > 0) {
+      console.log(chalk.yellow(`\nImports not declared in the root package.json: ${data.unmatchedImports.join(', ')}`));
+    }
+  }
+
+  displayNxPackageJson(data) {
+    if (data.error) {
+      console.log(chalk.red(`Error: ${data.error}`));
+      if (data.availableProjects) {
+        console.log('\nAvailable projects:');
+        data.availableProjects.forEach(project => console.log(`- ${project}`));
+      }
+      return;
+    }
+
+    console.log(chalk.bold.cyan(`\n📝 NX PROJECT PACKAGE.JSON: ${chalk.bold(data.project)}\n`));
+    console.log(`File: ${data.file}${data.exists ? '' : chalk.gray(' (new)')}`);
+    console.log(`Type: ${data.type}\n`);
+
+    if (!data.changed) {
+      console.log(chalk.green('✓ package.json is up to date'));
+    } else {
+      this.displayDiff(data.diff);
+      console.log(data.written ? chalk.green(`Wrote ${data.file}`) : chalk.gray('Run with --write to update the file.'));
+    }
+
+    if (data.internal.length > 0) {
+      console.log(chalk.bold('\nInternal libraries:'));
+      data.internal.forEach(library => console.log(`  - ${library.import} → ${library.package}@${library.version} (${library.root})`));
+    }
+    if (data.unresolved.length > 0) {
+      console.log(chalk.yellow('\nLeft out:'));
+      data.unresolved.forEach(entry => console.log(`  - ${entry.import}: ${entry.reason}`));
+    }
+    if (data.misplaced.length > 0) {
+      console.log(chalk.yellow('\nImported by shipped code, but only devDependencies of the root package.json:'));
+      data.misplaced.forEach(entry => console.log(`  - ${entry.dependency} (${entry.files.join(', ') || 'importHelpers'})`));
+    }
+    if (data.unpinned.length > 0) {
+      console.log(chalk.gray('\nNeither locked nor installed at the root, so declared with the root range:'));
+      data.unpinned.forEach(entry => console.log(chalk.gray(`  - ${entry.dependency}: ${entry.range}`)));
+    }
+  }
+
+  displayNxVulnerabilities(data) {
+    console.log(chalk.bold.red('\n🔒 NX WORKSPACE VULNERABILITIES\n'));
+
+    const counts = data.metadata.vulnerabilities || {};
+    const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+    if (total === 0) {
+      console.log(chalk.green('✓ No security vulnerabilities found!'));
+      return;
+    }
+
+    console.log('Vulnerability summary:');
+    Object.entries(counts).forEach(([severity, count]) => {
+      if (count > 0) console.log(`  ${severity}: ${count}`);
+    });
+
+    const projects = Object.entries(data.projectDependencies);
+    if (projects.length > 0) {
+      console.log('\nVulnerable packages by project:');
+      projects.forEach(([project, packages]) => {
+        console.log(`  ${chalk.bold(project)}: ${packages.join(', ')}`);
+      });
+    }
+  }
+
+  displayWorkspaces(workspaces) {
+    console.log(chalk.bold.blue('\n🗂️ WORKSPACES\n'));
+
+    const table = new Table({
+      head: [chalk.bold('Name'), chalk.bold('Root'), chalk.bold('Nx')]
+    });
+
+    workspaces.forEach(workspace => {
+      const name = workspace.name === this.workspace || (!this.workspace && workspace.default)
+        ? chalk.green(`${workspace.name} *`)
+        : workspace.name;
+      table.push([name, workspace.root, workspace.nx ? 'yes' : 'no']);
+    });
+
+    console.log(table.toString());
+  }
+
   async runInteractive() {
     if (!this.interactive) {
       throw new Error('Client not initialized in interactive mode');
@@ -412,10 +1068,19 @@ class MCPNpmClient {
     console.log('  outdated              - Show outdated dependencies');
     console.log('  graph [package]       - Show dependency graph');
     console.log('  circular              - Show circular dependencies');
+    console.log('  duplicates            - Show packages installed at several versions');
+    console.log('  drift                 - Check the lockfile against the package.json files');
+    console.log('  peers                 - Check peer dependencies against what their consumers provide');
+    console.log('  engines [node]        - Check engines.node ranges against the supported Node versions');
+    console.log('  internal              - Check the ranges workspace packages declare on each other');
+    console.log('  policy                - Check the package.json files against the version policy');
     console.log('  security              - Show security vulnerabilities');
     console.log('  usedby <dependency>   - Show packages using dependency');
+    console.log('  why <package[@range]> - Show the dependency paths to a package');
     console.log('  project <name>        - Show dependencies for a specific project');
     console.log('  query <text>          - Natural language query');
+    console.log('  workspaces            - List registered workspaces');
+    console.log('  use <workspace>       - Switch to another workspace');
     console.log('  clear                 - Clear the console');
     console.log('  exit                  - Exit the client\n');
 
@@ -434,7 +1099,7 @@ class MCPNpmClient {
             this.displayVersionInconsistencies(await this.getVersionInconsistencies());
             break;
           case 'unused':
-            this.displayUnusedDependencies(await this.getUnusedDependencies(args[1]));
+            this.displayUnusedDependencies(await this.streamUnusedDependencies(args[1], (p) => this.displayProgress(p)));
             break;
           case 'outdated':
             this.displayOutdatedDependencies(await this.getOutdatedDependencies());
@@ -445,6 +1110,24 @@ class MCPNpmClient {
           case 'circular':
             this.displayCircularDependencies(await this.getCircularDependencies());
             break;
+          case 'duplicates':
+            this.displayDuplicatePackages(await this.getDuplicatePackages());
+            break;
+          case 'engines':
+            this.displayEngines(await this.getEngines(args[1]));
+            break;
+          case 'peers':
+            this.displayPeerDependencies(await this.getPeerDependencies());
+            break;
+          case 'drift':
+            this.displayLockfileDrift(await this.getLockfileDrift());
+            break;
+          case 'internal':
+            this.displayInternalDependencies(await this.getInternalDependencies());
+            break;
+          case 'policy':
+            this.displayPolicyViolations(await this.getPolicyViolations());
+            break;
           case 'security':
             this.displaySecurityVulnerabilities(await this.getSecurityVulnerabilities());
             break;
@@ -455,6 +1138,13 @@ class MCPNpmClient {
             }
             this.displayPackagesUsingDependency(await this.getPackagesUsingDependency(args[1]));
             break;
+          case 'why':
+            if (!args[1]) {
+              console.log(chalk.red('Error: Missing package parameter'));
+              break;
+            }
+            this.displayDependencyPaths(await this.explainDependency(args[1]));
+            break;
           case 'project':
             if (!args[1]) {
               console.log(chalk.red('Error: Missing project name parameter'));
@@ -472,6 +1162,21 @@ class MCPNpmClient {
             console.log(chalk.bold.blue('\n🔍 QUERY RESULTS\n'));
             console.log(JSON.stringify(result, null, 2));
             break;
+          case 'workspaces':
+            this.displayWorkspaces(await this.listWorkspaces());
+            break;
+          case 'use':
+            if (!args[1]) {
+              console.log(chalk.red('Error: Missing workspace name'));
+              break;
+            }
+            if (!(await this.listWorkspaces()).some(workspace => workspace.name === args[1])) {
+              console.log(chalk.red(`Error: Unknown workspace: ${args[1]}`));
+              break;
+            }
+            this.workspace = args[1];
+            console.log(chalk.green(`Using workspace ${args[1]}`));
+            break;
           case 'clear':
             console.clear();
             console.log(chalk.bold('\n🧰 MCP NPM Dependencies Client\n'));
@@ -1,33 +1,205 @@
 const express = require('express');
-const { execSync } = require('child_process');
+const { randomUUID } = require('crypto');
 const fs = require('fs');
 const path = require('path');
-const glob = require('glob');
 const bodyParser = require('body-parser');
+const { createMcpHttpHandler } = require('./mcp/mcp-http-transport');
+const MonorepoWorkspace = require('./monorepo-workspace');
+
+// Name of the workspace for the monorepo the server was started in
+const DEFAULT_WORKSPACE = 'default';
+
+const WORKSPACE_NAME_PATTERN = /^[\w.-]+$/;
+
+const LOOPBACK_ADDRESSES = new Set(['127.0.0.1', '::1', '::ffff:127.0.0.1']);
 
 class MCPNpmServer {
   constructor(options = {}) {
-    this.monorepoRoot = options.monorepoRoot || process.cwd();
-    this.packagesDir = options.packagesDir || 'packages';
     this.port = options.port || 3000;
-    this.cache = new Map();
-    this.cacheTime = new Map();
     this.cacheTTL = options.cacheTTL || 3600000; // 1 hour default
+    // Routes that write files or register workspaces are off unless enabled, and then local only
+    this.allowWrite = Boolean(options.allowWrite);
+    this.runningAnalyses = new Map(); // Abort controllers of streamed analyses by ID
+    
+    // Registered monorepos by name, each with its own analysis cache
+    this.workspaces = new Map();
+    this.defaultWorkspace = DEFAULT_WORKSPACE;
+    this.addWorkspace({
+      name: DEFAULT_WORKSPACE,
+      root: options.monorepoRoot || process.cwd(),
+      packagesDir: options.packagesDir,
+      nx: options.nx,
+      reportsDir: options.reportsDir
+    });
+    if (options.workspacesFile) {
+      this.loadWorkspacesFile(options.workspacesFile);
+    }
     
     this.app = express();
     this.app.use(bodyParser.json());
     this.setupRoutes();
   }
 
+  /**
+   * Register a monorepo under a name
+   * @param {Object} config
+   * @param {string} config.name - Workspace name (letters, digits, "_", "-" and ".")
+   * @param {string} config.root - Path to monorepo root
+   * @param {string} [config.packagesDir] - Directory containing packages, overriding the workspace globs
+   * @param {boolean} [config.nx] - Nx workspace mode (detected from nx.json by default)
+   * @param {string} [config.reportsDir] - Reports directory, relative to the root
+   * @returns {MonorepoWorkspace} - The registered workspace
+   */
+  addWorkspace(config) {
+    const { name, root } = config;
+    if (typeof name !== 'string' || !WORKSPACE_NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid workspace name: ${name}`);
+    }
+    if (this.workspaces.has(name)) {
+      throw new Error(`Workspace already registered: ${name}`);
+    }
+    if (typeof root !== 'string' || !fs.existsSync(root) || !fs.statSync(root).isDirectory()) {
+      throw new Error(`Workspace root is not a directory: ${root}`);
+    }
+
+    const workspace = new MonorepoWorkspace({
+      name,
+      monorepoRoot: root,
+      packagesDir: config.packagesDir,
+      nx: config.nx,
+      reportsDir: config.reportsDir,
+      cacheTTL: this.cacheTTL
+    });
+    this.workspaces.set(name, workspace);
+    return workspace;
+  }
+
+  /**
+   * Register a monorepo listed in the workspaces file or posted by a client, whose root
+   * must be a package (the default workspace may rely on packagesDir alone)
+   * @param {Object} config - See addWorkspace
+   * @returns {MonorepoWorkspace} - The registered workspace
+   */
+  registerWorkspace(config) {
+    const { root } = config;
+    if (typeof root === 'string' && fs.existsSync(root) && fs.statSync(root).isDirectory() &&
+      !fs.existsSync(path.join(root, 'package.json'))) {
+      throw new Error(`Workspace root has no package.json: ${root}`);
+    }
+    return this.addWorkspace(config);
+  }
+
+  /**
+   * Register the workspaces listed in a JSON file:
+   * { "workspaces": [{ "name": "web", "root": "../web", "packagesDir": "...", "nx": true }] }
+   * Relative roots are resolved against the directory of the file.
+   * @param {string} filePath - Path to the workspaces file
+   */
+  loadWorkspacesFile(filePath) {
+    const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!Array.isArray(config.workspaces)) {
+      throw new Error(`Expected a "workspaces" array in ${filePath}`);
+    }
+
+    const baseDir = path.dirname(path.resolve(filePath));
+    config.workspaces.forEach(workspace => {
+      this.registerWorkspace({
+        ...workspace,
+        root: path.resolve(baseDir, workspace.root || '')
+      });
+    });
+  }
+
+  /**
+   * Look up a registered workspace
+   * @param {string} [name] - Workspace name (defaults to the default workspace)
+   * @returns {MonorepoWorkspace} - The workspace
+   */
+  getWorkspace(name) {
+    const workspace = this.workspaces.get(name || this.defaultWorkspace);
+    if (!workspace) {
+      throw new Error(`Unknown workspace: ${name} (registered: ${Array.from(this.workspaces.keys()).join(', ')})`);
+    }
+    return workspace;
+  }
+
+  listWorkspaces() {
+    return Array.from(this.workspaces.values()).map(workspace => ({
+      ...workspace.toJSON(),
+      default: workspace.name === this.defaultWorkspace
+    }));
+  }
+
+  /**
+   * Reject requests that would write files or register workspaces unless the server
+   * was started with allowWrite and the request comes from this machine
+   */
+  requireWriteAccess(req, res, next) {
+    if (!this.allowWrite) {
+      return res.status(403).json({ error: 'Writing is disabled; start the server with --allow-write to enable it' });
+    }
+    if (!LOOPBACK_ADDRESSES.has(req.socket.remoteAddress)) {
+      return res.status(403).json({ error: 'Writes are only accepted from localhost' });
+    }
+    next();
+  }
+
   setupRoutes() {
+    const requireWriteAccess = this.requireWriteAccess.bind(this);
+    // Only requests that would change files need write access (dry runs are read-only)
+    const requireWriteAccessUnless = readOnly => (req, res, next) =>
+      (readOnly(req.body || {}) ? next() : requireWriteAccess(req, res, next));
+
+    // Resolve the workspace of every API request from ?workspace= (or the request body)
+    this.app.use('/api', (req, res, next) => {
+      const name = req.query.workspace || (req.body && req.body.workspace);
+      if (name && !this.workspaces.has(name)) {
+        return res.status(404).json({ error: `Unknown workspace: ${name}` });
+      }
+      req.workspace = this.getWorkspace(name);
+      next();
+    });
+
     this.app.get('/api/health', (req, res) => {
-      res.json({ status: 'ok', version: '1.0.0' });
+      res.json({ status: 'ok', version: '1.0.0', workspace: req.workspace.name, nx: req.workspace.nx });
+    });
+
+    // List the registered workspaces
+    this.app.get('/api/workspaces', (req, res) => {
+      res.json(this.listWorkspaces());
+    });
+
+    // Register a workspace
+    this.app.post('/api/workspaces', requireWriteAccess, (req, res) => {
+      const { name, root, packagesDir, nx } = req.body || {};
+      if (this.workspaces.has(name)) {
+        return res.status(409).json({ error: `Workspace already registered: ${name}` });
+      }
+      try {
+        const workspace = this.registerWorkspace({ name, root: root && path.resolve(root), packagesDir, nx });
+        console.log(`Registered workspace ${name} at ${workspace.monorepoRoot}`);
+        res.status(201).json(workspace.toJSON());
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    // Unregister a workspace
+    this.app.delete('/api/workspaces/:name', requireWriteAccess, (req, res) => {
+      const { name } = req.params;
+      if (name === this.defaultWorkspace) {
+        return res.status(400).json({ error: 'The default workspace cannot be removed' });
+      }
+      if (!this.workspaces.delete(name)) {
+        return res.status(404).json({ error: `Unknown workspace: ${name}` });
+      }
+      res.json({ message: `Workspace ${name} removed` });
     });
 
     // Get monorepo structure overview
     this.app.get('/api/structure', async (req, res) => {
       try {
-        const data = await this.getCachedData('structure', () => this.analyzeStructure());
+        const data = await req.workspace.getCachedData('structure', () => req.workspace.analyzeStructure());
         res.json(data);
       } catch (error) {
         res.status(500).json({ error: error.message });
@@ -37,7 +209,40 @@ class MCPNpmServer {
     // Get dependency version inconsistencies
     this.app.get('/api/inconsistencies', async (req, res) => {
       try {
-        const data = await this.getCachedData('inconsistencies', () => this.findVersionInconsistencies());
+        const data = await req.workspace.getCachedData('inconsistencies', () => req.workspace.findVersionInconsistencies());
+        res.json(data);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Align inconsistent dependencies to one range (body: { versions?, dependencies?, dryRun?, install? })
+    this.app.post('/api/inconsistencies/fix', requireWriteAccessUnless(body => body.dryRun), async (req, res) => {
+      const { versions, dependencies, dryRun, install } = req.body || {};
+      if (versions !== undefined && (typeof versions !== 'object' || versions === null || Array.isArray(versions))) {
+        return res.status(400).json({ error: 'versions must be an object mapping dependency names to ranges' });
+      }
+      if (dependencies !== undefined && !Array.isArray(dependencies)) {
+        return res.status(400).json({ error: 'dependencies must be an array of dependency names' });
+      }
+
+      try {
+        const data = await req.workspace.alignVersions({
+          versions,
+          dependencies,
+          dryRun: Boolean(dryRun),
+          install: Boolean(install)
+        });
+        res.json(data);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Validate the ranges workspace packages declare on each other
+    this.app.get('/api/internal', async (req, res) => {
+      try {
+        const data = await req.workspace.getCachedData('internal', () => req.workspace.validateInternalDependencies());
         res.json(data);
       } catch (error) {
         res.status(500).json({ error: error.message });
@@ -49,17 +254,36 @@ class MCPNpmServer {
       try {
         const packageName = req.query.package;
         const cacheKey = `unused-${packageName || 'all'}`;
-        const data = await this.getCachedData(cacheKey, () => this.findUnusedDependencies(packageName));
+        const data = await req.workspace.getCachedData(cacheKey, () => req.workspace.findUnusedDependencies(packageName));
         res.json(data);
       } catch (error) {
         res.status(500).json({ error: error.message });
       }
     });
 
+    // Stream unused dependency analysis progress as Server-Sent Events
+    this.app.get('/api/unused/stream', (req, res) => {
+      const packageName = req.query.package;
+      const cacheKey = `unused-${packageName || 'all'}`;
+      this.streamAnalysis(req, res, (options) =>
+        req.workspace.getCachedData(cacheKey, () => req.workspace.findUnusedDependencies(packageName, options))
+      );
+    });
+
+    // Cancel a streamed analysis
+    this.app.post('/api/analyses/:id/cancel', (req, res) => {
+      const controller = this.runningAnalyses.get(req.params.id);
+      if (!controller) {
+        return res.status(404).json({ error: `No running analysis with ID: ${req.params.id}` });
+      }
+      controller.abort();
+      res.json({ message: `Analysis ${req.params.id} cancelled` });
+    });
+
     // Get outdated packages
     this.app.get('/api/outdated', async (req, res) => {
       try {
-        const data = await this.getCachedData('outdated', () => this.findOutdatedDependencies());
+        const data = await req.workspace.getCachedData('outdated', () => req.workspace.findOutdatedDependencies());
         res.json(data);
       } catch (error) {
         res.status(500).json({ error: error.message });
@@ -71,7 +295,7 @@ class MCPNpmServer {
       try {
         const packageName = req.params.package;
         const cacheKey = `graph-${packageName || 'all'}`;
-        const data = await this.getCachedData(cacheKey, () => this.generateDependencyGraph(packageName));
+        const data = await req.workspace.getCachedData(cacheKey, () => req.workspace.generateDependencyGraph(packageName));
         res.json(data);
       } catch (error) {
         res.status(500).json({ error: error.message });
@@ -81,682 +305,245 @@ class MCPNpmServer {
     // Get circular dependencies
     this.app.get('/api/circular', async (req, res) => {
       try {
-        const data = await this.getCachedData('circular', () => this.findCircularDependencies());
+        const data = await req.workspace.getCachedData('circular', () => req.workspace.findCircularDependencies());
         res.json(data);
       } catch (error) {
         res.status(500).json({ error: error.message });
       }
     });
 
-    // Get security vulnerabilities
-    this.app.get('/api/security', async (req, res) => {
+    // Get packages installed at more than one version
+    this.app.get('/api/duplicates', async (req, res) => {
       try {
-        const data = await this.getCachedData('security', () => this.findSecurityVulnerabilities());
+        const data = await req.workspace.getCachedData('duplicates', () => req.workspace.findDuplicatePackages());
         res.json(data);
       } catch (error) {
         res.status(500).json({ error: error.message });
       }
     });
 
-    // Get packages using a specific dependency
-    this.app.get('/api/usedby/:dependency', async (req, res) => {
+    // Check engines.node ranges against the supported Node versions (?node= overrides the lowest one)
+    this.app.get('/api/engines', async (req, res) => {
       try {
-        const dependency = req.params.dependency;
-        const cacheKey = `usedby-${dependency}`;
-        const data = await this.getCachedData(cacheKey, () => this.findPackagesUsingDependency(dependency));
+        const node = req.query.node;
+        const data = await req.workspace.getCachedData(`engines-${node || ''}`, () => req.workspace.analyzeEngines({ node }));
         res.json(data);
       } catch (error) {
         res.status(500).json({ error: error.message });
       }
     });
 
-    // Get dependencies for a specific project
-    this.app.get('/api/project-dependencies/:project', async (req, res) => {
+    // Check peer dependencies against the versions their consumers provide
+    this.app.get('/api/peers', async (req, res) => {
       try {
-        const project = req.params.project;
-        const cacheKey = `project-deps-${project}`;
-        const data = await this.getCachedData(cacheKey, () => this.getProjectDependencies(project));
+        const data = await req.workspace.getCachedData('peers', () => req.workspace.checkPeerDependencies());
         res.json(data);
       } catch (error) {
         res.status(500).json({ error: error.message });
       }
     });
 
-    // Advanced query endpoint - allows complex questions
-    this.app.post('/api/query', async (req, res) => {
+    // Check the lockfile against the manifests (never cached: manifests are usually just edited)
+    this.app.get('/api/drift', async (req, res) => {
       try {
-        const { query } = req.body;
-        const result = await this.processQuery(query);
-        res.json(result);
+        const data = await req.workspace.checkLockfileDrift();
+        res.json(data);
       } catch (error) {
         res.status(500).json({ error: error.message });
       }
     });
 
-    // Invalidate cache
-    this.app.post('/api/cache/invalidate', (req, res) => {
-      const { key } = req.body;
-      if (key) {
-        this.invalidateCache(key);
-        res.json({ message: `Cache invalidated for key: ${key}` });
-      } else {
-        this.cache.clear();
-        this.cacheTime.clear();
-        res.json({ message: 'All cache invalidated' });
+    // Check the manifests against the version policy (not cached, like drift)
+    this.app.get('/api/policy', async (req, res) => {
+      try {
+        const data = await req.workspace.checkPolicy();
+        res.json(data);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
       }
     });
-  }
-
-  async getCachedData(key, dataFn) {
-    const now = Date.now();
-    if (this.cache.has(key) && now - this.cacheTime.get(key) < this.cacheTTL) {
-      return this.cache.get(key);
-    }
-    
-    const data = await dataFn();
-    this.cache.set(key, data);
-    this.cacheTime.set(key, now);
-    return data;
-  }
-
-  invalidateCache(key) {
-    if (this.cache.has(key)) {
-      this.cache.delete(key);
-      this.cacheTime.delete(key);
-    }
-  }
-
-  async analyzeStructure() {
-    console.log('Analyzing structure...');
-    console.log('Monorepo root:', this.monorepoRoot);
-    console.log('Packages directory:', this.packagesDir);
-    
-    // Get all package.json files, excluding node_modules
-    const packagesPath = path.resolve(this.monorepoRoot, this.packagesDir);
-    console.log('Full packages path:', packagesPath);
-    
-    try {
-      // Check if the packages directory exists
-      if (!fs.existsSync(packagesPath)) {
-        console.error(`Packages directory does not exist: ${packagesPath}`);
-        return { packageCount: 0, packages: [], totalDependencies: 0, internalDependencies: 0 };
-      }
-      
-      // Read directories directly instead of relying on glob
-      const packageDirs = fs.readdirSync(packagesPath)
-        .filter(dir => fs.statSync(path.join(packagesPath, dir)).isDirectory())
-        .filter(dir => dir !== 'node_modules');  // Explicitly exclude node_modules
-      
-      console.log('Found package directories:', packageDirs);
-      
-      const packages = [];
-      
-      for (const dir of packageDirs) {
-        const packageJsonPath = path.join(packagesPath, dir, 'package.json');
-        console.log('Checking for package.json at:', packageJsonPath);
-        
-        if (fs.existsSync(packageJsonPath)) {
-          try {
-            const packageContent = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
-            const packageDir = path.dirname(packageJsonPath);
-            const packageName = packageContent.name;
-            
-            console.log(`Found package ${packageName} at ${packageDir}`);
-            
-            packages.push({
-              name: packageName,
-              version: packageContent.version,
-              path: packageDir,
-              dependencies: Object.keys(packageContent.dependencies || {}),
-              devDependencies: Object.keys(packageContent.devDependencies || {}),
-              peerDependencies: Object.keys(packageContent.peerDependencies || {}),
-              totalDependencies: 
-                Object.keys(packageContent.dependencies || {}).length +
-                Object.keys(packageContent.devDependencies || {}).length +
-                Object.keys(packageContent.peerDependencies || {}).length
-            });
-          } catch (error) {
-            console.error(`Error processing package.json at ${packageJsonPath}:`, error);
-          }
-        } else {
-          console.log(`No package.json found at ${packageJsonPath}`);
-        }
-      }
-
-      const result = {
-        packageCount: packages.length,
-        packages,
-        totalDependencies: packages.reduce((acc, pkg) => acc + pkg.totalDependencies, 0),
-        internalDependencies: this.countInternalDependencies(packages)
-      };
-      
-      console.log(`Analysis complete. Found ${packages.length} packages.`);
-      return result;
-    } catch (error) {
-      console.error('Error analyzing structure:', error);
-      throw error;
-    }
-  }
 
-  countInternalDependencies(packages) {
-    const packageNames = new Set(packages.map(pkg => pkg.name));
-    let count = 0;
-    
-    packages.forEach(pkg => {
-      [...pkg.dependencies, ...pkg.devDependencies].forEach(dep => {
-        if (packageNames.has(dep)) count++;
-      });
+    // Get security vulnerabilities
+    this.app.get('/api/security', async (req, res) => {
+      try {
+        const data = await req.workspace.getCachedData('security', () => req.workspace.findSecurityVulnerabilities());
+        res.json(data);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
     });
-    
-    return count;
-  }
 
-  async findVersionInconsistencies() {
-    const structure = await this.analyzeStructure();
-    const dependencyVersions = {};
-    
-    // Collect all versions
-    structure.packages.forEach(pkg => {
-      const collectDeps = (deps, type) => {
-        Object.entries(deps || {}).forEach(([depName, version]) => {
-          dependencyVersions[depName] = dependencyVersions[depName] || [];
-          dependencyVersions[depName].push({
-            package: pkg.name,
-            version: version,
-            type
-          });
-        });
-      };
-      
+    // Get packages using a specific dependency
+    this.app.get('/api/usedby/:dependency', async (req, res) => {
       try {
-        const packageJson = JSON.parse(fs.readFileSync(path.join(pkg.path, 'package.json'), 'utf8'));
-        collectDeps(packageJson.dependencies, 'dependency');
-        collectDeps(packageJson.devDependencies, 'devDependency');
-        collectDeps(packageJson.peerDependencies, 'peerDependency');
-      } catch (e) {
-        console.error(`Error reading package.json for ${pkg.name}:`, e);
+        const dependency = req.params.dependency;
+        const cacheKey = `usedby-${dependency}`;
+        const data = await req.workspace.getCachedData(cacheKey, () => req.workspace.findPackagesUsingDependency(dependency));
+        res.json(data);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
       }
     });
-    
-    // Find inconsistencies
-    const inconsistencies = {};
-    Object.entries(dependencyVersions).forEach(([dep, versions]) => {
-      const uniqueVersions = new Set(versions.map(v => v.version));
-      if (uniqueVersions.size > 1) {
-        inconsistencies[dep] = versions;
+
+    // Explain why a package is installed: the paths from workspace packages to it
+    this.app.get('/api/why/:dependency', async (req, res) => {
+      try {
+        const dependency = req.params.dependency;
+        const cacheKey = `why-${dependency}`;
+        const data = await req.workspace.getCachedData(cacheKey, () => req.workspace.explainDependency(dependency));
+        res.json(data);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
       }
     });
-    
-    return {
-      total: Object.keys(inconsistencies).length,
-      details: inconsistencies
-    };
-  }
 
-  async findUnusedDependencies(packageName) {
-    try {
-      const structure = await this.analyzeStructure();
-      const results = {};
-      
-      const processPackage = async (pkg) => {
-        try {
-          // Use depcheck command-line tool if available
-          const output = execSync(`npx depcheck ${pkg.path} --json`, { 
-            encoding: 'utf8',
-            stdio: ['pipe', 'pipe', 'ignore']
-          });
-          
-          const depcheckResult = JSON.parse(output);
-          return {
-            unused: {
-              dependencies: depcheckResult.dependencies || [],
-              devDependencies: depcheckResult.devDependencies || []
-            },
-            missing: depcheckResult.missing || {}
-          };
-        } catch (error) {
-          // Fallback to basic detection when depcheck fails
-          console.warn(`Depcheck failed for ${pkg.name}, using basic detection`);
-          
-          // This is a very simplified check that just lists all dependencies
-          // as potential candidates - would need complex analysis to be accurate
-          const packageJson = JSON.parse(fs.readFileSync(path.join(pkg.path, 'package.json'), 'utf8'));
-          return {
-            unused: {
-              dependencies: Object.keys(packageJson.dependencies || {}),
-              devDependencies: Object.keys(packageJson.devDependencies || {})
-            },
-            note: "Basic detection only - use depcheck for accuracy"
-          };
-        }
-      };
-      
-      if (packageName) {
-        const pkg = structure.packages.find(p => p.name === packageName);
-        if (!pkg) {
-          throw new Error(`Package not found: ${packageName}`);
-        }
-        results[packageName] = await processPackage(pkg);
-      } else {
-        // Process all packages
-        for (const pkg of structure.packages) {
-          results[pkg.name] = await processPackage(pkg);
-        }
+    // Get dependencies for a specific project
+    this.app.get('/api/project-dependencies/:project', async (req, res) => {
+      try {
+        const project = req.params.project;
+        const cacheKey = `project-deps-${project}`;
+        const data = await req.workspace.getCachedData(cacheKey, () => req.workspace.getProjectDependencies(project));
+        res.json(data);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
       }
-      
-      return results;
-    } catch (error) {
-      console.error('Error in findUnusedDependencies:', error);
-      throw error;
-    }
-  }
+    });
 
-  async findOutdatedDependencies() {
-    try {
-      const output = execSync('npm outdated --json', { 
-        cwd: this.monorepoRoot,
-        encoding: 'utf8',
-        stdio: ['pipe', 'pipe', 'ignore']
-      });
-      
+    // Nx workspace: projects with their types and root dependency counts
+    this.app.get('/api/nx/projects', async (req, res) => {
       try {
-        return JSON.parse(output || '{}');
-      } catch (e) {
-        return { error: 'No outdated packages or invalid JSON response' };
+        const data = await req.workspace.getCachedData('nx-projects', () => req.workspace.getNxProjects());
+        res.json(data);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
       }
-    } catch (error) {
-      // npm outdated returns non-zero exit code when outdated packages are found
+    });
+
+    // Nx workspace: project-to-project dependency graph
+    this.app.get('/api/nx/graph', async (req, res) => {
       try {
-        return JSON.parse(error.stdout || '{}');
-      } catch (e) {
-        return { error: 'Error parsing npm outdated output', details: error.message };
+        const data = await req.workspace.getCachedData('nx-graph', () => req.workspace.getNxGraph());
+        res.json(data);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
       }
-    }
-  }
+    });
 
-  async generateDependencyGraph(packageName) {
-    try {
-      let targetPath = path.join(this.monorepoRoot, this.packagesDir);
-      
-      if (packageName) {
-        const structure = await this.analyzeStructure();
-        const pkg = structure.packages.find(p => p.name === packageName);
-        if (!pkg) {
-          throw new Error(`Package not found: ${packageName}`);
-        }
-        targetPath = pkg.path;
-      }
-      
-      // Use dependency-cruiser if available
+    // Nx workspace: npm dependencies imported by a project
+    this.app.get('/api/nx/project/:name/deps', async (req, res) => {
       try {
-        const excludePattern = `node_modules|dist|build`;
-        const output = execSync(
-          `npx dependency-cruiser --include-only "^${targetPath}" --exclude "${excludePattern}" --output-type json ${targetPath}`, 
-          { encoding: 'utf8' }
-        );
-        
-        return JSON.parse(output);
+        const name = req.params.name;
+        const data = await req.workspace.getCachedData(`nx-project-deps-${name}`, () => req.workspace.getNxProjectDependencies(name));
+        res.json(data);
       } catch (error) {
-        // Fallback to basic dependency extraction
-        console.warn('dependency-cruiser failed, using basic extraction');
-        
-        const structure = await this.analyzeStructure();
-        const graph = {
-          nodes: [],
-          edges: []
-        };
-        
-        // Create nodes for each package
-        structure.packages.forEach(pkg => {
-          graph.nodes.push({
-            id: pkg.name,
-            type: 'package'
-          });
-        });
-        
-        // Create edges for dependencies
-        structure.packages.forEach(pkg => {
-          const packageJson = JSON.parse(fs.readFileSync(path.join(pkg.path, 'package.json'), 'utf8'));
-          
-          const addDependencyEdges = (deps) => {
-            Object.keys(deps || {}).forEach(dep => {
-              const targetPkg = structure.packages.find(p => p.name === dep);
-              if (targetPkg) {
-                graph.edges.push({
-                  from: pkg.name,
-                  to: dep,
-                  type: 'depends on'
-                });
-              }
-            });
-          };
-          
-          addDependencyEdges(packageJson.dependencies);
-          addDependencyEdges(packageJson.devDependencies);
-        });
-        
-        return graph;
+        res.status(500).json({ error: error.message });
       }
-    } catch (error) {
-      console.error('Error in generateDependencyGraph:', error);
-      throw error;
-    }
-  }
+    });
 
-  async findCircularDependencies() {
-    try {
-      // Use madge if available
+    // Nx workspace: package.json generated from a project's imports (body: { write? })
+    this.app.post('/api/nx/project/:name/package-json', requireWriteAccessUnless(body => !body.write), async (req, res) => {
       try {
-        const output = execSync(
-          `npx madge --circular --json ${path.join(this.monorepoRoot, this.packagesDir)}`, 
-          { encoding: 'utf8' }
-        );
-        
-        return JSON.parse(output || '[]');
+        const { write } = req.body || {};
+        const data = await req.workspace.generateNxPackageJson(req.params.name, { write: Boolean(write) });
+        res.json(data);
       } catch (error) {
-        // Fallback to basic circular dependency detection
-        console.warn('madge failed, using basic circular detection');
-        
-        const graph = await this.generateDependencyGraph();
-        const adjacencyList = {};
-        
-        // Build adjacency list
-        graph.edges.forEach(edge => {
-          if (!adjacencyList[edge.from]) adjacencyList[edge.from] = [];
-          adjacencyList[edge.from].push(edge.to);
-        });
-        
-        // Basic cycle detection using DFS
-        const findCycles = (node) => {
-          const visited = new Set();
-          const path = new Set();
-          const cycles = [];
-          
-          const dfs = (current, pathArr) => {
-            if (path.has(current)) {
-              const cycleStart = pathArr.indexOf(current);
-              cycles.push(pathArr.slice(cycleStart).concat(current));
-              return;
-            }
-            
-            if (visited.has(current)) return;
-            
-            visited.add(current);
-            path.add(current);
-            pathArr.push(current);
-            
-            (adjacencyList[current] || []).forEach(neighbor => {
-              dfs(neighbor, [...pathArr]);
-            });
-            
-            path.delete(current);
-          };
-          
-          dfs(node, []);
-          return cycles;
-        };
-        
-        const allCycles = [];
-        Object.keys(adjacencyList).forEach(node => {
-          const cycles = findCycles(node);
-          cycles.forEach(cycle => {
-            // Canonicalize cycle to avoid duplicates
-            const sorted = [...cycle].sort();
-            const key = sorted.join(',');
-            if (!allCycles.some(c => c.join(',') === key)) {
-              allCycles.push(cycle);
-            }
-          });
-        });
-        
-        return allCycles;
+        res.status(500).json({ error: error.message });
       }
-    } catch (error) {
-      console.error('Error in findCircularDependencies:', error);
-      throw error;
-    }
-  }
+    });
 
-  async findSecurityVulnerabilities() {
-    try {
+    // Nx workspace: vulnerabilities mapped to the projects importing them
+    this.app.get('/api/nx/vulnerabilities', async (req, res) => {
       try {
-        const output = execSync('npm audit --json', { 
-          cwd: this.monorepoRoot,
-          encoding: 'utf8',
-          stdio: ['pipe', 'pipe', 'ignore']
-        });
-        
-        return JSON.parse(output || '{}');
+        const level = req.query.level;
+        const data = await req.workspace.getCachedData(`nx-vulnerabilities-${level || 'all'}`, () => req.workspace.getNxVulnerabilities(level));
+        res.json(data);
       } catch (error) {
-        // npm audit returns non-zero exit code when vulnerabilities are found
-        try {
-          return JSON.parse(error.stdout || '{}');
-        } catch (e) {
-          return { error: 'Error parsing npm audit output', details: error.message };
-        }
+        res.status(500).json({ error: error.message });
       }
-    } catch (error) {
-      console.error('Error in findSecurityVulnerabilities:', error);
-      throw error;
-    }
-  }
+    });
 
-  async findPackagesUsingDependency(dependency) {
-    console.log(`Looking for packages using ${dependency}...`);
-    const structure = await this.analyzeStructure();
-    console.log(`Got structure with ${structure.packageCount} packages`);
-    
-    const results = [];
-    
-    for (const pkg of structure.packages) {
+    // Advanced query endpoint - allows complex questions
+    this.app.post('/api/query', async (req, res) => {
       try {
-        console.log(`Checking ${pkg.name} for ${dependency}...`);
-        const packageJsonPath = path.join(pkg.path, 'package.json');
-        
-        if (!fs.existsSync(packageJsonPath)) {
-          console.log(`Package.json does not exist at: ${packageJsonPath}`);
-          continue;
-        }
-        
-        const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
-        
-        const usageInfo = {
-          package: pkg.name,
-          usageType: []
-        };
-        
-        if ((packageJson.dependencies || {})[dependency]) {
-          console.log(`Found ${dependency} as a dependency in ${pkg.name}`);
-          usageInfo.usageType.push('dependency');
-          usageInfo.version = packageJson.dependencies[dependency];
-        }
-        
-        if ((packageJson.devDependencies || {})[dependency]) {
-          console.log(`Found ${dependency} as a devDependency in ${pkg.name}`);
-          usageInfo.usageType.push('devDependency');
-          usageInfo.version = usageInfo.version || packageJson.devDependencies[dependency];
-        }
-        
-        if ((packageJson.peerDependencies || {})[dependency]) {
-          console.log(`Found ${dependency} as a peerDependency in ${pkg.name}`);
-          usageInfo.usageType.push('peerDependency');
-          usageInfo.version = usageInfo.version || packageJson.peerDependencies[dependency];
-        }
-        
-        if (usageInfo.usageType.length > 0) {
-          results.push(usageInfo);
-        }
+        const { query } = req.body;
+        const result = await req.workspace.processQuery(query);
+        res.json(result);
       } catch (error) {
-        console.error(`Error checking ${pkg.name} for dependency ${dependency}:`, error);
+        res.status(500).json({ error: error.message });
       }
-    }
-    
-    const result = {
-      dependency,
-      usedByCount: results.length,
-      packages: results
-    };
-    
-    console.log(`Result: ${results.length} packages use ${dependency}`);
-    return result;
+    });
+
+    // Invalidate cache
+    this.app.post('/api/cache/invalidate', (req, res) => {
+      const { key } = req.body;
+      if (key) {
+        req.workspace.invalidateCache(key);
+        res.json({ message: `Cache invalidated for key: ${key}` });
+      } else {
+        req.workspace.clearCache();
+        res.json({ message: `All cache invalidated for workspace: ${req.workspace.name}` });
+      }
+    });
+
+    // Model Context Protocol endpoint (Streamable HTTP with SSE for server messages)
+    this.mcpHttp = createMcpHttpHandler(this);
+    this.app.post('/mcp', this.mcpHttp.handlePost);
+    this.app.get('/mcp', this.mcpHttp.handleSessionRequest);
+    this.app.delete('/mcp', this.mcpHttp.handleSessionRequest);
   }
 
-  async getProjectDependencies(projectName) {
-    console.log(`Getting dependencies for project: ${projectName}`);
-    const structure = await this.analyzeStructure();
-    
-    // Find the requested project
-    const project = structure.packages.find(p => p.name === projectName || p.name.toLowerCase() === projectName.toLowerCase());
-    if (!project) {
-      console.log(`Project not found: ${projectName}`);
-      return {
-        error: `Project "${projectName}" not found in monorepo`,
-        availableProjects: structure.packages.map(p => p.name)
-      };
-    }
-    
-    console.log(`Found project ${project.name} at ${project.path}`);
-    
+  /**
+   * Run an analysis and stream its progress to the client as Server-Sent Events.
+   * Emits `started` (with the ID to cancel it), `progress`, and finally one of
+   * `result`, `cancelled` or `error`. The analysis is cancelled when the client disconnects.
+   */
+  async streamAnalysis(req, res, analysisFn) {
+    const id = randomUUID();
+    const controller = new AbortController();
+    this.runningAnalyses.set(id, controller);
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+    res.on('close', () => {
+      if (!res.writableEnded) controller.abort();
+    });
+
+    send('started', { id });
     try {
-      const packageJsonPath = path.join(project.path, 'package.json');
-      if (!fs.existsSync(packageJsonPath)) {
-        return {
-          error: `No package.json found for project "${projectName}"`,
-          path: packageJsonPath
-        };
-      }
-      
-      const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
-      
-      // Group all dependencies by type
-      const dependencies = Object.entries(packageJson.dependencies || {}).map(([name, version]) => ({ 
-        name, version, type: 'dependency' 
-      }));
-      
-      const devDependencies = Object.entries(packageJson.devDependencies || {}).map(([name, version]) => ({ 
-        name, version, type: 'devDependency' 
-      }));
-      
-      const peerDependencies = Object.entries(packageJson.peerDependencies || {}).map(([name, version]) => ({ 
-        name, version, type: 'peerDependency' 
-      }));
-      
-      // Combine all dependencies
-      const allDependencies = [...dependencies, ...devDependencies, ...peerDependencies];
-      
-      // Categorize dependencies as internal (part of the monorepo) or external
-      const packageNames = new Set(structure.packages.map(p => p.name));
-      const internalDependencies = allDependencies.filter(dep => packageNames.has(dep.name));
-      const externalDependencies = allDependencies.filter(dep => !packageNames.has(dep.name));
-      
-      return {
-        project: project.name,
-        path: project.path,
-        summary: {
-          total: allDependencies.length,
-          dependencies: dependencies.length,
-          devDependencies: devDependencies.length,
-          peerDependencies: peerDependencies.length,
-          internal: internalDependencies.length,
-          external: externalDependencies.length
-        },
-        dependencies: {
-          all: allDependencies,
-          production: dependencies,
-          development: devDependencies,
-          peer: peerDependencies,
-          internal: internalDependencies,
-          external: externalDependencies
-        }
-      };
+      const result = await analysisFn({
+        signal: controller.signal,
+        onProgress: (progress) => send('progress', progress)
+      });
+      send('result', result);
     } catch (error) {
-      console.error(`Error getting dependencies for ${projectName}:`, error);
-      return { error: error.message };
-    }
-  }
-
-  async processQuery(query) {
-    // Natural language query processing
-    console.log(`Processing query: "${query}"`);
-    const queryLower = query.toLowerCase();
-    
-    // Handle queries about dependencies for specific projects
-    const projectDepsMatch = queryLower.match(/(?:what|which|list|show|get|find)(?:\s+(?:are|is))?\s+(?:the\s+)?(?:dependencies|deps)(?:\s+(?:for|of|in|used\s+(?:by|in)))?\s+(?:project|package|proj|pkg)\s+([a-zA-Z0-9\-@/.]+)/i);
-    if (projectDepsMatch) {
-      const projectName = projectDepsMatch[1].trim();
-      console.log(`Detected project dependency query for: ${projectName}`);
-      return this.getProjectDependencies(projectName);
-    }
-    
-    // Alternative patterns for project dependency queries
-    if ((queryLower.includes('dependencies') || queryLower.includes('deps')) && 
-        (queryLower.includes('project') || queryLower.includes('package') || queryLower.includes('for'))) {
-      const projectMatch = query.match(/(?:project|package|proj|pkg)\s+([a-zA-Z0-9\-@/.]+)/i);
-      if (projectMatch) {
-        const projectName = projectMatch[1].trim();
-        console.log(`Detected alternative project dependency query for: ${projectName}`);
-        return this.getProjectDependencies(projectName);
-      }
-    }
-    
-    // Handle questions about dependencies more robustly
-    if (queryLower.includes('using') || queryLower.includes('depend')) {
-      const dependencyMatch = queryLower.match(/(using|depending on|depend on|use|uses)\s+([a-zA-Z0-9\-@/.]+)/i);
-      if (dependencyMatch) {
-        const dependency = dependencyMatch[2].trim();
-        console.log(`Detected dependency query for: ${dependency}`);
-        return this.findPackagesUsingDependency(dependency);
-      }
+      send(controller.signal.aborted ? 'cancelled' : 'error', { error: error.message });
+    } finally {
+      this.runningAnalyses.delete(id);
+      res.end();
     }
-    
-    // Simple keyword-based router for common questions
-    if (queryLower.includes('version') && queryLower.includes('inconsistent')) {
-      return this.findVersionInconsistencies();
-    }
-    
-    if (queryLower.includes('unused') && queryLower.includes('dependencies')) {
-      const packageMatch = query.match(/package[s]?\s+([a-zA-Z0-9\-@/]+)/i);
-      const packageName = packageMatch ? packageMatch[1] : null;
-      return this.findUnusedDependencies(packageName);
-    }
-    
-    if (queryLower.includes('outdated')) {
-      return this.findOutdatedDependencies();
-    }
-    
-    if (queryLower.includes('security') || queryLower.includes('vulnerabilities')) {
-      return this.findSecurityVulnerabilities();
-    }
-    
-    if (queryLower.includes('circular')) {
-      return this.findCircularDependencies();
-    }
-    
-    if (queryLower.includes('graph') || queryLower.includes('dependency') && queryLower.includes('structure')) {
-      const packageMatch = query.match(/package[s]?\s+([a-zA-Z0-9\-@/]+)/i);
-      const packageName = packageMatch ? packageMatch[1] : null;
-      return this.generateDependencyGraph(packageName);
-    }
-    
-    const usingMatch = query.match(/(?:packages|projects)\s+(?:using|depending on)\s+([a-zA-Z0-9\-@/]+)/i);
-    if (usingMatch) {
-      return this.findPackagesUsingDependency(usingMatch[1]);
-    }
-    
-    // Default to structure overview
-    return this.analyzeStructure();
   }
 
   start() {
     this.server = this.app.listen(this.port, () => {
       console.log(`MCP NPM Dependencies Server running on port ${this.port}`);
+      console.log(`REST API: http://localhost:${this.port}/api`);
+      console.log(`MCP endpoint: http://localhost:${this.port}/mcp`);
+      console.log(`Workspaces: ${Array.from(this.workspaces.keys()).join(', ')}`);
     });
     return this.server;
   }
 
-  stop() {
+  async stop() {
     if (this.server) {
-      this.server.close();
+      // Close MCP sessions first so their open SSE streams don't keep the server alive
+      await this.mcpHttp.closeAll();
+      await new Promise(resolve => this.server.close(resolve));
+      this.server = null;
       console.log('MCP NPM Dependencies Server stopped');
     }
   }
@@ -769,15 +556,17 @@ if (require.main === module) {
   const server = new MCPNpmServer({
     port: process.env.PORT || 3000,
     monorepoRoot: process.env.MONOREPO_ROOT || process.cwd(),
-    packagesDir: process.env.PACKAGES_DIR || 'packages'
+    packagesDir: process.env.PACKAGES_DIR,
+    workspacesFile: process.env.WORKSPACES_FILE,
+    allowWrite: process.env.ALLOW_WRITE === 'true'
   });
   
   server.start();
   
   // Handle graceful shutdown
-  const shutdown = () => {
+  const shutdown = async () => {
     console.log('Shutting down MCP NPM Dependencies Server...');
-    server.stop();
+    await server.stop();
     process.exit(0);
   };
   
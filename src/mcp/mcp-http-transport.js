@@ -0,0 +1,113 @@
+/**
+ * Streamable HTTP transport for the Model Context Protocol, mounted on the
+ * Express app of MCPNpmServer next to the REST routes.
+ *
+ * Clients POST JSON-RPC messages to /mcp, open an SSE stream for server
+ * messages with GET /mcp and end their session with DELETE /mcp. Every session
+ * gets its own protocol server built from the same tool, resource and prompt
+ * registries as the stdio transport.
+ */
+const { randomUUID } = require('crypto');
+const { StreamableHTTPServerTransport } = require('@modelcontextprotocol/sdk/server/streamableHttp.js');
+const { isInitializeRequest } = require('@modelcontextprotocol/sdk/types.js');
+const { createMcpServer } = require('./mcp-protocol-server');
+
+const SESSION_HEADER = 'mcp-session-id';
+
+function sendJsonRpcError(res, status, message) {
+  res.status(status).json({
+    jsonrpc: '2.0',
+    error: { code: -32000, message },
+    id: null
+  });
+}
+
+/**
+ * Create the request handlers and session registry for the /mcp endpoint
+ * @param {MCPNpmServer} npmServer - Server providing the dependency analyses
+ * @returns {Object} - Express handlers and session helpers
+ */
+function createMcpHttpHandler(npmServer) {
+  // Active transports by session ID
+  const sessions = new Map();
+
+  const startSession = async () => {
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      onsessioninitialized: (sessionId) => {
+        sessions.set(sessionId, transport);
+        console.log(`MCP session started: ${sessionId}`);
+      }
+    });
+
+    transport.onclose = () => {
+      if (transport.sessionId && sessions.delete(transport.sessionId)) {
+        console.log(`MCP session closed: ${transport.sessionId}`);
+      }
+    };
+
+    await createMcpServer(npmServer).connect(transport);
+    return transport;
+  };
+
+  // POST /mcp - client to server messages, starting a new session on initialize
+  const handlePost = async (req, res) => {
+    try {
+      const sessionId = req.headers[SESSION_HEADER];
+      let transport = sessionId ? sessions.get(sessionId) : null;
+
+      if (!transport) {
+        if (sessionId) {
+          return sendJsonRpcError(res, 404, `Unknown MCP session: ${sessionId}`);
+        }
+        if (!isInitializeRequest(req.body)) {
+          return sendJsonRpcError(res, 400, 'Bad Request: missing session ID');
+        }
+        transport = await startSession();
+      }
+
+      await transport.handleRequest(req, res, req.body);
+    } catch (error) {
+      console.error('Error handling MCP request:', error);
+      if (!res.headersSent) {
+        sendJsonRpcError(res, 500, error.message);
+      }
+    }
+  };
+
+  // GET /mcp opens the SSE stream, DELETE /mcp ends the session
+  const handleSessionRequest = async (req, res) => {
+    const sessionId = req.headers[SESSION_HEADER];
+    const transport = sessionId ? sessions.get(sessionId) : null;
+    if (!transport) {
+      return sendJsonRpcError(res, sessionId ? 404 : 400, 'Bad Request: missing or unknown session ID');
+    }
+
+    try {
+      await transport.handleRequest(req, res);
+    } catch (error) {
+      console.error('Error handling MCP session request:', error);
+      if (!res.headersSent) {
+        sendJsonRpcError(res, 500, error.message);
+      }
+    }
+  };
+
+  // Close every open session, ending their SSE streams
+  const closeAll = async () => {
+    const transports = Array.from(sessions.values());
+    sessions.clear();
+    await Promise.all(transports.map(transport => transport.close().catch(() => {})));
+  };
+
+  return {
+    sessions,
+    handlePost,
+    handleSessionRequest,
+    closeAll
+  };
+}
+
+module.exports = {
+  createMcpHttpHandler
+};
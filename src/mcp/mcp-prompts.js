@@ -0,0 +1,162 @@
+/**
+ * Prompt templates exposed through the Model Context Protocol layer.
+ *
+ * Each template pre-fills its context from the analyses of the selected
+ * workspace, so the assistant starts from the actual state of the monorepo.
+ */
+
+const SEVERITY_LEVELS = ['info', 'low', 'moderate', 'high', 'critical'];
+
+const WORKSPACE_ARGUMENT = {
+  name: 'workspace',
+  description: 'Registered workspace to use (defaults to the default workspace)',
+  required: false
+};
+
+function userMessage(text) {
+  return {
+    role: 'user',
+    content: { type: 'text', text }
+  };
+}
+
+function jsonBlock(data) {
+  return '```json\n' + JSON.stringify(data, null, 2) + '\n```';
+}
+
+/**
+ * Reduce npm audit output to the fields needed for triage
+ * @param {Object} auditData - npm audit --json output
+ * @param {string} minSeverity - Lowest severity to keep (see SEVERITY_LEVELS)
+ * @returns {Object[]|Object} - The vulnerabilities at or above minSeverity, or auditData itself
+ *   when it holds an error or no vulnerabilities
+ */
+function summarizeAudit(auditData, minSeverity) {
+  if (!auditData || auditData.error || !auditData.vulnerabilities) {
+    return auditData;
+  }
+
+  const threshold = SEVERITY_LEVELS.indexOf(minSeverity);
+  return Object.values(auditData.vulnerabilities)
+    .filter(vuln => SEVERITY_LEVELS.indexOf(vuln.severity) >= threshold)
+    .map(vuln => ({
+      name: vuln.name,
+      severity: vuln.severity,
+      range: vuln.range,
+      isDirect: vuln.isDirect,
+      via: (vuln.via || []).map(via => (typeof via === 'string' ? via : via.title)),
+      fixAvailable: vuln.fixAvailable
+    }));
+}
+
+const PROMPTS = [
+  {
+    name: 'plan_upgrade',
+    description: 'Plan an upgrade of a dependency across the monorepo',
+    arguments: [
+      { name: 'dependency', description: 'Dependency to upgrade', required: true },
+      { name: 'targetVersion', description: 'Version or range to upgrade to (defaults to latest)', required: false },
+      WORKSPACE_ARGUMENT
+    ],
+    build: async (workspace, args) => {
+      const usage = await workspace.getCachedData(
+        `usedby-${args.dependency}`,
+        () => workspace.findPackagesUsingDependency(args.dependency)
+      );
+      const target = args.targetVersion || 'its latest version';
+
+      return {
+        description: `Upgrade plan for ${args.dependency}`,
+        messages: [
+          userMessage(
+            `Plan an upgrade of ${args.dependency} to ${target} across our monorepo.\n\n` +
+            `These workspace packages currently declare it:\n${jsonBlock(usage)}\n\n` +
+            'Propose the order in which to upgrade the packages, call out breaking changes to check ' +
+            'between the current ranges and the target, and list the package.json edits needed to end up ' +
+            'with a single consistent range.'
+          )
+        ]
+      };
+    }
+  },
+  {
+    name: 'triage_audit',
+    description: 'Triage the security audit of the monorepo',
+    arguments: [
+      { name: 'minSeverity', description: `Lowest severity to include (${SEVERITY_LEVELS.join(', ')}; default: low)`, required: false },
+      WORKSPACE_ARGUMENT
+    ],
+    build: async (workspace, args) => {
+      const minSeverity = SEVERITY_LEVELS.includes(args.minSeverity) ? args.minSeverity : 'low';
+      const audit = await workspace.getCachedData('security', () => workspace.findSecurityVulnerabilities());
+
+      return {
+        description: `Security audit triage (${minSeverity} and above)`,
+        messages: [
+          userMessage(
+            `Triage this security audit of our monorepo (severity ${minSeverity} and above):\n` +
+            `${jsonBlock(summarizeAudit(audit, minSeverity))}\n\n` +
+            'Group the findings by the direct dependency that pulls them in, rank them by real-world risk, ' +
+            'and for each one say whether to upgrade, override the transitive version, or accept the risk.'
+          )
+        ]
+      };
+    }
+  },
+  {
+    name: 'explain_dependency',
+    description: 'Explain why a dependency is installed, including transitive dependencies',
+    arguments: [
+      { name: 'dependency', description: 'Dependency to explain, optionally with a version range (e.g. "minimist@<1.2.6")', required: true },
+      { name: 'package', description: 'Only explain the paths from this workspace package', required: false },
+      WORKSPACE_ARGUMENT
+    ],
+    build: async (workspace, args) => {
+      const why = await workspace.getCachedData(
+        `why-${args.dependency}`,
+        () => workspace.explainDependency(args.dependency)
+      );
+      let paths = why;
+      if (!why.error && args.package) {
+        const installed = why.installed
+          .map(({ version, paths }) => ({ version, paths: paths.filter(path => path.workspace === args.package) }))
+          .filter(({ paths }) => paths.length > 0);
+        paths = {
+          ...why,
+          workspaces: why.workspaces.filter(name => name === args.package),
+          totalPaths: installed.reduce((acc, { paths }) => acc + paths.length, 0),
+          installed
+        };
+      }
+      const subject = args.package || 'our monorepo';
+
+      return {
+        description: `Why ${subject} depends on ${args.dependency}`,
+        messages: [
+          userMessage(
+            `Explain why ${subject} pulls in ${args.dependency}.\n\n` +
+            'Every dependency path from the workspace packages to each installed version, with the range ' +
+            `declared at each hop and whether the path is only installed for development:\n${jsonBlock(paths)}\n\n` +
+            'Describe the chains through which the dependency arrives, whether it is needed at runtime ' +
+            'or only for development, and how it could be removed or deduplicated if it is not needed.'
+          )
+        ]
+      };
+    }
+  }
+];
+
+/**
+ * Find a prompt definition by name
+ * @param {string} name - Prompt name
+ * @returns {Object|undefined} - The prompt definition
+ */
+function findPrompt(name) {
+  return PROMPTS.find(prompt => prompt.name === name);
+}
+
+module.exports = {
+  PROMPTS,
+  findPrompt,
+  summarizeAudit
+};
@@ -0,0 +1,178 @@
+/**
+ * Model Context Protocol server exposing the MCPNpmServer analyses as tools
+ * and the workspace manifests, lockfile and reports as resources, together
+ * with prompt templates for common dependency workflows
+ */
+const { Server } = require('@modelcontextprotocol/sdk/server/index.js');
+const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio.js');
+const {
+  ListToolsRequestSchema,
+  CallToolRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
+  McpError,
+  ErrorCode
+} = require('@modelcontextprotocol/sdk/types.js');
+const { TOOLS, findTool, validateToolArguments } = require('./mcp-tools');
+const {
+  RESOURCE_NOT_FOUND,
+  RESOURCE_TEMPLATES,
+  listResources,
+  readResource
+} = require('./mcp-resources');
+const { PROMPTS, findPrompt } = require('./mcp-prompts');
+const { version } = require('../../package.json');
+
+const SERVER_INFO = {
+  name: 'npm-dependencies-mcp',
+  version
+};
+
+/**
+ * Look up the workspace named in a tool or prompt request
+ * @throws {McpError} - When no workspace is registered under the name
+ */
+function resolveWorkspace(npmServer, name) {
+  try {
+    return npmServer.getWorkspace(name);
+  } catch (error) {
+    throw new McpError(ErrorCode.InvalidParams, error.message);
+  }
+}
+
+/**
+ * Create an MCP protocol server backed by an MCPNpmServer instance
+ * @param {MCPNpmServer} npmServer - Server providing the dependency analyses
+ * @returns {Server} - MCP server, ready to be connected to a transport
+ */
+function createMcpServer(npmServer) {
+  const server = new Server(SERVER_INFO, {
+    capabilities: {
+      tools: {},
+      resources: {},
+      prompts: {}
+    }
+  });
+
+  server.setRequestHandler(ListToolsRequestSchema, async () => ({
+    tools: TOOLS.map(({ name, description, inputSchema }) => ({ name, description, inputSchema }))
+  }));
+
+  server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+    const { name, arguments: args = {} } = request.params;
+    const tool = findTool(name);
+    if (!tool) {
+      throw new McpError(ErrorCode.InvalidParams, `Unknown tool: ${name}`);
+    }
+
+    const validationError = validateToolArguments(tool, args);
+    if (validationError) {
+      throw new McpError(ErrorCode.InvalidParams, validationError);
+    }
+
+    const workspace = resolveWorkspace(npmServer, args.workspace);
+
+    // Long-running analyses report progress when the client asked for it, and
+    // stop when the client cancels the request
+    const progressToken = request.params._meta && request.params._meta.progressToken;
+    const context = {
+      server: npmServer,
+      signal: extra.signal,
+      onProgress: progressToken === undefined ? undefined : ({ progress, total, message }) =>
+        extra.sendNotification({
+          method: 'notifications/progress',
+          params: { progressToken, progress, total, message }
+        }).catch(() => {})
+    };
+
+    try {
+      const result = await tool.handler(workspace, args, context);
+      return {
+        content: [{ type: 'text', text: JSON.stringify(result, null, 2) }]
+      };
+    } catch (error) {
+      // Analysis failures are reported to the model rather than as protocol errors
+      return {
+        isError: true,
+        content: [{ type: 'text', text: `Error: ${error.message}` }]
+      };
+    }
+  });
+
+  server.setRequestHandler(ListResourcesRequestSchema, async () => ({
+    resources: await listResources(npmServer)
+  }));
+
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({
+    resourceTemplates: RESOURCE_TEMPLATES
+  }));
+
+  server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+    const { uri } = request.params;
+    const contents = await readResource(npmServer, uri);
+    if (!contents) {
+      throw new McpError(RESOURCE_NOT_FOUND, `Resource not found: ${uri}`, { uri });
+    }
+    return { contents };
+  });
+
+  server.setRequestHandler(ListPromptsRequestSchema, async () => ({
+    prompts: PROMPTS.map(({ name, description, arguments: promptArgs }) => ({
+      name,
+      description,
+      arguments: promptArgs
+    }))
+  }));
+
+  server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+    const { name, arguments: args = {} } = request.params;
+    const prompt = findPrompt(name);
+    if (!prompt) {
+      throw new McpError(ErrorCode.InvalidParams, `Unknown prompt: ${name}`);
+    }
+
+    const missing = prompt.arguments.find(arg => arg.required && !args[arg.name]);
+    if (missing) {
+      throw new McpError(ErrorCode.InvalidParams, `Missing required argument: ${missing.name}`);
+    }
+
+    return prompt.build(resolveWorkspace(npmServer, args.workspace), args);
+  });
+
+  return server;
+}
+
+/**
+ * Route console output to stderr so that stdout only carries JSON-RPC messages
+ */
+function redirectConsoleToStderr() {
+  const writeToStderr = (...args) => console.error(...args);
+  console.log = writeToStderr;
+  console.info = writeToStderr;
+  console.debug = writeToStderr;
+}
+
+/**
+ * Serve the MCP protocol over stdin/stdout
+ * @param {MCPNpmServer} npmServer - Server providing the dependency analyses
+ * @returns {Promise<Server>} - The connected MCP server
+ */
+async function startStdioServer(npmServer) {
+  redirectConsoleToStderr();
+
+  const server = createMcpServer(npmServer);
+  await server.connect(new StdioServerTransport());
+  const roots = npmServer.listWorkspaces().map(workspace => `${workspace.name} (${workspace.root})`);
+  console.error(`MCP NPM Dependencies Server (stdio) ready for ${roots.join(', ')}`);
+
+  return server;
+}
+
+module.exports = {
+  SERVER_INFO,
+  createMcpServer,
+  startStdioServer
+};
@@ -0,0 +1,198 @@
+/**
+ * Resources exposed through the Model Context Protocol layer.
+ *
+ * URIs use the npm-deps:// scheme:
+ *   npm-deps://package/<name>/package.json  - workspace package manifests
+ *   npm-deps://lockfile/<filename>          - the root lockfile
+ *   npm-deps://report/<filename>            - generated HTML/JSON reports
+ *
+ * Resources of workspaces other than the default one are prefixed with
+ * workspace/<workspace>/, e.g. npm-deps://workspace/web/lockfile/yarn.lock
+ */
+const fs = require('fs');
+const path = require('path');
+const { listReports } = require('../utils/report-utils');
+
+const URI_SCHEME = 'npm-deps://';
+
+// Lockfiles looked up in the monorepo root, in order of preference
+const LOCKFILE_NAMES = ['package-lock.json', 'npm-shrinkwrap.json', 'yarn.lock', 'pnpm-lock.yaml'];
+
+// JSON-RPC error code for unknown resources, as defined by the MCP specification
+const RESOURCE_NOT_FOUND = -32002;
+
+const MIME_TYPES = {
+  '.json': 'application/json',
+  '.yaml': 'application/yaml',
+  '.html': 'text/html',
+  '.lock': 'text/plain'
+};
+
+const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: `${URI_SCHEME}package/{name}/package.json`,
+    name: 'Workspace package manifest',
+    description: 'package.json of a workspace package, e.g. npm-deps://package/@scope/name/package.json',
+    mimeType: 'application/json'
+  },
+  {
+    uriTemplate: `${URI_SCHEME}lockfile/{filename}`,
+    name: 'Root lockfile',
+    description: 'Lockfile in the monorepo root (package-lock.json, yarn.lock or pnpm-lock.yaml)'
+  },
+  {
+    uriTemplate: `${URI_SCHEME}report/{filename}`,
+    name: 'Generated report',
+    description: 'HTML or JSON report written to the reports directory'
+  },
+  {
+    uriTemplate: `${URI_SCHEME}workspace/{workspace}/{resource}`,
+    name: 'Resource of another workspace',
+    description: 'Any of the resources above in a workspace other than the default one, e.g. npm-deps://workspace/web/lockfile/yarn.lock'
+  }
+];
+
+function getMimeType(filePath) {
+  return MIME_TYPES[path.extname(filePath)] || 'text/plain';
+}
+
+/**
+ * Find the lockfile in the monorepo root
+ * @param {string} monorepoRoot - Path to monorepo root
+ * @returns {string|null} - Absolute path to the lockfile
+ */
+function findLockfile(monorepoRoot) {
+  const lockfile = LOCKFILE_NAMES
+    .map(name => path.join(monorepoRoot, name))
+    .find(lockfilePath => fs.existsSync(lockfilePath));
+  return lockfile || null;
+}
+
+/**
+ * URI prefix of the resources of a workspace
+ */
+function workspacePrefix(npmServer, workspace) {
+  return workspace.name === npmServer.defaultWorkspace
+    ? URI_SCHEME
+    : `${URI_SCHEME}workspace/${encodeURIComponent(workspace.name)}/`;
+}
+
+/**
+ * List every concrete resource currently available in the registered workspaces
+ * @param {MCPNpmServer} npmServer - Server holding the workspace registry
+ * @returns {Promise<Object[]>} - MCP resource descriptors
+ */
+async function listResources(npmServer) {
+  const resources = [];
+
+  for (const workspace of npmServer.workspaces.values()) {
+    const prefix = workspacePrefix(npmServer, workspace);
+    const label = workspace.name === npmServer.defaultWorkspace ? '' : ` (${workspace.name})`;
+
+    const structure = await workspace.getCachedData('structure', () => workspace.analyzeStructure());
+    structure.packages.forEach(pkg => {
+      resources.push({
+        uri: `${prefix}package/${pkg.name}/package.json`,
+        name: `${pkg.name} package.json${label}`,
+        description: `Manifest of ${pkg.name}@${pkg.version}`,
+        mimeType: 'application/json'
+      });
+    });
+
+    const lockfile = findLockfile(workspace.monorepoRoot);
+    if (lockfile) {
+      const filename = path.basename(lockfile);
+      resources.push({
+        uri: `${prefix}lockfile/${filename}`,
+        name: `${filename}${label}`,
+        description: 'Root lockfile',
+        mimeType: getMimeType(lockfile)
+      });
+    }
+
+    listReports(workspace.reportsDir).forEach(reportPath => {
+      const filename = path.basename(reportPath);
+      resources.push({
+        uri: `${prefix}report/${filename}`,
+        name: `${filename}${label}`,
+        description: 'Generated dependency report',
+        mimeType: getMimeType(reportPath)
+      });
+    });
+  }
+
+  return resources;
+}
+
+/**
+ * Resolve a resource URI to a file on disk
+ * @param {MCPNpmServer} npmServer - Server holding the workspace registry
+ * @param {string} uri - Resource URI
+ * @returns {Promise<string|null>} - Absolute file path, or null if the URI is unknown
+ */
+async function resolveResourcePath(npmServer, uri) {
+  if (!uri.startsWith(URI_SCHEME)) {
+    return null;
+  }
+
+  let segments = uri.slice(URI_SCHEME.length).split('/');
+  let workspace = npmServer.workspaces.get(npmServer.defaultWorkspace);
+  if (segments[0] === 'workspace') {
+    workspace = npmServer.workspaces.get(decodeURIComponent(segments[1] || ''));
+    segments = segments.slice(2);
+  }
+  if (!workspace) {
+    return null;
+  }
+
+  const [kind, ...rest] = segments;
+  const remainder = decodeURIComponent(rest.join('/'));
+
+  switch (kind) {
+    case 'package': {
+      if (!remainder.endsWith('/package.json')) {
+        return null;
+      }
+      const packageName = remainder.slice(0, -'/package.json'.length);
+      const structure = await workspace.getCachedData('structure', () => workspace.analyzeStructure());
+      const pkg = structure.packages.find(p => p.name === packageName);
+      return pkg ? path.join(pkg.path, 'package.json') : null;
+    }
+    case 'lockfile': {
+      const lockfile = findLockfile(workspace.monorepoRoot);
+      return lockfile && path.basename(lockfile) === remainder ? lockfile : null;
+    }
+    case 'report':
+      return listReports(workspace.reportsDir).find(reportPath => path.basename(reportPath) === remainder) || null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Read the contents of a resource
+ * @param {MCPNpmServer} npmServer - Server holding the workspace registry
+ * @param {string} uri - Resource URI
+ * @returns {Promise<Object[]|null>} - MCP resource contents, or null if the URI is unknown
+ */
+async function readResource(npmServer, uri) {
+  const filePath = await resolveResourcePath(npmServer, uri);
+  if (!filePath || !fs.existsSync(filePath)) {
+    return null;
+  }
+
+  return [{
+    uri,
+    mimeType: getMimeType(filePath),
+    text: fs.readFileSync(filePath, 'utf8')
+  }];
+}
+
+module.exports = {
+  URI_SCHEME,
+  RESOURCE_NOT_FOUND,
+  RESOURCE_TEMPLATES,
+  findLockfile,
+  listResources,
+  readResource
+};
@@ -0,0 +1,354 @@
+/**
+ * Tool registry for the Model Context Protocol layer.
+ *
+ * Every tool wraps one of the workspace analyses and goes through the same
+ * cache keys as the matching REST route, so both APIs share cached results.
+ * Handlers receive the workspace selected by the `workspace` argument and a
+ * context with the MCPNpmServer, an AbortSignal and an optional onProgress
+ * callback for analyses that support them.
+ */
+
+const WORKSPACE_PROPERTY = {
+  type: 'string',
+  description: 'Name of the registered workspace to analyze (defaults to the default workspace)'
+};
+
+const TOOLS = [
+  {
+    name: 'list_workspaces',
+    description: 'List the monorepos registered with the server, by name, with their root directories',
+    inputSchema: {
+      type: 'object',
+      properties: {}
+    },
+    handler: (workspace, args, context) => context.server.listWorkspaces()
+  },
+  {
+    name: 'analyze_structure',
+    description: 'Overview of the monorepo: every workspace package with its version, path and dependency counts',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        workspace: WORKSPACE_PROPERTY
+      }
+    },
+    handler: (workspace) => workspace.getCachedData('structure', () => workspace.analyzeStructure())
+  },
+  {
+    name: 'find_version_inconsistencies',
+    description: 'List dependencies that are declared with different versions across workspace packages',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        workspace: WORKSPACE_PROPERTY
+      }
+    },
+    handler: (workspace) => workspace.getCachedData('inconsistencies', () => workspace.findVersionInconsistencies())
+  },
+  {
+    name: 'validate_internal_dependencies',
+    description: 'Check the ranges workspace packages declare on each other: ranges excluding the local version (installed from the registry instead of linked), and mixed use of the workspace: protocol and semver ranges',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        workspace: WORKSPACE_PROPERTY
+      }
+    },
+    handler: (workspace) => workspace.getCachedData('internal', () => workspace.validateInternalDependencies())
+  },
+  {
+    name: 'find_unused_dependencies',
+    description: 'Find declared dependencies that are never used, for one package or the whole monorepo, by parsing the source files and reading tool configs (ESLint, Babel, Jest, Prettier, tsconfig) and npm scripts; also lists imported packages the package does not declare (missing) and dependencies declared in the wrong field: devDependencies shipped code imports, dependencies only tests, stories, configs or scripts use (misplaced)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        package: { type: 'string', description: 'Workspace package name (defaults to all packages)' },
+        workspace: WORKSPACE_PROPERTY
+      }
+    },
+    handler: (workspace, args, context) => workspace.getCachedData(
+      `unused-${args.package || 'all'}`,
+      () => workspace.findUnusedDependencies(args.package, context)
+    )
+  },
+  {
+    name: 'find_outdated_dependencies',
+    description: 'List dependencies that have newer versions available on the registry',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        workspace: WORKSPACE_PROPERTY
+      }
+    },
+    handler: (workspace) => workspace.getCachedData('outdated', () => workspace.findOutdatedDependencies())
+  },
+  {
+    name: 'generate_dependency_graph',
+    description: 'Dependency graph of the monorepo, or of a single workspace package',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        package: { type: 'string', description: 'Workspace package name (defaults to the whole monorepo)' },
+        workspace: WORKSPACE_PROPERTY
+      }
+    },
+    handler: (workspace, args) => workspace.getCachedData(
+      `graph-${args.package || 'all'}`,
+      () => workspace.generateDependencyGraph(args.package)
+    )
+  },
+  {
+    name: 'find_circular_dependencies',
+    description: 'Detect circular dependency chains between modules and workspace packages',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        workspace: WORKSPACE_PROPERTY
+      }
+    },
+    handler: (workspace) => workspace.getCachedData('circular', () => workspace.findCircularDependencies())
+  },
+  {
+    name: 'find_duplicate_packages',
+    description: 'List packages installed at more than one version according to the lockfile, with the dependency chains pulling in each version and the ranges to widen to deduplicate them',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        workspace: WORKSPACE_PROPERTY
+      }
+    },
+    handler: (workspace) => workspace.getCachedData('duplicates', () => workspace.findDuplicatePackages())
+  },
+  {
+    name: 'check_node_engines',
+    description: 'Check the engines.node ranges of the workspace packages and installed packages against the supported Node versions (the root engines.node, .nvmrc, .node-version and volta)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        node: { type: 'string', description: 'Lowest supported Node version (e.g. "18"), instead of the one the root engines.node accepts' },
+        workspace: WORKSPACE_PROPERTY
+      }
+    },
+    handler: (workspace, args) => workspace.getCachedData(
+      `engines-${args.node || ''}`,
+      () => workspace.analyzeEngines({ node: args.node })
+    )
+  },
+  {
+    name: 'check_peer_dependencies',
+    description: 'Check the peer dependencies of the workspace packages and installed packages against the versions their consumers provide, with npm ERESOLVE-style explanations of missing and incompatible peers',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        workspace: WORKSPACE_PROPERTY
+      }
+    },
+    handler: (workspace) => workspace.getCachedData('peers', () => workspace.checkPeerDependencies())
+  },
+  {
+    name: 'check_lockfile_drift',
+    description: 'Check that the lockfile matches the package.json files: declared ranges not satisfied by the locked version, declared ranges the lockfile has no entry for (e.g. edited without reinstalling), and locked packages no manifest requires anymore',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        workspace: WORKSPACE_PROPERTY
+      }
+    },
+    handler: (workspace) => workspace.checkLockfileDrift()
+  },
+  {
+    name: 'check_version_policy',
+    description: 'Check the package.json files against the version policy in .mcp-npm-policy.json (pinned, allowed and banned versions, dependencies that must share a version) and list the violations with their file and line',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        workspace: WORKSPACE_PROPERTY
+      }
+    },
+    handler: (workspace) => workspace.checkPolicy()
+  },
+  {
+    name: 'find_security_vulnerabilities',
+    description: 'Run a security audit of the installed dependencies',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        workspace: WORKSPACE_PROPERTY
+      }
+    },
+    handler: (workspace) => workspace.getCachedData('security', () => workspace.findSecurityVulnerabilities())
+  },
+  {
+    name: 'find_packages_using_dependency',
+    description: 'List the workspace packages that declare a dependency, with the declared range, the version resolved in the lockfile and the dependency type',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        dependency: { type: 'string', description: 'Dependency name, e.g. "lodash" or "@scope/name"' },
+        workspace: WORKSPACE_PROPERTY
+      },
+      required: ['dependency']
+    },
+    handler: (workspace, args) => workspace.getCachedData(
+      `usedby-${args.dependency}`,
+      () => workspace.findPackagesUsingDependency(args.dependency)
+    )
+  },
+  {
+    name: 'explain_dependency',
+    description: 'Explain why a package is installed: every dependency path from the workspace packages to each installed version, with the declared range at each hop and whether the path is dev-only',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        dependency: { type: 'string', description: 'Package name, optionally with a version range (e.g. "minimist" or "minimist@<1.2.6")' },
+        workspace: WORKSPACE_PROPERTY
+      },
+      required: ['dependency']
+    },
+    handler: (workspace, args) => workspace.getCachedData(
+      `why-${args.dependency}`,
+      () => workspace.explainDependency(args.dependency)
+    )
+  },
+  {
+    name: 'get_project_dependencies',
+    description: 'All dependencies of one workspace package with declared ranges and lockfile-resolved versions, grouped by type and split into internal and external',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project: { type: 'string', description: 'Workspace package name' },
+        workspace: WORKSPACE_PROPERTY
+      },
+      required: ['project']
+    },
+    handler: (workspace, args) => workspace.getCachedData(
+      `project-deps-${args.project}`,
+      () => workspace.getProjectDependencies(args.project)
+    )
+  },
+  {
+    name: 'nx_list_projects',
+    description: 'Nx workspace only: list the projects with their types, plus root dependency counts and detected frameworks',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        workspace: WORKSPACE_PROPERTY
+      }
+    },
+    handler: (workspace) => workspace.getCachedData('nx-projects', () => workspace.getNxProjects())
+  },
+  {
+    name: 'nx_project_graph',
+    description: 'Nx workspace only: project-to-project dependency graph from nx graph',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        workspace: WORKSPACE_PROPERTY
+      }
+    },
+    handler: (workspace) => workspace.getCachedData('nx-graph', () => workspace.getNxGraph())
+  },
+  {
+    name: 'nx_project_dependencies',
+    description: 'Nx workspace only: npm packages imported by a project, matched against the root package.json',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project: { type: 'string', description: 'Nx project name' },
+        workspace: WORKSPACE_PROPERTY
+      },
+      required: ['project']
+    },
+    handler: (workspace, args) => workspace.getCachedData(
+      `nx-project-deps-${args.project}`,
+      () => workspace.getNxProjectDependencies(args.project)
+    )
+  },
+  {
+    name: 'nx_generate_package_json',
+    description: 'Nx workspace only: package.json a project would publish, generated from the imports of its source files (versions locked or installed at the root, library peer dependencies with the root range, internal libraries by package name), with a diff against its current package.json and the imports that are root devDependencies. Nothing is written',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project: { type: 'string', description: 'Nx project name' },
+        workspace: WORKSPACE_PROPERTY
+      },
+      required: ['project']
+    },
+    handler: (workspace, args) => workspace.generateNxPackageJson(args.project)
+  },
+  {
+    name: 'nx_vulnerabilities',
+    description: 'Nx workspace only: npm audit results mapped to the projects importing the vulnerable packages',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        level: {
+          type: 'string',
+          enum: ['low', 'moderate', 'high', 'critical'],
+          description: 'Minimum vulnerability level'
+        },
+        workspace: WORKSPACE_PROPERTY
+      }
+    },
+    handler: (workspace, args) => workspace.getCachedData(
+      `nx-vulnerabilities-${args.level || 'all'}`,
+      () => workspace.getNxVulnerabilities(args.level)
+    )
+  }
+];
+
+/**
+ * Find a tool definition by name
+ * @param {string} name - Tool name
+ * @returns {Object|undefined} - The tool definition
+ */
+function findTool(name) {
+  return TOOLS.find(tool => tool.name === name);
+}
+
+/**
+ * Check tool arguments against the tool's input schema
+ * @param {Object} tool - Tool definition
+ * @param {Object} args - Arguments supplied by the client
+ * @returns {string|null} - Error message, or null when the arguments are valid
+ */
+function validateToolArguments(tool, args) {
+  const { properties = {}, required = [] } = tool.inputSchema;
+
+  for (const key of required) {
+    if (args[key] === undefined || args[key] === null || args[key] === '') {
+      return `Missing required argument: ${key}`;
+    }
+  }
+
+  for (const [key, value] of Object.entries(args)) {
+    const schema = properties[key];
+    if (!schema) {
+      return `Unknown argument: ${key}`;
+    }
+    if (schema.type && !matchesType(value, schema.type)) {
+      return `Argument "${key}" must be of type ${schema.type}`;
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+      return `Argument "${key}" must be one of: ${schema.enum.join(', ')}`;
+    }
+  }
+
+  return null;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'array': return Array.isArray(value);
+    case 'integer': return Number.isInteger(value);
+    case 'object': return typeof value === 'object' && !Array.isArray(value);
+    default: return typeof value === type;
+  }
+}
+
+module.exports = {
+  TOOLS,
+  findTool,
+  validateToolArguments
+};
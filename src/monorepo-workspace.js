@@ -0,0 +1,1949 @@
+const { execSync, exec } = require('child_process');
+const { promisify } = require('util');
+const fs = require('fs');
+const path = require('path');
+const semver = require('semver');
+const { DEFAULT_REPORTS_DIR } = require('./utils/report-utils');
+const { resolveWorkspaces } = require('./utils/workspace-utils');
+const { loadLockfile, detectPackageManager, DependencyGraph } = require('./lockfile');
+const { fetchPackageMetadata, fetchAdvisories, mapInBatches } = require('./utils/registry-utils');
+const { SEVERITIES, compareVersions, toSemverRange, findCommonRange, classifyRanges } = require('./utils/semver-utils');
+const { setJsonValue, createDiff } = require('./utils/manifest-utils');
+const { analyzeDependencyUsage } = require('./usage');
+const { POLICY_FILE, loadPolicy, evaluatePolicy } = require('./utils/policy-utils');
+const NxMonorepoAnalyzer = require('./nx/nx-root-analyzer');
+const NxProjectDepsAnalyzer = require('./nx/nx-project-deps');
+const { auditWorkspace } = require('./nx/nx-vuln-scanner');
+const { readNxGraph } = require('./nx/nx-graph-visualizer');
+
+const execAsync = promisify(exec);
+
+const AUDIT_LEVELS = ['low', 'moderate', 'high', 'critical'];
+
+// Paths listed per installed instance by explainDependency
+const MAX_WHY_PATHS = 50;
+
+// Dependency fields rewritten by alignVersions
+const ALIGNED_DEPENDENCY_TYPES = ['dependencies', 'devDependencies', 'optionalDependencies', 'peerDependencies'];
+
+// Commands refreshing the lockfile without installing, where the package manager has one
+const LOCKFILE_REFRESH_COMMANDS = {
+  npm: 'npm install --package-lock-only --ignore-scripts',
+  pnpm: 'pnpm install --lockfile-only --ignore-scripts',
+  yarn: 'yarn install --mode=update-lockfile',
+  yarnClassic: 'yarn install --ignore-scripts'
+};
+
+// Dependency fields whose packages end up installed
+const INSTALLED_DEPENDENCY_TYPES = ['dependencies', 'devDependencies', 'optionalDependencies'];
+
+// Files pinning the Node version, besides the volta field of the root package.json
+const NODE_VERSION_FILES = ['.nvmrc', '.node-version'];
+
+// Quote paths for use as shell arguments
+function quotePaths(paths) {
+  return paths.map(p => `"${p.replace(/(["\\$`])/g, '\\$1')}"`).join(' ');
+}
+
+/**
+ * Split "name@range" (the name may be scoped)
+ */
+function parsePackageSpec(spec) {
+  const at = spec.indexOf('@', 1);
+  return at === -1
+    ? { name: spec, range: null }
+    : { name: spec.slice(0, at), range: spec.slice(at + 1) || null };
+}
+
+/**
+ * How a dependency on a workspace package is declared: "workspace" (workspace: protocol),
+ * "semver", "local" (file:, link: or portal:), or "invalid"
+ */
+function getInternalProtocol(range) {
+  if (range.startsWith('workspace:')) {
+    return 'workspace';
+  }
+  if (/^(file|link|portal):/.test(range)) {
+    return 'local';
+  }
+  return semver.validRange(toSemverRange(range)) ? 'semver' : 'invalid';
+}
+
+/**
+ * Node providing a peer dependency of a package to one of its consumers: the consumer's
+ * own dependency on it, or else the one the lockfile resolves for the package itself
+ * @returns {string|null} - Node ID, or null if the peer is missing
+ */
+function findProvidedPeer(graph, consumerId, id, peerName) {
+  const find = nodeId => graph.nodes.get(nodeId).dependencies
+    .map(dependency => dependency.name === peerName ? graph.getTargetId(dependency) : null)
+    .find(Boolean);
+  return find(consumerId) || find(id) || null;
+}
+
+/**
+ * Lines of a dependency chain, innermost first and indented like npm's ERESOLVE
+ * explanations: 'react@"^17.0.0" from app@1.0.0'
+ */
+function formatChain(graph, chain, indent) {
+  const hops = graph.describeHops(chain);
+  return hops.map((hop, index) => {
+    const from = graph.describe(chain[index]);
+    return hop.range ? `${hop.name}@"${hop.range}" from ${from}` : `${hop.name}@${hop.version} from ${from}`;
+  }).reverse().map((line, index) => `${' '.repeat(indent + index * 2)}${line}`);
+}
+
+/**
+ * npm ERESOLVE-style explanation of a missing or incompatible peer dependency
+ */
+function explainPeerConflict(graph, consumerId, id, peer, providedId) {
+  const lines = [`While resolving: ${graph.describe(consumerId)}`];
+
+  if (providedId) {
+    lines.push(`Found: ${graph.describe(providedId)}`);
+    const foundChain = graph.findChains(providedId, { limit: 1 })[0];
+    if (foundChain) {
+      lines.push(...formatChain(graph, foundChain, 2));
+    }
+  }
+
+  lines.push(providedId ? 'Could not resolve dependency:' : 'Missing peer dependency:');
+  lines.push(`peer ${peer.name}@"${peer.range}" from ${graph.describe(id)}`);
+  if (consumerId !== id) {
+    const chain = graph.findChains(consumerId, { limit: 1 })[0] || [consumerId];
+    lines.push(...formatChain(graph, [...chain, id], 2));
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Node version a pin like "v22.3.0", "22" or "lts/iron" stands for, as a semver range
+ * @returns {string|null} - The range, or null for aliases that need a version manager to resolve
+ */
+function toNodeRange(value) {
+  const version = String(value).trim().replace(/^v/, '');
+  return /^\d/.test(version) && semver.validRange(version) ? version : null;
+}
+
+/**
+ * Node versions pinned by .nvmrc, .node-version and the volta field of the root package.json
+ * @returns {Object[]} - { source, value, range }
+ */
+function readNodePins(rootDir, rootPackageJson) {
+  const pins = [];
+
+  NODE_VERSION_FILES.forEach(file => {
+    const filePath = path.join(rootDir, file);
+    if (fs.existsSync(filePath)) {
+      // The version is on the first line; .nvmrc may have comments after it
+      const value = fs.readFileSync(filePath, 'utf8').split(/\r?\n/)[0].replace(/#.*$/, '').trim();
+      pins.push({ source: file, value, range: toNodeRange(value) });
+    }
+  });
+
+  if (rootPackageJson.volta && rootPackageJson.volta.node) {
+    pins.push({ source: 'volta', value: rootPackageJson.volta.node, range: toNodeRange(rootPackageJson.volta.node) });
+  }
+
+  return pins;
+}
+
+/**
+ * engines.node of a manifest or lockfile entry, if it is a valid range
+ * (very old packages have an array of strings instead)
+ */
+function getNodeEngine(engines) {
+  const range = engines && !Array.isArray(engines) && typeof engines.node === 'string' ? engines.node : null;
+  return range && semver.validRange(range) ? range : null;
+}
+
+/**
+ * Pick the installed version satisfying most of the requested ranges (the highest on a tie),
+ * and list the ranges that would need widening to share it. Requests whose range the
+ * lockfile does not record (pnpm's transitive dependencies) can't be checked and are left out.
+ * @param {Object[]} versions - { version, instances } of every installed version
+ * @param {Object[]} allRequests - { dependent, range } of every package depending on it
+ * @returns {Object} - { version, withoutChanges, rangesToWiden, rangesNotRecorded, removableCopies }
+ */
+function estimateDedupe(versions, allRequests) {
+  const requests = allRequests.filter(request => request.range);
+  const candidates = versions
+    .map(({ version }) => version)
+    .sort((a, b) => compareVersions(b, a))
+    .map(version => ({
+      version,
+      unsatisfied: requests.filter(request => !semver.satisfies(version, toSemverRange(request.range)))
+    }));
+  const target = candidates.reduce((best, candidate) =>
+    candidate.unsatisfied.length < best.unsatisfied.length ? candidate : best);
+
+  return {
+    version: target.version,
+    withoutChanges: target.unsatisfied.length === 0,
+    rangesToWiden: target.unsatisfied,
+    rangesNotRecorded: allRequests.length - requests.length,
+    // Every copy but one goes away once all dependents accept the same version
+    removableCopies: versions.reduce((acc, { instances }) => acc + instances, 0) - 1
+  };
+}
+
+/**
+ * One monorepo registered with the server, with its own analysis cache.
+ * Every dependency analysis runs against the workspace's monorepoRoot.
+ */
+class MonorepoWorkspace {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Workspace name
+   * @param {string} [options.monorepoRoot=process.cwd()] - Path to monorepo root
+   * @param {string} [options.packagesDir] - Directory containing packages, overriding the workspace globs
+   * @param {boolean} [options.nx] - Nx workspace mode (detected from nx.json by default)
+   * @param {string} [options.reportsDir='deps-reports'] - Reports directory, relative to the root
+   * @param {number} [options.cacheTTL=3600000] - Cache TTL in milliseconds
+   */
+  constructor(options = {}) {
+    this.name = options.name;
+    this.monorepoRoot = path.resolve(options.monorepoRoot || process.cwd());
+    this.packagesDir = options.packagesDir || null; // Overrides the workspace globs when set
+    this.cache = new Map();
+    this.cacheTime = new Map();
+    this.cacheTTL = options.cacheTTL || 3600000; // 1 hour default
+    this.reportsDir = path.resolve(this.monorepoRoot, options.reportsDir || DEFAULT_REPORTS_DIR);
+    
+    // Nx workspace mode, detected from nx.json unless set explicitly
+    this.nx = options.nx !== undefined
+      ? Boolean(options.nx)
+      : fs.existsSync(path.join(this.monorepoRoot, 'nx.json'));
+    if (this.nx) {
+      this.nxAnalyzer = new NxMonorepoAnalyzer({ rootDir: this.monorepoRoot });
+      this.nxProjectDepsAnalyzer = new NxProjectDepsAnalyzer({ rootDir: this.monorepoRoot });
+    }
+  }
+
+  /**
+   * Summary of the workspace for listings
+   */
+  toJSON() {
+    return {
+      name: this.name,
+      root: this.monorepoRoot,
+      packagesDir: this.packagesDir,
+      nx: this.nx
+    };
+  }
+
+  async getCachedData(key, dataFn) {
+    const now = Date.now();
+    if (this.cache.has(key) && now - this.cacheTime.get(key) < this.cacheTTL) {
+      return this.cache.get(key);
+    }
+    
+    const data = await dataFn();
+    this.cache.set(key, data);
+    this.cacheTime.set(key, now);
+    return data;
+  }
+
+  invalidateCache(key) {
+    if (this.cache.has(key)) {
+      this.cache.delete(key);
+      this.cacheTime.delete(key);
+    }
+  }
+
+  clearCache() {
+    this.cache.clear();
+    this.cacheTime.clear();
+  }
+
+  async analyzeStructure() {
+    console.log('Analyzing structure...');
+    console.log('Monorepo root:', this.monorepoRoot);
+    
+    try {
+      // Resolve package directories from the workspace globs (or the packagesDir override)
+      const workspaces = resolveWorkspaces(this.monorepoRoot, this.packagesDir);
+      console.log(`Workspace patterns (${workspaces.source}):`, workspaces.patterns);
+      
+      const packageDirs = workspaces.directories;
+      console.log('Found package directories:', packageDirs);
+      
+      const packages = [];
+      
+      for (const dir of packageDirs) {
+        const packageJsonPath = path.join(dir, 'package.json');
+        
+        try {
+          const packageContent = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
+          const packageDir = path.dirname(packageJsonPath);
+          const packageName = packageContent.name;
+          
+          console.log(`Found package ${packageName} at ${packageDir}`);
+          
+          packages.push({
+            name: packageName,
+            version: packageContent.version,
+            path: packageDir,
+            dependencies: Object.keys(packageContent.dependencies || {}),
+            devDependencies: Object.keys(packageContent.devDependencies || {}),
+            peerDependencies: Object.keys(packageContent.peerDependencies || {}),
+            engines: packageContent.engines || null,
+            totalDependencies: 
+              Object.keys(packageContent.dependencies || {}).length +
+              Object.keys(packageContent.devDependencies || {}).length +
+              Object.keys(packageContent.peerDependencies || {}).length
+          });
+        } catch (error) {
+          console.error(`Error processing package.json at ${packageJsonPath}:`, error);
+        }
+      }
+
+      const result = {
+        packageCount: packages.length,
+        workspaces: {
+          source: workspaces.source,
+          patterns: workspaces.patterns
+        },
+        packageManager: detectPackageManager(this.monorepoRoot),
+        packages,
+        totalDependencies: packages.reduce((acc, pkg) => acc + pkg.totalDependencies, 0),
+        internalDependencies: this.countInternalDependencies(packages)
+      };
+      
+      console.log(`Analysis complete. Found ${packages.length} packages.`);
+      return result;
+    } catch (error) {
+      console.error('Error analyzing structure:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Directories of all workspace packages
+   * @returns {Promise<string[]>} - Absolute package paths
+   */
+  async getPackagePaths() {
+    const structure = await this.getCachedData('structure', () => this.analyzeStructure());
+    return structure.packages.map(pkg => pkg.path);
+  }
+
+  /**
+   * Lockfile of the monorepo
+   * @returns {Promise<Object|null>} - Lockfile model, or null if there is none or it can't be read
+   */
+  async getLockfile() {
+    return this.getCachedData('lockfile', () => {
+      try {
+        return loadLockfile(this.monorepoRoot);
+      } catch (error) {
+        console.warn(`Could not read lockfile: ${error.message}`);
+        return null;
+      }
+    });
+  }
+
+  /**
+   * Version of a dependency installed for a workspace package, according to the lockfile
+   * @param {Object|null} lockfile - Lockfile model
+   * @param {string} packagePath - Absolute path of the workspace package
+   * @param {string} dependency - Dependency name
+   * @param {string} [range] - Declared range, needed to pick the entry in yarn lockfiles
+   * @returns {string|null} - Resolved version
+   */
+  getResolvedVersion(lockfile, packagePath, dependency, range) {
+    if (!lockfile) {
+      return null;
+    }
+    const resolved = lockfile.resolveDependency(path.relative(this.monorepoRoot, packagePath), dependency, range);
+    if (!resolved) {
+      return null;
+    }
+
+    // Workspace links resolve to the version of the linked package
+    if (resolved.link && resolved.location) {
+      try {
+        const linkedPackage = JSON.parse(fs.readFileSync(path.join(this.monorepoRoot, resolved.location, 'package.json'), 'utf8'));
+        return linkedPackage.version || resolved.version || null;
+      } catch (error) {
+        return resolved.version || null;
+      }
+    }
+    return resolved.version || null;
+  }
+
+  /**
+   * package.json of the root and of every workspace package
+   * @returns {Promise<Object[]>} - { name, packagePath, packageJson, content }
+   */
+  async readManifests() {
+    const packagePaths = [this.monorepoRoot, ...await this.getPackagePaths()];
+    const manifests = [];
+
+    for (const packagePath of packagePaths) {
+      try {
+        const content = fs.readFileSync(path.join(packagePath, 'package.json'), 'utf8');
+        const packageJson = JSON.parse(content);
+        manifests.push({ name: packageJson.name || path.basename(packagePath), packagePath, packageJson, content });
+      } catch (error) {
+        continue;
+      }
+    }
+
+    return manifests;
+  }
+
+  /**
+   * Every installable dependency declared by the root package.json and the workspace packages
+   * @returns {Promise<Object[]>} - { name, range, type, dependent, packagePath }
+   */
+  async getDeclaredDependencies() {
+    const declared = [];
+
+    (await this.readManifests()).forEach(({ name: dependent, packagePath, packageJson }) => {
+      INSTALLED_DEPENDENCY_TYPES.forEach(type => {
+        Object.entries(packageJson[type] || {}).forEach(([name, range]) => {
+          declared.push({ name, range, type, dependent, packagePath });
+        });
+      });
+    });
+
+    return declared;
+  }
+
+  /**
+   * Installed dependency graph, from the workspace manifests and the lockfile
+   * @returns {Promise<DependencyGraph|null>} - Graph, or null if there is no lockfile
+   */
+  async getInstalledGraph() {
+    return this.getCachedData('installed-graph', async () => {
+      const lockfile = await this.getLockfile();
+      return lockfile ? this.buildInstalledGraph(lockfile, await this.readManifests()) : null;
+    });
+  }
+
+  /**
+   * @param {Object} lockfile - Lockfile model
+   * @param {Object[]} manifests - Manifests, as returned by readManifests
+   * @returns {DependencyGraph} - Graph of the installed packages
+   */
+  buildInstalledGraph(lockfile, manifests) {
+    const workspaces = manifests.map(({ name, packagePath, packageJson }) => ({
+      name,
+      version: packageJson.version,
+      location: path.relative(this.monorepoRoot, packagePath),
+      dependencies: INSTALLED_DEPENDENCY_TYPES.flatMap(type =>
+        Object.entries(packageJson[type] || {}).map(([dependency, range]) => ({ name: dependency, range, type }))),
+      peerDependencies: packageJson.peerDependencies,
+      peerDependenciesMeta: packageJson.peerDependenciesMeta
+    }));
+    return new DependencyGraph(lockfile, workspaces);
+  }
+
+  countInternalDependencies(packages) {
+    const packageNames = new Set(packages.map(pkg => pkg.name));
+    let count = 0;
+    
+    packages.forEach(pkg => {
+      [...pkg.dependencies, ...pkg.devDependencies].forEach(dep => {
+        if (packageNames.has(dep)) count++;
+      });
+    });
+    
+    return count;
+  }
+
+  /**
+   * Check every dependency of a workspace package on another workspace package:
+   * semver ranges must accept the local version (otherwise the package manager
+   * installs it from the registry instead of linking it), and all internal
+   * dependencies should be declared the same way (workspace: protocol or semver)
+   * @returns {Promise<Object>} - { packageManager, total, protocols, preferredProtocol, issues }
+   */
+  async validateInternalDependencies() {
+    const structure = await this.getCachedData('structure', () => this.analyzeStructure());
+    const localVersions = new Map(structure.packages.map(pkg => [pkg.name, pkg.version]));
+    const packageManager = structure.packageManager.name;
+
+    const edges = [];
+    (await this.readManifests())
+      .filter(manifest => manifest.packagePath !== this.monorepoRoot)
+      .forEach(({ name: dependent, packageJson }) => {
+        ALIGNED_DEPENDENCY_TYPES.forEach(type => {
+          Object.entries(packageJson[type] || {}).forEach(([dependency, range]) => {
+            if (localVersions.has(dependency)) {
+              edges.push({ package: dependent, dependency, type, range, localVersion: localVersions.get(dependency) || null });
+            }
+          });
+        });
+      });
+
+    const protocols = {};
+    edges.forEach(edge => {
+      edge.protocol = getInternalProtocol(edge.range);
+      protocols[edge.protocol] = (protocols[edge.protocol] || 0) + 1;
+    });
+
+    // The style most internal dependencies use; the workspace: protocol wins a tie
+    const preferredProtocol = (protocols.workspace || 0) >= (protocols.semver || 0)
+      ? (protocols.workspace ? 'workspace' : null)
+      : 'semver';
+    const mixed = Boolean(protocols.workspace && protocols.semver);
+
+    // Ranges in the preferred style that link the local version
+    const suggestRange = local => packageManager !== 'npm' && preferredProtocol === 'workspace'
+      ? 'workspace:^'
+      : (local ? `^${local}` : '*');
+
+    const issues = [];
+    edges.forEach(({ protocol, ...edge }) => {
+      const local = edge.localVersion;
+
+      if (protocol === 'workspace' && packageManager === 'npm') {
+        issues.push({
+          ...edge,
+          issue: 'unsupported-protocol',
+          message: 'npm does not support the workspace: protocol',
+          suggestedRange: suggestRange(local)
+        });
+        return;
+      }
+
+      if (protocol === 'workspace' || protocol === 'semver') {
+        const range = toSemverRange(edge.range.replace(/^workspace:/, ''));
+        // "workspace:*", "workspace:^" and "workspace:~" always link the local package
+        const accepted = ['*', '^', '~', ''].includes(range) ||
+          (local && semver.satisfies(local, range, { includePrerelease: true }));
+        if (!accepted) {
+          issues.push({
+            ...edge,
+            issue: 'range-excludes-local',
+            message: local
+              ? `${edge.range} does not accept the local version ${local}, so ${edge.dependency} is installed from the registry instead of linked`
+              : `The local ${edge.dependency} has no version, so ${edge.range} can't be satisfied by linking it`,
+            suggestedRange: suggestRange(local)
+          });
+          return;
+        }
+      }
+
+      if (protocol === 'invalid') {
+        issues.push({
+          ...edge,
+          issue: 'invalid-range',
+          message: `${edge.range} is not a version range, so ${edge.dependency} is installed from the registry instead of linked`,
+          suggestedRange: suggestRange(local)
+        });
+        return;
+      }
+
+      if (mixed && packageManager !== 'npm' && protocol !== preferredProtocol && (protocol === 'workspace' || protocol === 'semver')) {
+        issues.push({
+          ...edge,
+          issue: 'mixed-protocol',
+          message: `Most internal dependencies use ${preferredProtocol === 'workspace' ? 'the workspace: protocol' : 'semver ranges'}`,
+          suggestedRange: suggestRange(local)
+        });
+      }
+    });
+
+    return {
+      packageManager,
+      total: edges.length,
+      protocols,
+      preferredProtocol,
+      issues
+    };
+  }
+
+  async findVersionInconsistencies() {
+    const structure = await this.analyzeStructure();
+    const dependencyVersions = {};
+    
+    // Collect all versions
+    structure.packages.forEach(pkg => {
+      const collectDeps = (deps, type) => {
+        Object.entries(deps || {}).forEach(([depName, version]) => {
+          dependencyVersions[depName] = dependencyVersions[depName] || [];
+          dependencyVersions[depName].push({
+            package: pkg.name,
+            version: version,
+            type
+          });
+        });
+      };
+      
+      try {
+        const packageJson = JSON.parse(fs.readFileSync(path.join(pkg.path, 'package.json'), 'utf8'));
+        collectDeps(packageJson.dependencies, 'dependency');
+        collectDeps(packageJson.devDependencies, 'devDependency');
+        collectDeps(packageJson.peerDependencies, 'peerDependency');
+      } catch (e) {
+        console.error(`Error reading package.json for ${pkg.name}:`, e);
+      }
+    });
+    
+    // Find inconsistencies and classify them by how far apart the ranges are
+    const inconsistencies = [];
+    Object.entries(dependencyVersions).forEach(([dep, versions]) => {
+      const uniqueVersions = new Set(versions.map(v => v.version));
+      if (uniqueVersions.size > 1) {
+        inconsistencies.push({ dep, ...classifyRanges(Array.from(uniqueVersions)), versions });
+      }
+    });
+    
+    // Most severe first
+    inconsistencies.sort((a, b) =>
+      SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity) || a.dep.localeCompare(b.dep));
+    
+    const summary = SEVERITIES.reduce((acc, severity) => ({ ...acc, [severity]: 0 }), {});
+    const details = {};
+    const localVersions = new Map(structure.packages.map(pkg => [pkg.name, pkg.version]));
+    inconsistencies.forEach(({ dep, severity, suggestedRange, versions }) => {
+      summary[severity]++;
+      if (!localVersions.has(dep)) {
+        details[dep] = { severity, suggestedRange, versions };
+        return;
+      }
+
+      // A range excluding the local version of a workspace package would install it from the registry
+      const localVersion = localVersions.get(dep);
+      const acceptsLocal = suggestedRange && semver.valid(localVersion) &&
+        semver.satisfies(localVersion, toSemverRange(suggestedRange));
+      details[dep] = { severity, suggestedRange: acceptsLocal ? suggestedRange : null, localVersion, versions };
+    });
+    
+    return {
+      total: inconsistencies.length,
+      summary,
+      details
+    };
+  }
+
+  /**
+   * Rewrite the workspace manifests so each dependency is declared with a single range:
+   * the chosen one, or the range suggested by findVersionInconsistencies. Only the range
+   * strings change, so formatting and key order are kept. Peer ranges that already accept
+   * the new range, and workspace:, npm: alias, tag, git or file ranges, are left alone.
+   * Workspace packages are only aligned to a range accepting their local version.
+   * @param {Object} [options]
+   * @param {Object} [options.versions] - Chosen range by dependency name, overriding the suggestion
+   * @param {string[]} [options.dependencies] - Only align these dependencies (default: every inconsistent one)
+   * @param {boolean} [options.dryRun=false] - Compute the changes and the diff without writing
+   * @param {boolean} [options.install=false] - Refresh the lockfile with the package manager afterwards
+   * @returns {Promise<Object>} - { dryRun, changes, skipped, files, diff, install }
+   */
+  async alignVersions(options = {}) {
+    const { versions = {}, dryRun = false, install = false } = options;
+    const inconsistencies = await this.findVersionInconsistencies();
+    const names = options.dependencies && options.dependencies.length > 0
+      ? options.dependencies
+      : Array.from(new Set([...Object.keys(inconsistencies.details), ...Object.keys(versions)]));
+    const structure = await this.analyzeStructure();
+    const localVersions = new Map(structure.packages.map(pkg => [pkg.name, pkg.version]));
+
+    // Pick the range each dependency is aligned to
+    const targets = {};
+    const skipped = [];
+    names.forEach(name => {
+      const inconsistency = inconsistencies.details[name];
+      const target = versions[name] || (inconsistency && inconsistency.suggestedRange);
+
+      if (!target) {
+        skipped.push({
+          dependency: name,
+          reason: !inconsistency
+            ? 'Already declared with a single range'
+            : inconsistency.severity === 'unknown'
+              ? 'Ranges are not all semver ranges; choose one'
+              : inconsistency.severity === 'compatible-overlap'
+                ? `Workspace package: the common range does not accept the local version ${inconsistency.localVersion || '(none)'}; choose one`
+                : `No single range satisfies every consumer (${inconsistency.severity}); choose one`
+        });
+      } else if (!semver.validRange(toSemverRange(target))) {
+        skipped.push({ dependency: name, reason: `Invalid version range: ${target}` });
+      } else if (localVersions.has(name) && !(semver.valid(localVersions.get(name)) &&
+        semver.satisfies(localVersions.get(name), toSemverRange(target)))) {
+        skipped.push({
+          dependency: name,
+          reason: `Workspace package: ${target} does not accept the local version ${localVersions.get(name) || '(none)'}`
+        });
+      } else {
+        targets[name] = target;
+      }
+    });
+
+    const changes = [];
+    const files = [];
+    const diffs = [];
+    const declared = new Set();
+
+    for (const pkg of structure.packages) {
+      const packageJsonPath = path.join(pkg.path, 'package.json');
+      const original = fs.readFileSync(packageJsonPath, 'utf8');
+      const packageJson = JSON.parse(original);
+      let updated = original;
+      let fileChanges = 0;
+
+      ALIGNED_DEPENDENCY_TYPES.forEach(type => {
+        Object.entries(targets).forEach(([name, target]) => {
+          const current = (packageJson[type] || {})[name];
+          if (current === undefined) {
+            return;
+          }
+          declared.add(name);
+          // Aliases and workspace: ranges point at a different package or the local one
+          if (current === target || /^(npm|workspace):/.test(current) || !semver.validRange(current)) {
+            return;
+          }
+          if (type === 'peerDependencies' && semver.subset(toSemverRange(target), toSemverRange(current))) {
+            return;
+          }
+
+          updated = setJsonValue(updated, [type, name], target);
+          changes.push({ package: pkg.name, dependency: name, type, from: current, to: target });
+          fileChanges++;
+        });
+      });
+
+      if (fileChanges > 0) {
+        const relativePath = path.relative(this.monorepoRoot, packageJsonPath);
+        files.push({ file: relativePath, changes: fileChanges });
+        diffs.push(createDiff(relativePath, original, updated));
+        if (!dryRun) {
+          fs.writeFileSync(packageJsonPath, updated);
+        }
+      }
+    }
+
+    Object.keys(targets).filter(name => !declared.has(name)).forEach(name => {
+      skipped.push({ dependency: name, reason: 'Not declared by any package' });
+    });
+
+    let installResult = null;
+    if (!dryRun && changes.length > 0) {
+      // Every analysis depends on the manifests
+      this.clearCache();
+      if (install) {
+        installResult = await this.refreshLockfile();
+      }
+    }
+
+    return {
+      dryRun,
+      changes,
+      skipped,
+      files,
+      diff: diffs.join('\n'),
+      install: installResult
+    };
+  }
+
+  /**
+   * Update the lockfile to the manifests with the monorepo's package manager
+   * @returns {Promise<Object>} - { command, success, output }
+   */
+  async refreshLockfile() {
+    const packageManager = detectPackageManager(this.monorepoRoot);
+    const classicYarn = packageManager.name === 'yarn' &&
+      !(packageManager.version && semver.major(semver.coerce(packageManager.version)) >= 2) &&
+      !(fs.existsSync(path.join(this.monorepoRoot, '.yarnrc.yml')));
+    const command = LOCKFILE_REFRESH_COMMANDS[classicYarn ? 'yarnClassic' : packageManager.name];
+
+    console.log(`Refreshing lockfile: ${command}`);
+    try {
+      const { stdout, stderr } = await execAsync(command, { cwd: this.monorepoRoot, maxBuffer: 1024 * 1024 * 10 });
+      return { command, success: true, output: `${stdout}${stderr}`.trim() };
+    } catch (error) {
+      return { command, success: false, output: `${error.stdout || ''}${error.stderr || error.message}`.trim() };
+    }
+  }
+
+  /**
+   * Find unused dependencies for one package or every package, by parsing their source
+   * files, along with the packages they import without declaring them (missing), the
+   * devDependencies shipped code imports and the dependencies only development files
+   * (tests, stories, configs, scripts) use (misplaced)
+   * @param {string} [packageName] - Package to check (defaults to all packages)
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the analysis between package checks
+   * @param {Function} [options.onProgress] - Called with { progress, total, message } after each package
+   */
+  async findUnusedDependencies(packageName, options = {}) {
+    const { signal, onProgress } = options;
+    try {
+      const structure = await this.analyzeStructure();
+      const results = {};
+      
+      // Packages nested in another one are analyzed on their own
+      const packagePaths = structure.packages.map(pkg => pkg.path);
+      const processPackage = (pkg) => {
+        const packageJson = JSON.parse(fs.readFileSync(path.join(pkg.path, 'package.json'), 'utf8'));
+        const usage = analyzeDependencyUsage(pkg.path, packageJson, {
+          excludeDirs: packagePaths.filter(packagePath => packagePath !== pkg.path)
+        });
+        if (usage.parseErrors.length > 0) {
+          console.warn(`Could not parse ${usage.parseErrors.length} files of ${pkg.name}`);
+        }
+        return usage;
+      };
+      
+      let packages = structure.packages;
+      if (packageName) {
+        const pkg = structure.packages.find(p => p.name === packageName);
+        if (!pkg) {
+          throw new Error(`Package not found: ${packageName}`);
+        }
+        packages = [pkg];
+      }
+      
+      for (const [index, pkg] of packages.entries()) {
+        if (signal) signal.throwIfAborted();
+        results[pkg.name] = processPackage(pkg);
+        if (onProgress) {
+          onProgress({ progress: index + 1, total: packages.length, message: `Checked ${pkg.name}` });
+        }
+        // Parsing is synchronous: let the server handle other requests between packages
+        await new Promise(resolve => setImmediate(resolve));
+      }
+      
+      return results;
+    } catch (error) {
+      if (!(signal && signal.aborted)) {
+        console.error('Error in findUnusedDependencies:', error);
+      }
+      throw error;
+    }
+  }
+
+  async findOutdatedDependencies() {
+    const packageManager = detectPackageManager(this.monorepoRoot);
+    if (packageManager.name !== 'npm') {
+      return this.findOutdatedFromLockfile(packageManager);
+    }
+
+    try {
+      const output = execSync('npm outdated --json', { 
+        cwd: this.monorepoRoot,
+        encoding: 'utf8',
+        stdio: ['pipe', 'pipe', 'ignore']
+      });
+      
+      try {
+        return JSON.parse(output || '{}');
+      } catch (e) {
+        return { error: 'No outdated packages or invalid JSON response' };
+      }
+    } catch (error) {
+      // npm outdated returns non-zero exit code when outdated packages are found
+      try {
+        return JSON.parse(error.stdout || '{}');
+      } catch (e) {
+        return { error: 'Error parsing npm outdated output', details: error.message };
+      }
+    }
+  }
+
+  /**
+   * Outdated dependencies of a yarn or pnpm monorepo, comparing the lockfile with
+   * the registry. Uses the `npm outdated --json` format: { name: { current, wanted,
+   * latest, dependent, location } }, with an array when several packages depend on it.
+   * @param {Object} packageManager - Detected package manager
+   * @returns {Promise<Object>} - Outdated dependencies by name
+   */
+  async findOutdatedFromLockfile(packageManager) {
+    const lockfile = await this.getLockfile();
+    if (!lockfile) {
+      return { error: `No lockfile found for ${packageManager.name}`, details: `Run "${packageManager.name} install" first` };
+    }
+
+    // Only registry dependencies can be outdated (not workspace packages, file: or git ranges)
+    const structure = await this.getCachedData('structure', () => this.analyzeStructure());
+    const workspacePackages = new Set(structure.packages.map(pkg => pkg.name));
+    const declared = (await this.getDeclaredDependencies())
+      .filter(dep => !workspacePackages.has(dep.name) && semver.validRange(dep.range));
+    const names = Array.from(new Set(declared.map(dep => dep.name)));
+
+    console.log(`Checking ${names.length} dependencies against the registry...`);
+    const metadata = {};
+    const results = await mapInBatches(names, name => fetchPackageMetadata(name));
+    results.forEach((result, i) => {
+      if (result.status === 'fulfilled') {
+        metadata[names[i]] = result.value;
+      } else {
+        console.warn(`Could not fetch ${names[i]} from the registry: ${result.reason.message}`);
+      }
+    });
+
+    const outdated = {};
+    declared.forEach(({ name, range, dependent, packagePath }) => {
+      if (!metadata[name]) {
+        return;
+      }
+
+      const current = this.getResolvedVersion(lockfile, packagePath, name, range);
+      const wanted = semver.maxSatisfying(metadata[name].versions, range);
+      const latest = metadata[name].distTags.latest;
+      const isBehind = target => Boolean(target) && (!semver.valid(current) || semver.lt(current, target));
+      if (!isBehind(wanted) && !isBehind(latest)) {
+        return;
+      }
+
+      const info = {
+        current: current || undefined,
+        wanted: wanted || undefined,
+        latest,
+        dependent,
+        location: path.relative(this.monorepoRoot, packagePath) || '.'
+      };
+      if (!outdated[name]) {
+        outdated[name] = info;
+      } else {
+        outdated[name] = [].concat(outdated[name], info);
+      }
+    });
+
+    return outdated;
+  }
+
+  async generateDependencyGraph(packageName) {
+    try {
+      let targetPaths = await this.getPackagePaths();
+      
+      if (packageName) {
+        const structure = await this.analyzeStructure();
+        const pkg = structure.packages.find(p => p.name === packageName);
+        if (!pkg) {
+          throw new Error(`Package not found: ${packageName}`);
+        }
+        targetPaths = [pkg.path];
+      }
+      
+      // Use dependency-cruiser if available
+      try {
+        const excludePattern = `node_modules|dist|build`;
+        const includePattern = targetPaths.map(targetPath => `^${targetPath}`).join('|');
+        const output = execSync(
+          `npx dependency-cruiser --include-only "${includePattern}" --exclude "${excludePattern}" --output-type json ${quotePaths(targetPaths)}`, 
+          { encoding: 'utf8' }
+        );
+        
+        return JSON.parse(output);
+      } catch (error) {
+        // Fallback to basic dependency extraction
+        console.warn('dependency-cruiser failed, using basic extraction');
+        
+        const structure = await this.analyzeStructure();
+        const graph = {
+          nodes: [],
+          edges: []
+        };
+        
+        // Create nodes for each package
+        structure.packages.forEach(pkg => {
+          graph.nodes.push({
+            id: pkg.name,
+            type: 'package'
+          });
+        });
+        
+        // Create edges for dependencies
+        structure.packages.forEach(pkg => {
+          const packageJson = JSON.parse(fs.readFileSync(path.join(pkg.path, 'package.json'), 'utf8'));
+          
+          const addDependencyEdges = (deps) => {
+            Object.keys(deps || {}).forEach(dep => {
+              const targetPkg = structure.packages.find(p => p.name === dep);
+              if (targetPkg) {
+                graph.edges.push({
+                  from: pkg.name,
+                  to: dep,
+                  type: 'depends on'
+                });
+              }
+            });
+          };
+          
+          addDependencyEdges(packageJson.dependencies);
+          addDependencyEdges(packageJson.devDependencies);
+        });
+        
+        return graph;
+      }
+    } catch (error) {
+      console.error('Error in generateDependencyGraph:', error);
+      throw error;
+    }
+  }
+
+  async findCircularDependencies() {
+    try {
+      // Use madge if available
+      try {
+        const output = execSync(
+          `npx madge --circular --json ${quotePaths(await this.getPackagePaths())}`, 
+          { encoding: 'utf8' }
+        );
+        
+        return JSON.parse(output || '[]');
+      } catch (error) {
+        // Fallback to basic circular dependency detection
+        console.warn('madge failed, using basic circular detection');
+        
+        const graph = await this.generateDependencyGraph();
+        const adjacencyList = {};
+        
+        // Build adjacency list
+        graph.edges.forEach(edge => {
+          if (!adjacencyList[edge.from]) adjacencyList[edge.from] = [];
+          adjacencyList[edge.from].push(edge.to);
+        });
+        
+        // Basic cycle detection using DFS
+        const findCycles = (node) => {
+          const visited = new Set();
+          const path = new Set();
+          const cycles = [];
+          
+          const dfs = (current, pathArr) => {
+            if (path.has(current)) {
+              const cycleStart = pathArr.indexOf(current);
+              cycles.push(pathArr.slice(cycleStart).concat(current));
+              return;
+            }
+            
+            if (visited.has(current)) return;
+            
+            visited.add(current);
+            path.add(current);
+            pathArr.push(current);
+            
+            (adjacencyList[current] || []).forEach(neighbor => {
+              dfs(neighbor, [...pathArr]);
+            });
+            
+            path.delete(current);
+          };
+          
+          dfs(node, []);
+          return cycles;
+        };
+        
+        const allCycles = [];
+        Object.keys(adjacencyList).forEach(node => {
+          const cycles = findCycles(node);
+          cycles.forEach(cycle => {
+            // Canonicalize cycle to avoid duplicates
+            const sorted = [...cycle].sort();
+            const key = sorted.join(',');
+            if (!allCycles.some(c => c.join(',') === key)) {
+              allCycles.push(cycle);
+            }
+          });
+        });
+        
+        return allCycles;
+      }
+    } catch (error) {
+      console.error('Error in findCircularDependencies:', error);
+      throw error;
+    }
+  }
+
+  async findSecurityVulnerabilities() {
+    try {
+      const packageManager = detectPackageManager(this.monorepoRoot);
+      if (packageManager.name !== 'npm') {
+        return await this.auditLockfile(packageManager);
+      }
+
+      try {
+        const output = execSync('npm audit --json', { 
+          cwd: this.monorepoRoot,
+          encoding: 'utf8',
+          stdio: ['pipe', 'pipe', 'ignore']
+        });
+        
+        return JSON.parse(output || '{}');
+      } catch (error) {
+        // npm audit returns non-zero exit code when vulnerabilities are found
+        try {
+          return JSON.parse(error.stdout || '{}');
+        } catch (e) {
+          return { error: 'Error parsing npm audit output', details: error.message };
+        }
+      }
+    } catch (error) {
+      console.error('Error in findSecurityVulnerabilities:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Audit the packages installed by a yarn or pnpm lockfile against the registry's
+   * advisory database. Uses the `npm audit --json` (auditReportVersion 2) format.
+   * @param {Object} packageManager - Detected package manager
+   * @returns {Promise<Object>} - { auditReportVersion, packageManager, vulnerabilities, metadata }
+   */
+  async auditLockfile(packageManager) {
+    const lockfile = await this.getLockfile();
+    if (!lockfile) {
+      return { error: `No lockfile found for ${packageManager.name}`, details: `Run "${packageManager.name} install" first` };
+    }
+
+    const installed = {};
+    lockfile.getPackages().forEach(({ name, version }) => {
+      if (semver.valid(version)) {
+        (installed[name] = installed[name] || []).push(version);
+      }
+    });
+
+    console.log(`Auditing ${Object.keys(installed).length} packages from ${lockfile.filename}...`);
+    let advisories;
+    try {
+      advisories = await fetchAdvisories(installed);
+    } catch (error) {
+      return { error: 'Error fetching advisories from the registry', details: error.message };
+    }
+    const directDependencies = new Set((await this.getDeclaredDependencies()).map(dep => dep.name));
+    const severities = ['info', ...AUDIT_LEVELS];
+
+    const vulnerabilities = {};
+    Object.entries(advisories).forEach(([name, packageAdvisories]) => {
+      const matching = packageAdvisories.filter(advisory =>
+        (installed[name] || []).some(version => semver.satisfies(version, advisory.vulnerable_versions)));
+      if (matching.length === 0) {
+        return;
+      }
+
+      const severity = matching
+        .map(advisory => advisory.severity)
+        .reduce((highest, current) => severities.indexOf(current) > severities.indexOf(highest) ? current : highest, 'info');
+
+      vulnerabilities[name] = {
+        name,
+        severity,
+        isDirect: directDependencies.has(name),
+        via: matching.map(advisory => ({
+          source: advisory.id,
+          name,
+          title: advisory.title,
+          url: advisory.url,
+          severity: advisory.severity,
+          range: advisory.vulnerable_versions
+        })),
+        range: matching.map(advisory => advisory.vulnerable_versions).join(' || '),
+        versions: installed[name].filter(version =>
+          matching.some(advisory => semver.satisfies(version, advisory.vulnerable_versions)))
+      };
+    });
+
+    const counts = severities.reduce((acc, level) => ({ ...acc, [level]: 0 }), {});
+    Object.values(vulnerabilities).forEach(vuln => {
+      counts[vuln.severity]++;
+    });
+
+    return {
+      auditReportVersion: 2,
+      packageManager: packageManager.name,
+      vulnerabilities,
+      metadata: {
+        vulnerabilities: { ...counts, total: Object.keys(vulnerabilities).length },
+        dependencies: { total: lockfile.getPackages().length }
+      }
+    };
+  }
+
+  /**
+   * Packages installed at more than one version, with the dependency chains pulling
+   * in each version and an estimate of the copies removed by deduplicating them
+   * @returns {Promise<Object>} - { lockfile, total, removableCopies, duplicates }
+   */
+  async findDuplicatePackages() {
+    const lockfile = await this.getLockfile();
+    const graph = await this.getInstalledGraph();
+    if (!graph) {
+      return { error: 'No lockfile found', details: 'Duplicates are read from package-lock.json, yarn.lock or pnpm-lock.yaml' };
+    }
+
+    const duplicates = [];
+    graph.getPackageNames().forEach(name => {
+      const versions = graph.getVersions(name);
+      if (versions.size < 2) {
+        return;
+      }
+
+      const requests = [];
+      const versionDetails = Array.from(versions.entries()).map(([version, ids]) => {
+        const requestedBy = ids.flatMap(id => graph.getDependents(id).map(dependent => ({
+          dependent: graph.describe(dependent.id),
+          range: dependent.range
+        })));
+        requests.push(...requestedBy);
+
+        return {
+          version,
+          instances: ids.length,
+          requestedBy,
+          chains: ids.flatMap(id => graph.findChains(id)).map(chain => chain.map(node => graph.describe(node)))
+        };
+      });
+
+      duplicates.push({
+        name,
+        versions: versionDetails.sort((a, b) => compareVersions(b.version, a.version)),
+        dedupe: estimateDedupe(versionDetails, requests)
+      });
+    });
+
+    duplicates.sort((a, b) => b.dedupe.removableCopies - a.dedupe.removableCopies || a.name.localeCompare(b.name));
+
+    return {
+      lockfile: lockfile.filename,
+      total: duplicates.length,
+      removableCopies: duplicates.reduce((acc, duplicate) => acc + duplicate.dedupe.removableCopies, 0),
+      duplicates
+    };
+  }
+
+  /**
+   * Every dependency path from a workspace package to the installed versions of a package
+   * @param {string} spec - Package name, optionally with a range ("minimist" or "minimist@<1.2.6")
+   * @returns {Promise<Object>} - { dependency, range, lockfile, workspaces, totalPaths, truncated, installed, note }
+   */
+  async explainDependency(spec) {
+    const { name, range } = parsePackageSpec(spec);
+    if (range && !semver.validRange(range)) {
+      return { error: `Invalid version range: ${range}` };
+    }
+
+    const lockfile = await this.getLockfile();
+    const graph = await this.getInstalledGraph();
+    if (!graph) {
+      return { error: 'No lockfile found', details: 'Dependency paths are read from package-lock.json, yarn.lock or pnpm-lock.yaml' };
+    }
+
+    const workspaces = new Set();
+    let truncated = false;
+
+    const installed = Array.from(graph.getVersions(name).entries())
+      .filter(([version]) => !range || semver.satisfies(version, range))
+      .sort((a, b) => compareVersions(b[0], a[0]))
+      .map(([version, ids]) => {
+        const paths = [];
+
+        ids.forEach(id => {
+          const chains = graph.findChains(id, { limit: MAX_WHY_PATHS + 1, throughWorkspaces: true });
+          if (chains.length > MAX_WHY_PATHS) {
+            truncated = true;
+            chains.length = MAX_WHY_PATHS;
+          }
+
+          chains.forEach(chain => {
+            const hops = graph.describeHops(chain);
+            const workspace = graph.nodes.get(chain[0]).name;
+            workspaces.add(workspace);
+            paths.push({
+              workspace,
+              // Only installed for development when a workspace package requires it as a devDependency
+              dev: hops.some((hop, index) => graph.nodes.get(chain[index]).workspace && hop.type === 'devDependencies'),
+              hops
+            });
+          });
+        });
+
+        return { version, paths };
+      });
+
+    return {
+      dependency: name,
+      range: range || null,
+      lockfile: lockfile.filename,
+      workspaces: Array.from(workspaces).sort(),
+      totalPaths: installed.reduce((acc, { paths }) => acc + paths.length, 0),
+      truncated,
+      installed,
+      note: lockfile.type === 'pnpm'
+        ? 'pnpm-lock.yaml does not record the ranges of transitive dependencies; their hops have a null range'
+        : null
+    };
+  }
+
+  /**
+   * Check the peer dependencies of every workspace package and installed package against
+   * the version each of its consumers provides: the consumer's own dependency on the peer,
+   * or else the version the lockfile resolves for the package itself. With Yarn classic,
+   * whose lockfile has no peers, they are read from the root node_modules.
+   * @returns {Promise<Object>} - { lockfile, checked, total, missing, incompatible, issues, note }
+   */
+  async checkPeerDependencies() {
+    const lockfile = await this.getLockfile();
+    const graph = await this.getInstalledGraph();
+    if (!graph) {
+      return { error: 'No lockfile found', details: 'Peer dependencies are checked against package-lock.json, yarn.lock or pnpm-lock.yaml' };
+    }
+
+    const issues = new Map();
+    let checked = 0;
+    // yarn.lock (classic) doesn't record peers: read them from node_modules when installed there
+    const readsInstalledPeers = lockfile.type === 'yarn' && !lockfile.berry;
+    let notInstalled = 0;
+
+    graph.nodes.forEach((node, id) => {
+      let peers = graph.getPeers(id);
+      if (readsInstalledPeers && !node.workspace) {
+        peers = this.readInstalledPeers(node);
+        if (!peers) {
+          notInstalled++;
+          return;
+        }
+      }
+      if (peers.length === 0) {
+        return;
+      }
+
+      // A workspace package nobody depends on only has the peers it provides itself (e.g. as devDependencies)
+      const consumers = new Set(graph.getDependents(id).map(dependent => dependent.id));
+      const standalone = consumers.size === 0 && node.workspace;
+      if (standalone) {
+        consumers.add(id);
+      }
+
+      consumers.forEach(consumerId => {
+        peers.forEach(peer => {
+          checked++;
+          const provided = findProvidedPeer(graph, consumerId, id, peer.name);
+          if (!provided && (peer.optional || standalone)) {
+            return;
+          }
+          // Ranges like "workspace:*" or tags can't be compared
+          if (provided && (!semver.validRange(toSemverRange(peer.range)) ||
+            semver.satisfies(graph.nodes.get(provided).version || '0.0.0', toSemverRange(peer.range), { includePrerelease: true }))) {
+            return;
+          }
+
+          const issue = {
+            package: node.name,
+            version: node.version,
+            workspace: Boolean(node.workspace),
+            peer: peer.name,
+            range: peer.range,
+            optional: peer.optional,
+            problem: provided ? 'incompatible' : 'missing',
+            consumer: graph.describe(consumerId),
+            found: provided ? graph.nodes.get(provided).version : null,
+            explanation: explainPeerConflict(graph, consumerId, id, peer, provided)
+          };
+          // The same package may be installed at several locations
+          issues.set(`${graph.describe(id)}|${issue.consumer}|${peer.name}|${issue.found}`, issue);
+        });
+      });
+    });
+
+    const list = Array.from(issues.values())
+      .sort((a, b) => a.peer.localeCompare(b.peer) || a.package.localeCompare(b.package));
+
+    return {
+      lockfile: lockfile.filename,
+      checked,
+      total: list.length,
+      missing: list.filter(issue => issue.problem === 'missing').length,
+      incompatible: list.filter(issue => issue.problem === 'incompatible').length,
+      issues: list,
+      note: notInstalled > 0
+        ? `yarn.lock (classic) does not record peer dependencies, so they were read from node_modules; ${notInstalled} ` +
+          'locked packages are not installed there at their locked version and were not checked'
+        : null
+    };
+  }
+
+  /**
+   * Check the engines.node ranges of the workspace packages and the installed packages
+   * against the Node versions the monorepo supports: the lowest version its root engines.node
+   * accepts (or options.node), and the versions pinned by .nvmrc, .node-version and volta
+   * @param {Object} [options]
+   * @param {string} [options.node] - Lowest supported Node version, instead of the one from the root engines.node
+   * @returns {Promise<Object>} - { node, commonRange, workspaces, installed, total }
+   */
+  async analyzeEngines(options = {}) {
+    if (options.node && !toNodeRange(options.node)) {
+      return { error: `Invalid Node version: ${options.node}` };
+    }
+
+    const structure = await this.getCachedData('structure', () => this.analyzeStructure());
+    let rootPackageJson = {};
+    try {
+      rootPackageJson = JSON.parse(fs.readFileSync(path.join(this.monorepoRoot, 'package.json'), 'utf8'));
+    } catch (error) {
+      // A root without package.json has no engines nor volta field
+    }
+
+    const pins = readNodePins(this.monorepoRoot, rootPackageJson);
+    const rootEngine = getNodeEngine(rootPackageJson.engines);
+
+    // The lowest supported version: the given one, or the lowest the root or the pins accept
+    const lowestSource = options.node
+      ? { source: '--node', range: toNodeRange(options.node) }
+      : (rootEngine ? { source: 'engines', range: rootEngine } : pins.find(pin => pin.range));
+    const lowestSupported = lowestSource ? semver.minVersion(lowestSource.range).version : null;
+
+    const targets = [];
+    if (lowestSupported) {
+      targets.push({ source: `lowest supported (${lowestSource.source})`, range: lowestSupported });
+    }
+    pins.filter(pin => pin.range).forEach(pin => targets.push({ source: pin.source, range: pin.range }));
+    const excludedTargets = range => targets
+      .filter(target => !semver.intersects(range, target.range))
+      .map(target => ({ source: target.source, range: target.range }));
+
+    // Pins that disagree with each other or with the root engines.node
+    const pinConflicts = [];
+    pins.filter(pin => pin.range).forEach((pin, index, validPins) => {
+      validPins.slice(index + 1)
+        .filter(other => !semver.intersects(pin.range, other.range))
+        .forEach(other => pinConflicts.push({ sources: [pin.source, other.source], values: [pin.value, other.value] }));
+      if (rootEngine && !semver.intersects(pin.range, rootEngine)) {
+        pinConflicts.push({ sources: [pin.source, 'engines'], values: [pin.value, rootEngine] });
+      }
+    });
+
+    const manifests = [
+      { package: rootPackageJson.name || path.basename(this.monorepoRoot), engines: rootPackageJson.engines },
+      ...structure.packages.map(pkg => ({ package: pkg.name, engines: pkg.engines }))
+    ];
+    const workspaces = manifests
+      .filter(manifest => manifest.engines && manifest.engines.node !== undefined)
+      .map(manifest => {
+        const range = getNodeEngine(manifest.engines);
+        return {
+          package: manifest.package,
+          range: range || String(manifest.engines.node),
+          valid: Boolean(range),
+          excludes: range ? excludedTargets(range) : []
+        };
+      });
+    const validRanges = workspaces.filter(workspace => workspace.valid).map(workspace => workspace.range);
+    // null when no Node version satisfies every workspace package
+    const commonRange = validRanges.length > 0 ? findCommonRange(validRanges) : null;
+
+    let installed = null;
+    const lockfile = await this.getLockfile();
+    const graph = await this.getInstalledGraph();
+    if (graph) {
+      const incompatible = new Map();
+      let checked = 0;
+
+      graph.nodes.forEach((node, id) => {
+        const key = `${node.name}@${node.version}`;
+        if (node.workspace || incompatible.has(key)) {
+          return;
+        }
+
+        // yarn.lock doesn't record engines: read them from node_modules when installed there
+        const range = getNodeEngine(node.engines !== undefined ? node.engines : this.readInstalledEngines(node));
+        if (!range) {
+          return;
+        }
+
+        checked++;
+        const excludes = excludedTargets(range);
+        if (excludes.length > 0) {
+          const chain = graph.findChains(id, { limit: 1 })[0] || [id];
+          incompatible.set(key, { name: node.name, version: node.version, range, excludes, path: chain.map(nodeId => graph.describe(nodeId)) });
+        }
+      });
+
+      installed = {
+        lockfile: lockfile.filename,
+        checked,
+        incompatible: Array.from(incompatible.values()).sort((a, b) => a.name.localeCompare(b.name))
+      };
+    }
+
+    return {
+      node: { lowestSupported, pins, pinConflicts, targets },
+      commonRange,
+      workspaces,
+      installed,
+      total: workspaces.filter(workspace => !workspace.valid || workspace.excludes.length > 0).length +
+        pinConflicts.length +
+        (validRanges.length > 0 && !commonRange ? 1 : 0) +
+        (installed ? installed.incompatible.length : 0)
+    };
+  }
+
+  /**
+   * package.json of an installed package in the root node_modules
+   * @param {Object} node - Graph node ({ name, version })
+   * @returns {Object|null} - The package.json, or null if that copy isn't installed there
+   */
+  readInstalledPackageJson(node) {
+    try {
+      const packageJson = JSON.parse(fs.readFileSync(path.join(this.monorepoRoot, 'node_modules', node.name, 'package.json'), 'utf8'));
+      return packageJson.version === node.version ? packageJson : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * engines of an installed package, from its package.json in the root node_modules
+   * @param {Object} node - Graph node ({ name, version })
+   * @returns {Object|null} - The engines field, or null if that copy isn't installed there
+   */
+  readInstalledEngines(node) {
+    const packageJson = this.readInstalledPackageJson(node);
+    return packageJson ? packageJson.engines || null : null;
+  }
+
+  /**
+   * Peer dependencies of an installed package, from its package.json in the root node_modules
+   * @param {Object} node - Graph node ({ name, version })
+   * @returns {Object[]|null} - { name, range, optional }, or null if that copy isn't installed there
+   */
+  readInstalledPeers(node) {
+    const packageJson = this.readInstalledPackageJson(node);
+    if (!packageJson) {
+      return null;
+    }
+    const meta = packageJson.peerDependenciesMeta || {};
+    return Object.entries(packageJson.peerDependencies || {}).map(([name, range]) => ({
+      name,
+      range: String(range),
+      optional: Boolean(meta[name] && meta[name].optional)
+    }));
+  }
+
+  /**
+   * Check that the lockfile matches the manifests: every declared range is locked and satisfied
+   * by its locked version, and every locked package is still required by a manifest. Yarn and pnpm
+   * record the range each dependency was locked for, so a range edited since is missing from them.
+   * Reads the lockfile and manifests afresh, since they are usually just edited.
+   * @returns {Promise<Object>} - { lockfile, inSync, checked, skipped, unsatisfied, missing, unreferenced }
+   */
+  async checkLockfileDrift() {
+    const lockfile = loadLockfile(this.monorepoRoot);
+    if (!lockfile) {
+      return { error: 'No lockfile found', details: 'Run the package manager install first' };
+    }
+
+    const manifests = await this.readManifests();
+    const workspacePackages = new Set(manifests.map(manifest => manifest.packageJson.name).filter(Boolean));
+    const unsatisfied = [];
+    const missing = [];
+    let checked = 0;
+    let skipped = 0;
+
+    manifests.forEach(({ name: dependent, packagePath, packageJson }) => {
+      INSTALLED_DEPENDENCY_TYPES.forEach(type => {
+        Object.entries(packageJson[type] || {}).forEach(([dependency, range]) => {
+          // Workspace packages are linked rather than locked; tags, git and file ranges can't be compared
+          const semverRange = toSemverRange(range);
+          if (workspacePackages.has(dependency) || !semver.validRange(semverRange)) {
+            skipped++;
+            return;
+          }
+
+          checked++;
+          const locked = this.getResolvedVersion(lockfile, packagePath, dependency, range);
+          if (!locked) {
+            missing.push({ package: dependent, dependency, type, range });
+          } else if (!semver.satisfies(locked, semverRange)) {
+            unsatisfied.push({ package: dependent, dependency, type, range, locked });
+          }
+        });
+      });
+    });
+
+    // Locked packages no manifest leads to anymore. The entries of ranges edited since are
+    // replaced by the next install rather than left over, so they count as required.
+    const graph = this.buildInstalledGraph(lockfile, manifests);
+    const relocked = new Set(missing.map(({ dependency }) => dependency));
+    const reachable = new Set();
+    const queue = Array.from(graph.nodes.keys())
+      .filter(id => graph.nodes.get(id).workspace || relocked.has(graph.nodes.get(id).name));
+    while (queue.length > 0) {
+      const id = queue.pop();
+      if (reachable.has(id)) {
+        continue;
+      }
+      reachable.add(id);
+      graph.nodes.get(id).dependencies.forEach(dependency => {
+        const targetId = graph.getTargetId(dependency);
+        if (targetId && !reachable.has(targetId)) {
+          queue.push(targetId);
+        }
+      });
+    }
+
+    const unreferenced = new Map();
+    graph.nodes.forEach((node, id) => {
+      if (!reachable.has(id)) {
+        unreferenced.set(`${node.name}@${node.version}`, { name: node.name, version: node.version });
+      }
+    });
+
+    return {
+      lockfile: lockfile.filename,
+      inSync: unsatisfied.length === 0 && missing.length === 0 && unreferenced.size === 0,
+      checked,
+      skipped,
+      unsatisfied,
+      missing,
+      unreferenced: Array.from(unreferenced.values()).sort((a, b) => a.name.localeCompare(b.name))
+    };
+  }
+
+  /**
+   * Check the root and workspace package.json files against the version policy
+   * in .mcp-npm-policy.json (pinned, allowed and banned versions, same-version groups)
+   * @returns {Promise<Object>} - { policyFile, rules, checked, total, violations },
+   *   or { error, details } if the workspace has no policy
+   */
+  async checkPolicy() {
+    const policy = loadPolicy(path.join(this.monorepoRoot, POLICY_FILE));
+    if (!policy) {
+      return { error: 'No policy file found', details: `Create ${POLICY_FILE} at the root of the monorepo` };
+    }
+
+    const manifests = (await this.readManifests()).map(manifest => ({
+      ...manifest,
+      file: path.relative(this.monorepoRoot, path.join(manifest.packagePath, 'package.json'))
+    }));
+    const violations = evaluatePolicy(policy, manifests)
+      .sort((a, b) => a.file.localeCompare(b.file) || (a.line || 0) - (b.line || 0));
+
+    return {
+      policyFile: POLICY_FILE,
+      rules: policy.rules.length,
+      checked: manifests.length,
+      total: violations.length,
+      violations
+    };
+  }
+
+  async findPackagesUsingDependency(dependency) {
+    console.log(`Looking for packages using ${dependency}...`);
+    const structure = await this.analyzeStructure();
+    console.log(`Got structure with ${structure.packageCount} packages`);
+    const lockfile = await this.getLockfile();
+    
+    const results = [];
+    
+    for (const pkg of structure.packages) {
+      try {
+        console.log(`Checking ${pkg.name} for ${dependency}...`);
+        const packageJsonPath = path.join(pkg.path, 'package.json');
+        
+        if (!fs.existsSync(packageJsonPath)) {
+          console.log(`Package.json does not exist at: ${packageJsonPath}`);
+          continue;
+        }
+        
+        const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
+        
+        const usageInfo = {
+          package: pkg.name,
+          usageType: []
+        };
+        
+        if ((packageJson.dependencies || {})[dependency]) {
+          console.log(`Found ${dependency} as a dependency in ${pkg.name}`);
+          usageInfo.usageType.push('dependency');
+          usageInfo.version = packageJson.dependencies[dependency];
+        }
+        
+        if ((packageJson.devDependencies || {})[dependency]) {
+          console.log(`Found ${dependency} as a devDependency in ${pkg.name}`);
+          usageInfo.usageType.push('devDependency');
+          usageInfo.version = usageInfo.version || packageJson.devDependencies[dependency];
+        }
+        
+        if ((packageJson.peerDependencies || {})[dependency]) {
+          console.log(`Found ${dependency} as a peerDependency in ${pkg.name}`);
+          usageInfo.usageType.push('peerDependency');
+          usageInfo.version = usageInfo.version || packageJson.peerDependencies[dependency];
+        }
+        
+        if (usageInfo.usageType.length > 0) {
+          usageInfo.resolvedVersion = this.getResolvedVersion(lockfile, pkg.path, dependency, usageInfo.version);
+          results.push(usageInfo);
+        }
+      } catch (error) {
+        console.error(`Error checking ${pkg.name} for dependency ${dependency}:`, error);
+      }
+    }
+    
+    const result = {
+      dependency,
+      usedByCount: results.length,
+      lockfile: lockfile ? lockfile.filename : null,
+      packages: results
+    };
+    
+    console.log(`Result: ${results.length} packages use ${dependency}`);
+    return result;
+  }
+
+  async getProjectDependencies(projectName) {
+    console.log(`Getting dependencies for project: ${projectName}`);
+    const structure = await this.analyzeStructure();
+    
+    // Find the requested project
+    const project = structure.packages.find(p => p.name === projectName || p.name.toLowerCase() === projectName.toLowerCase());
+    if (!project) {
+      console.log(`Project not found: ${projectName}`);
+      return {
+        error: `Project "${projectName}" not found in monorepo`,
+        availableProjects: structure.packages.map(p => p.name)
+      };
+    }
+    
+    console.log(`Found project ${project.name} at ${project.path}`);
+    
+    try {
+      const packageJsonPath = path.join(project.path, 'package.json');
+      if (!fs.existsSync(packageJsonPath)) {
+        return {
+          error: `No package.json found for project "${projectName}"`,
+          path: packageJsonPath
+        };
+      }
+      
+      const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
+      const lockfile = await this.getLockfile();
+      const resolvedVersion = (name, range) => this.getResolvedVersion(lockfile, project.path, name, range);
+      
+      // Group all dependencies by type, with the version installed according to the lockfile
+      const dependencies = Object.entries(packageJson.dependencies || {}).map(([name, version]) => ({ 
+        name, version, resolvedVersion: resolvedVersion(name, version), type: 'dependency' 
+      }));
+      
+      const devDependencies = Object.entries(packageJson.devDependencies || {}).map(([name, version]) => ({ 
+        name, version, resolvedVersion: resolvedVersion(name, version), type: 'devDependency' 
+      }));
+      
+      const peerDependencies = Object.entries(packageJson.peerDependencies || {}).map(([name, version]) => ({ 
+        name, version, resolvedVersion: resolvedVersion(name, version), type: 'peerDependency' 
+      }));
+      
+      // Combine all dependencies
+      const allDependencies = [...dependencies, ...devDependencies, ...peerDependencies];
+      
+      // Categorize dependencies as internal (part of the monorepo) or external
+      const packageNames = new Set(structure.packages.map(p => p.name));
+      const internalDependencies = allDependencies.filter(dep => packageNames.has(dep.name));
+      const externalDependencies = allDependencies.filter(dep => !packageNames.has(dep.name));
+      
+      return {
+        project: project.name,
+        path: project.path,
+        lockfile: lockfile ? lockfile.filename : null,
+        summary: {
+          total: allDependencies.length,
+          dependencies: dependencies.length,
+          devDependencies: devDependencies.length,
+          peerDependencies: peerDependencies.length,
+          internal: internalDependencies.length,
+          external: externalDependencies.length
+        },
+        dependencies: {
+          all: allDependencies,
+          production: dependencies,
+          development: devDependencies,
+          peer: peerDependencies,
+          internal: internalDependencies,
+          external: externalDependencies
+        }
+      };
+    } catch (error) {
+      console.error(`Error getting dependencies for ${projectName}:`, error);
+      return { error: error.message };
+    }
+  }
+
+  assertNxMode() {
+    if (!this.nx) {
+      throw new Error(`Nx workspace mode is not enabled (no nx.json found in ${this.monorepoRoot})`);
+    }
+  }
+
+  async getNxProjects() {
+    this.assertNxMode();
+    const projectsInfo = this.nxAnalyzer.analyzeAllProjects();
+    if (!projectsInfo) {
+      throw new Error(`Root package.json not found in ${this.monorepoRoot}`);
+    }
+    
+    return {
+      ...projectsInfo,
+      framework: this.nxAnalyzer.detectFramework(this.nxAnalyzer.readPackageJson(this.monorepoRoot))
+    };
+  }
+
+  async getNxGraph() {
+    this.assertNxMode();
+    const graphData = readNxGraph(this.monorepoRoot);
+    if (!graphData) {
+      throw new Error('Failed to generate Nx dependency data');
+    }
+    
+    return {
+      projects: this.nxAnalyzer.processNxGraph(graphData) || {},
+      graph: graphData.graph
+    };
+  }
+
+  async getNxProjectDependencies(projectName) {
+    this.assertNxMode();
+    // The name ends up in an nx shell command
+    if (!/^[\w@.\/-]+$/.test(projectName)) {
+      throw new Error(`Invalid project name: ${projectName}`);
+    }
+    const analysis = this.nxProjectDepsAnalyzer.analyzeProject(projectName);
+    if (!analysis) {
+      return {
+        error: `Project "${projectName}" not found in Nx workspace`,
+        availableProjects: this.nxProjectDepsAnalyzer.getProjects()
+      };
+    }
+    
+    return analysis;
+  }
+
+  /**
+   * Generate the package.json of an Nx project from its imports, with a diff against the existing one
+   * @param {string} projectName - Nx project name
+   * @param {Object} [options]
+   * @param {boolean} [options.write=false] - Write the generated package.json
+   * @returns {Promise<Object>} - See NxProjectDepsAnalyzer.generatePackageJson
+   */
+  async generateNxPackageJson(projectName, options = {}) {
+    this.assertNxMode();
+    // The name ends up in an nx shell command
+    if (!/^[\w@.\/-]+$/.test(projectName)) {
+      throw new Error(`Invalid project name: ${projectName}`);
+    }
+    const result = this.nxProjectDepsAnalyzer.generatePackageJson(projectName, { write: Boolean(options.write) });
+    if (!result) {
+      return {
+        error: `Project "${projectName}" not found in Nx workspace`,
+        availableProjects: this.nxProjectDepsAnalyzer.getProjects()
+      };
+    }
+    if (result.written) {
+      this.clearCache();
+    }
+
+    return result;
+  }
+
+  async getNxVulnerabilities(level) {
+    this.assertNxMode();
+    if (level && !AUDIT_LEVELS.includes(level)) {
+      throw new Error(`Invalid audit level "${level}" (expected one of: ${AUDIT_LEVELS.join(', ')})`);
+    }
+    return auditWorkspace(this.monorepoRoot, level);
+  }
+
+  async processQuery(query) {
+    // Natural language query processing
+    console.log(`Processing query: "${query}"`);
+    const queryLower = query.toLowerCase();
+    
+    // Handle queries about dependencies for specific projects
+    const projectDepsMatch = queryLower.match(/(?:what|which|list|show|get|find)(?:\s+(?:are|is))?\s+(?:the\s+)?(?:dependencies|deps)(?:\s+(?:for|of|in|used\s+(?:by|in)))?\s+(?:project|package|proj|pkg)\s+([a-zA-Z0-9\-@/.]+)/i);
+    if (projectDepsMatch) {
+      const projectName = projectDepsMatch[1].trim();
+      console.log(`Detected project dependency query for: ${projectName}`);
+      return this.getProjectDependencies(projectName);
+    }
+    
+    // Alternative patterns for project dependency queries
+    if ((queryLower.includes('dependencies') || queryLower.includes('deps')) && 
+        (queryLower.includes('project') || queryLower.includes('package') || queryLower.includes('for'))) {
+      const projectMatch = query.match(/(?:project|package|proj|pkg)\s+([a-zA-Z0-9\-@/.]+)/i);
+      if (projectMatch) {
+        const projectName = projectMatch[1].trim();
+        console.log(`Detected alternative project dependency query for: ${projectName}`);
+        return this.getProjectDependencies(projectName);
+      }
+    }
+    
+    // Handle "why is X installed" questions
+    const whyMatch = query.match(/why\s+(?:is|are|do\s+we\s+(?:have|need|install)|does)\s+(?:the\s+)?([a-zA-Z0-9\-@/.^~<>=]+)/i);
+    if (whyMatch) {
+      console.log(`Detected why query for: ${whyMatch[1]}`);
+      return this.explainDependency(whyMatch[1]);
+    }
+    
+    // Handle questions about dependencies more robustly
+    if (queryLower.includes('using') || queryLower.includes('depend')) {
+      const dependencyMatch = queryLower.match(/(using|depending on|depend on|use|uses)\s+([a-zA-Z0-9\-@/.]+)/i);
+      if (dependencyMatch) {
+        const dependency = dependencyMatch[2].trim();
+        console.log(`Detected dependency query for: ${dependency}`);
+        return this.findPackagesUsingDependency(dependency);
+      }
+    }
+    
+    // Simple keyword-based router for common questions
+    if (queryLower.includes('version') && queryLower.includes('inconsistent')) {
+      return this.findVersionInconsistencies();
+    }
+    
+    if (queryLower.includes('unused') && queryLower.includes('dependencies')) {
+      const packageMatch = query.match(/package[s]?\s+([a-zA-Z0-9\-@/]+)/i);
+      const packageName = packageMatch ? packageMatch[1] : null;
+      return this.findUnusedDependencies(packageName);
+    }
+    
+    if (queryLower.includes('outdated')) {
+      return this.findOutdatedDependencies();
+    }
+    
+    if (queryLower.includes('security') || queryLower.includes('vulnerabilities')) {
+      return this.findSecurityVulnerabilities();
+    }
+    
+    if (queryLower.includes('circular')) {
+      return this.findCircularDependencies();
+    }
+    
+    if (queryLower.includes('duplicate')) {
+      return this.findDuplicatePackages();
+    }
+    
+    if (queryLower.includes('engine') || queryLower.includes('node version')) {
+      return this.analyzeEngines();
+    }
+    
+    if (queryLower.includes('peer')) {
+      return this.checkPeerDependencies();
+    }
+    
+    if (queryLower.includes('internal') || queryLower.includes('workspace protocol')) {
+      return this.validateInternalDependencies();
+    }
+    
+    if (queryLower.includes('policy') || queryLower.includes('banned') || queryLower.includes('pinned')) {
+      return this.checkPolicy();
+    }
+    
+    if (queryLower.includes('graph') || queryLower.includes('dependency') && queryLower.includes('structure')) {
+      const packageMatch = query.match(/package[s]?\s+([a-zA-Z0-9\-@/]+)/i);
+      const packageName = packageMatch ? packageMatch[1] : null;
+      return this.generateDependencyGraph(packageName);
+    }
+    
+    const usingMatch = query.match(/(?:packages|projects)\s+(?:using|depending on)\s+([a-zA-Z0-9\-@/]+)/i);
+    if (usingMatch) {
+      return this.findPackagesUsingDependency(usingMatch[1]);
+    }
+    
+    // Default to structure overview
+    return this.analyzeStructure();
+  }
+}
+
+module.exports = MonorepoWorkspace;
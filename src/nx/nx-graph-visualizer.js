@@ -1,6 +1,7 @@
 #!/usr/bin/env node
 
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 const { execSync } = require('child_process');
 const { program } = require('commander');
@@ -14,27 +15,16 @@ async function generateDependencyGraph(options) {
   try {
     // Run nx graph to generate dependency data
     console.log('Generating Nx dependency data...');
-    const tempJsonFile = path.join(process.cwd(), 'nx-dep-graph-temp.json');
-    
-    execSync(`npx nx graph --file=${tempJsonFile}`, {
-      cwd: rootDir,
-      stdio: ['pipe', 'pipe', 'ignore'] // Suppress stderr
-    });
+    const graphData = readNxGraph(rootDir);
 
-    if (!fs.existsSync(tempJsonFile)) {
+    if (!graphData) {
       console.error('❌ Failed to generate dependency data. Is this an Nx workspace?');
       return false;
     }
-
-    // Read the generated JSON file
-    const graphData = JSON.parse(fs.readFileSync(tempJsonFile, 'utf8'));
     
     // Generate HTML visualization
     const html = createVisualizationHtml(graphData);
     
-    // Clean up temporary JSON file
-    fs.unlinkSync(tempJsonFile);
-    
     // Save report and optionally open in browser
     const defaultFilename = generateTimestampedFilename('dep-graph');
     await saveAndOpenReport(html, outputFile, openBrowser, defaultFilename, reportsDir);
@@ -47,6 +37,31 @@ async function generateDependencyGraph(options) {
   }
 }
 
+/**
+ * Run nx graph and return the project graph data
+ * @param {string} rootDir - Path to monorepo root
+ * @returns {Object|null} - Nx graph JSON ({ graph: { nodes, dependencies } }), or null if nx produced none
+ */
+function readNxGraph(rootDir) {
+  // Write to the temp dir rather than the caller's working directory
+  const tempJsonFile = path.join(os.tmpdir(), `nx-dep-graph-${process.pid}-${Date.now()}.json`);
+  
+  execSync(`npx nx graph --file=${tempJsonFile}`, {
+    cwd: rootDir,
+    stdio: ['pipe', 'pipe', 'ignore'] // Suppress stderr
+  });
+
+  if (!fs.existsSync(tempJsonFile)) {
+    return null;
+  }
+
+  // Read the generated JSON file, then clean it up
+  const graphData = JSON.parse(fs.readFileSync(tempJsonFile, 'utf8'));
+  fs.unlinkSync(tempJsonFile);
+  
+  return graphData;
+}
+
 // Create HTML visualization
 function createVisualizationHtml(graphData) {
   // Extract projects and dependencies
@@ -515,35 +530,45 @@ function createVisualizationHtml(graphData) {
   `;
 }
 
-// CLI program
-program
-  .name('nx-graph-visualizer')
-  .description('Generate visual representation of Nx monorepo dependencies')
-  .version('1.0.0');
+module.exports = {
+  generateDependencyGraph,
+  readNxGraph
+};
+
+// Run the CLI only when executed directly, so the module can be required as a library
+if (require.main === module) {
+  // CLI program
+  program
+    .name('nx-graph-visualizer')
+    .description('Generate visual representation of Nx monorepo dependencies')
+    .version('1.0.0');
 
-program
-  .command('generate')
-  .description('Generate a visual dependency graph')
-  .option('-r, --root <path>', 'Path to monorepo root', process.cwd())
-  .option('-o, --output <file>', 'Output HTML file', '')
-  .option('-b, --browser', 'Open the generated file in browser', false)
-  .option('-d, --reports-dir <dir>', 'Reports directory', 'deps-reports')
-  .action(async (options) => {
-    const result = await generateDependencyGraph({
-      rootDir: options.root,
-      outputFile: options.output,
-      openBrowser: options.browser,
-      reportsDir: options.reportsDir
+  program
+    .command('generate')
+    .description('Generate a visual dependency graph')
+    .option('-r, --root <path>', 'Path to monorepo root', process.cwd())
+    .option('-o, --output <file>', 'Output HTML file', '')
+    .option('-b, --browser', 'Open the generated file in browser', false)
+    .option('-d, --reports-dir <dir>', 'Reports directory', 'deps-reports')
+    .action(async (options) => {
+      const result = await generateDependencyGraph({
+        rootDir: options.root,
+        outputFile: options.output,
+        openBrowser: options.browser,
+        reportsDir: options.reportsDir
+      });
+
+      if (result) {
+        console.log(`\n📊 Dependency graph generated successfully`);
+      } else {
+        process.exitCode = 1;
+      }
     });
-    
-    if (result) {
-      console.log(`\n📊 Dependency graph generated successfully`);
-    }
-  });
 
-program.parse(process.argv);
+  program.parse(process.argv);
 
-// Show help if no command is provided
-if (!process.argv.slice(2).length) {
-  program.outputHelp();
-} 
\ No newline at end of file
+  // Show help if no command is provided
+  if (!process.argv.slice(2).length) {
+    program.outputHelp();
+  }
+}
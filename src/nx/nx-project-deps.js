@@ -3,9 +3,20 @@
 const fs = require('fs');
 const path = require('path');
 const { execSync } = require('child_process');
+const semver = require('semver');
 const { program } = require('commander');
 const { saveAndOpenReport, generateTimestampedFilename } = require('../utils/report-utils');
 const chalk = require('chalk');
+const { collectImports, isDevelopmentFile, findToolUsage } = require('../usage');
+const { parseJsonWithComments } = require('../usage/tool-usage');
+const { createDiff } = require('../utils/manifest-utils');
+const { loadLockfile } = require('../lockfile');
+
+// Packages a library must share with the app using it, so they become peer dependencies
+const FRAMEWORK_PACKAGES = [
+  /^(react|react-dom|react-native|vue|svelte|solid-js|preact|next|rxjs)$/,
+  /^@(angular|nestjs)\//
+];
 
 // Add axios for fetching npm versions
 const axios = require('axios');
@@ -154,45 +165,31 @@ class NxProjectDepsAnalyzer {
   }
 
   /**
-   * Get all import statements in TS/JS files in a project
+   * Get the packages a project uses: the ones its source files import, and the tools
+   * its config files and npm scripts use (ESLint plugins, Jest presets, tsconfig types, binaries)
    */
   getProjectImports(projectRoot) {
     try {
       const projectPath = path.join(this.rootDir, projectRoot);
-      
-      // Find all TS/JS files in the project
-      const output = execSync(
-        `find ${projectPath} -type f -name "*.ts" -o -name "*.tsx" -o -name "*.js" -o -name "*.jsx" | xargs grep -l "import.*from" || true`,
-        { 
-          encoding: 'utf8',
-          stdio: ['pipe', 'pipe', 'ignore'] // Suppress stderr
-        }
-      );
-      
-      const files = output.split('\n').filter(Boolean);
-      const imports = new Set();
-      
-      // Extract import statements from each file
-      files.forEach(file => {
-        try {
-          const content = fs.readFileSync(file, 'utf8');
-          const importRegex = /import\s+(?:(?:{[^}]*}|\*\s+as\s+[^;]+|[^;{]*)\s+from\s+)?['"]([^'"]+)['"]/g;
-          let match;
-          
-          while ((match = importRegex.exec(content)) !== null) {
-            const importPath = match[1];
-            if (!importPath.startsWith('.')) {
-              // Only collect external imports (not relative imports)
-              const packageName = importPath.split('/')[0];
-              imports.add(packageName);
-            }
-          }
-        } catch (error) {
-          this.log(`Error processing file ${file}: ${error.message}`);
-        }
+      // Packages declared at the workspace root count too: scripts usually run binaries installed there,
+      // and browser projects import polyfills named after Node.js builtins from it
+      const packageJsonPath = path.join(projectPath, 'package.json');
+      const packageJson = fs.existsSync(packageJsonPath) ? JSON.parse(fs.readFileSync(packageJsonPath, 'utf8')) : {};
+      const rootPackageJson = this.getRootPackageJson() || {};
+      const candidates = Object.keys({
+        ...rootPackageJson.dependencies,
+        ...rootPackageJson.devDependencies,
+        ...packageJson.dependencies,
+        ...packageJson.devDependencies
       });
-      
-      return Array.from(imports);
+
+      const { imports, parseErrors } = collectImports(projectPath, { dependencies: candidates });
+      parseErrors.forEach(({ file, message }) => {
+        this.log(`Error processing file ${file}: ${message}`);
+      });
+      const tools = findToolUsage(projectPath, packageJson, { packages: candidates });
+
+      return Array.from(new Set([...imports.keys(), ...tools.keys()]));
     } catch (error) {
       this.log(`Error getting imports for ${projectRoot}: ${error.message}`);
       return [];
@@ -274,6 +271,300 @@ class NxProjectDepsAnalyzer {
     };
   }
 
+  /**
+   * Get the TypeScript path aliases of the workspace, which is how projects import libraries
+   * @returns {Object} - Alias (e.g. "@myorg/ui" or "@myorg/*") -> target paths relative to the root
+   */
+  getPathAliases() {
+    for (const file of ['tsconfig.base.json', 'tsconfig.json']) {
+      const tsConfigPath = path.join(this.rootDir, file);
+      if (!fs.existsSync(tsConfigPath)) {
+        continue;
+      }
+      try {
+        const tsConfig = parseJsonWithComments(fs.readFileSync(tsConfigPath, 'utf8'));
+        return (tsConfig.compilerOptions && tsConfig.compilerOptions.paths) || {};
+      } catch (error) {
+        this.log(`Error reading ${file}: ${error.message}`);
+      }
+    }
+    return {};
+  }
+
+  /**
+   * Find the workspace library an import points to through a path alias
+   * @param {string} name - Import specifier (e.g. "@myorg/data/store")
+   * @param {Object} aliases - Path aliases, as returned by getPathAliases
+   * @returns {Object|null} - { root, packageJson }: the library root relative to the workspace
+   *   (the nearest directory with a project.json or package.json) and its package.json, if any
+   */
+  resolveInternalImport(name, aliases) {
+    const alias = Object.keys(aliases).find(key => {
+      const wildcard = key.indexOf('*');
+      return wildcard === -1
+        ? key === name
+        : name.startsWith(key.slice(0, wildcard)) && name.endsWith(key.slice(wildcard + 1));
+    });
+    const targets = alias && aliases[alias];
+    if (!targets || targets.length === 0) {
+      return null;
+    }
+
+    const wildcard = alias.indexOf('*');
+    const target = wildcard === -1
+      ? targets[0]
+      : targets[0].replace('*', name.slice(wildcard, name.length - (alias.length - wildcard - 1)));
+
+    const rootDir = path.resolve(this.rootDir);
+    // Targets are entry files ("libs/ui/src/index.ts") or directories ("libs/ui"): start at the target itself
+    let dir = path.resolve(rootDir, target);
+    while (dir.startsWith(rootDir + path.sep)) {
+      const packageJsonPath = path.join(dir, 'package.json');
+      if (fs.existsSync(packageJsonPath) || fs.existsSync(path.join(dir, 'project.json'))) {
+        return {
+          root: path.relative(rootDir, dir).split(path.sep).join('/'),
+          packageJson: fs.existsSync(packageJsonPath) ? JSON.parse(fs.readFileSync(packageJsonPath, 'utf8')) : null
+        };
+      }
+      dir = path.dirname(dir);
+    }
+    return null;
+  }
+
+  /**
+   * Whether a project compiles with importHelpers, which makes its output import tslib
+   */
+  usesImportHelpers(projectRoot) {
+    const readOption = (tsConfigPath, depth = 0) => {
+      if (depth > 5 || !fs.existsSync(tsConfigPath)) {
+        return undefined;
+      }
+      try {
+        const tsConfig = parseJsonWithComments(fs.readFileSync(tsConfigPath, 'utf8'));
+        const value = tsConfig.compilerOptions && tsConfig.compilerOptions.importHelpers;
+        if (value !== undefined || typeof tsConfig.extends !== 'string' || !tsConfig.extends.startsWith('.')) {
+          return value;
+        }
+        return readOption(path.resolve(path.dirname(tsConfigPath), tsConfig.extends), depth + 1);
+      } catch (error) {
+        this.log(`Error reading ${tsConfigPath}: ${error.message}`);
+        return undefined;
+      }
+    };
+
+    return ['tsconfig.lib.json', 'tsconfig.app.json', 'tsconfig.json']
+      .map(file => readOption(path.join(this.rootDir, projectRoot, file)))
+      .some(value => value === true);
+  }
+
+  /**
+   * package.json of a package installed in the root node_modules
+   * @returns {Object|null} - The package.json, or null if the package isn't installed
+   */
+  readInstalledPackageJson(name) {
+    const installedPath = path.join(this.rootDir, 'node_modules', name, 'package.json');
+    if (!fs.existsSync(installedPath)) {
+      return null;
+    }
+    try {
+      return JSON.parse(fs.readFileSync(installedPath, 'utf8'));
+    } catch (error) {
+      this.log(`Error reading ${installedPath}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Version the root lockfile resolves a root dependency to
+   * @returns {string|null} - The locked version, or null if there is no lockfile or no entry for the range
+   */
+  getLockedVersion(lockfile, name, range) {
+    if (!lockfile) {
+      return null;
+    }
+    const resolved = lockfile.resolveDependency('', name, range);
+    return resolved && !resolved.link && semver.valid(resolved.version) ? resolved.version : null;
+  }
+
+  /**
+   * Generate the package.json of a project from what its shipped source files import
+   * (tests, stories, configs and scripts are left out): npm packages are pinned to the version
+   * the root lockfile resolves, or else the one installed at the root, and get the root range when
+   * they are neither locked nor installed (listed in `unpinned`); libraries imported through path
+   * aliases get their package name and version; and for libraries, frameworks and the peers of their dependencies become peer dependencies
+   * with the root range. Packages the root only declares as devDependencies are listed in
+   * `misplaced`. Other fields of an existing package.json are kept.
+   * @param {string} projectName - Nx project name
+   * @param {Object} [options]
+   * @param {boolean} [options.write=false] - Write the generated package.json
+   * @returns {Object|null} - { project, root, type, file, exists, packageJson, internal, unresolved, unpinned,
+   *   misplaced, diff, changed, written }, or null if the project or the root package.json can't be found
+   */
+  generatePackageJson(projectName, options = {}) {
+    const analysis = this.analyzeProject(projectName);
+    if (!analysis) {
+      return null;
+    }
+
+    this.log('📝 Generating package.json from the imports of shipped source files...');
+    const rootPackageJson = this.getRootPackageJson();
+    // Range and field of each root dependency; dependencies win over peers and devDependencies
+    const rootDeps = {};
+    ['devDependencies', 'peerDependencies', 'dependencies'].forEach(field => {
+      Object.entries(rootPackageJson[field] || {}).forEach(([name, range]) => {
+        rootDeps[name] = { range, field };
+      });
+    });
+    const projectPath = path.join(this.rootDir, analysis.root);
+    const aliases = this.getPathAliases();
+    const { imports } = collectImports(projectPath, { dependencies: Object.keys(rootDeps) });
+    let lockfile = null;
+    try {
+      lockfile = loadLockfile(this.rootDir);
+    } catch (error) {
+      this.log(`Error reading the lockfile: ${error.message}`);
+    }
+
+    const dependencies = {};
+    const internal = [];
+    const unresolved = [];
+    let unpinned = [];
+    let misplaced = [];
+    const addRootDependency = (name, files) => {
+      const installed = this.readInstalledPackageJson(name);
+      const locked = this.getLockedVersion(lockfile, name, rootDeps[name].range);
+      if (locked) {
+        dependencies[name] = locked;
+      } else if (installed && semver.valid(installed.version)) {
+        dependencies[name] = installed.version;
+      } else {
+        dependencies[name] = rootDeps[name].range;
+        unpinned.push({ dependency: name, range: rootDeps[name].range, reason: 'Neither locked nor installed at the root, so the root range is used' });
+      }
+      if (rootDeps[name].field === 'devDependencies') {
+        misplaced.push({
+          dependency: name,
+          declaredIn: 'devDependencies',
+          expectedIn: 'dependencies',
+          reason: 'Imported by shipped source files, but the root package.json only declares it as a devDependency',
+          files
+        });
+      }
+    };
+
+    imports.forEach((usage, name) => {
+      if (!usage.kinds.has('source')) {
+        return;
+      }
+
+      // Aliases may point below the package name: "@myorg/data/store" and "@myorg/data/auth" are two libraries
+      const libraries = new Map();
+      [...usage.specifiers, name].forEach(specifier => {
+        const library = this.resolveInternalImport(specifier, aliases);
+        if (library && !Array.from(libraries.values()).some(found => found.root === library.root)) {
+          libraries.set(specifier, library);
+        }
+      });
+      if (libraries.size > 0) {
+        libraries.forEach((library, specifier) => {
+          if (library.root === analysis.root) {
+            return;
+          }
+          if (!library.packageJson || !library.packageJson.name) {
+            unresolved.push({ import: specifier, reason: `${library.root} has no package.json, so it can't be published` });
+            return;
+          }
+          const version = library.packageJson.version || '*';
+          dependencies[library.packageJson.name] = version;
+          internal.push({ import: specifier, package: library.packageJson.name, version, root: library.root });
+        });
+        return;
+      }
+
+      if (rootDeps[name]) {
+        addRootDependency(name, Array.from(usage.files).filter(file => !isDevelopmentFile(file)));
+      } else {
+        unresolved.push({ import: name, reason: 'Not declared in the root package.json' });
+      }
+    });
+
+    if (rootDeps.tslib && !dependencies.tslib && this.usesImportHelpers(analysis.root)) {
+      addRootDependency('tslib', []);
+    }
+
+    // Libraries share frameworks, and what their dependencies expect as peers, with the app using them
+    const peerDependencies = {};
+    if (analysis.type === 'library') {
+      const internalPackages = new Set(internal.map(library => library.package));
+      const peers = new Set();
+      Object.keys(dependencies).filter(name => !internalPackages.has(name)).forEach(name => {
+        if (FRAMEWORK_PACKAGES.some(pattern => pattern.test(name))) {
+          peers.add(name);
+        }
+        const installed = this.readInstalledPackageJson(name);
+        Object.keys((installed && installed.peerDependencies) || {}).forEach(peer => peers.add(peer));
+      });
+      // The app provides its peers, so they keep the range rather than the installed version
+      peers.forEach(name => {
+        if (dependencies[name] && !internalPackages.has(name)) {
+          peerDependencies[name] = rootDeps[name].range;
+          delete dependencies[name];
+        }
+      });
+      // Peers are meant to keep the range, and a devDependency at the root is where they belong
+      unpinned = unpinned.filter(entry => !peerDependencies[entry.dependency]);
+      misplaced = misplaced.filter(entry => !peerDependencies[entry.dependency]);
+    }
+
+    // Start from the existing package.json to keep its other fields and key order
+    const packageJsonPath = path.join(projectPath, 'package.json');
+    const exists = fs.existsSync(packageJsonPath);
+    const original = exists ? fs.readFileSync(packageJsonPath, 'utf8') : '';
+    const ownAlias = Object.keys(aliases).find(alias => {
+      const library = alias.includes('*') ? null : this.resolveInternalImport(alias, aliases);
+      return library && library.root === analysis.root;
+    });
+    const packageJson = exists ? JSON.parse(original) : { name: ownAlias || projectName, version: '0.0.1' };
+
+    const sortKeys = object => Object.keys(object).sort().reduce((sorted, key) => {
+      sorted[key] = object[key];
+      return sorted;
+    }, {});
+    [['dependencies', dependencies], ['peerDependencies', peerDependencies]].forEach(([field, value]) => {
+      if (Object.keys(value).length > 0) {
+        packageJson[field] = sortKeys(value);
+      } else {
+        delete packageJson[field];
+      }
+    });
+
+    const indent = exists ? ((original.match(/^([ \t]+)"/m) || [])[1] || '  ') : '  ';
+    const content = JSON.stringify(packageJson, null, indent) + (!exists || original.endsWith('\n') ? '\n' : '');
+    const file = path.relative(this.rootDir, packageJsonPath).split(path.sep).join('/');
+    const changed = content !== original;
+
+    if (options.write && changed) {
+      fs.writeFileSync(packageJsonPath, content);
+      this.log(`✅ Wrote ${file}`);
+    }
+
+    return {
+      project: projectName,
+      root: analysis.root,
+      type: analysis.type,
+      file,
+      exists,
+      packageJson,
+      internal,
+      unresolved,
+      unpinned,
+      misplaced,
+      diff: createDiff(file, original, content),
+      changed,
+      written: Boolean(options.write && changed)
+    };
+  }
+
   /**
    * Analyze all projects in the workspace
    * @param {boolean} npmOnly - If true, only include projects with npm dependencies
@@ -591,63 +882,47 @@ class NxProjectDepsAnalyzer {
     console.log(`✅ Completed version check: ${success} successful, ${failed} failed`);
     return results;
   }
-}
 
-// Handle command line arguments
-program
-  .name('nx-project-deps')
-  .description('Analyze dependencies in an Nx monorepo')
-  .version('1.0.0');
-
-program
-  .command('project')
-  .description('Analyze dependencies of projects in an Nx workspace')
-  .requiredOption('--root <path>', 'Path to the root of the Nx workspace')
-  .option('--project <projectName>', 'Name of the project to analyze')
-  .option('-v, --verbose', 'Enable verbose output')
-  .option('-b, --browser', 'Open the report in a browser after generation', false)
-  .option('-s, --skip-latest', 'Skip fetching latest versions from npm registry', false)
-  .option('-n, --npm-only', 'Show only projects with npm dependencies', false)
-  .action(async (options) => {
-    const analyzer = new NxProjectDepsAnalyzer({
-      rootDir: options.root,
-      verbose: options.verbose
-    });
-    
+  /**
+   * Analyze one or all projects, fetch their latest versions and save the HTML report
+   * @param {Object} options
+   * @param {string} [options.project] - Only analyze this project
+   * @param {boolean} [options.skipLatest=false] - Skip fetching latest versions from npm
+   * @param {boolean} [options.npmOnly=false] - Only include projects with npm dependencies
+   * @param {string} [options.output] - Output HTML report file
+   * @param {boolean} [options.browser=false] - Open the report in the browser
+   * @param {string} [options.reportsDir] - Reports directory
+   * @returns {Promise<boolean>} - Whether the analysis succeeded
+   */
+  async runAnalysis(options = {}) {
     let analysis;
     
     if (options.project) {
-      const project = analyzer.analyzeProject(options.project);
-      if (project) {
-        console.log('\n✅ Analysis complete for project:', options.project);
-        
-        // Collect all dependencies from the project
-        const allDeps = {};
-        Object.entries(project.dependencies).forEach(([dep, version]) => {
-          allDeps[dep] = version;
-        });
-        
-        // Fetch latest versions if not skipped
-        project.latestVersions = options.skipLatest ? {} : await analyzer.fetchLatestVersions(allDeps, options.skipLatest);
-        
-        analysis = {
-          projects: { [options.project]: project },
-          depUsageCount: {},
-          totalProjects: 1,
-          npmOnly: false
-        };
-        
-        // Count dependency usage for this single project
-        Object.keys(project.dependencies).forEach(dep => {
-          analysis.depUsageCount[dep] = 1;
-        });
-      } else {
+      const project = this.analyzeProject(options.project);
+      if (!project) {
         console.error('❌ Failed to analyze project:', options.project);
-        process.exit(1);
+        return false;
       }
+      
+      console.log('\n✅ Analysis complete for project:', options.project);
+      
+      // Fetch latest versions if not skipped
+      project.latestVersions = await this.fetchLatestVersions({ ...project.dependencies }, options.skipLatest);
+      
+      analysis = {
+        projects: { [options.project]: project },
+        depUsageCount: {},
+        totalProjects: 1,
+        npmOnly: false
+      };
+      
+      // Count dependency usage for this single project
+      Object.keys(project.dependencies).forEach(dep => {
+        analysis.depUsageCount[dep] = 1;
+      });
     } else {
       // Analyze all projects
-      analysis = analyzer.analyzeAllProjects(options.npmOnly);
+      analysis = this.analyzeAllProjects(options.npmOnly);
       console.log('\n✅ Analysis complete for all projects');
       
       // Collect all unique dependencies across all projects
@@ -666,7 +941,7 @@ program
         });
       
       // Fetch latest versions if not skipped
-      const latestVersions = options.skipLatest ? {} : await analyzer.fetchLatestVersions(allDeps, options.skipLatest);
+      const latestVersions = await this.fetchLatestVersions(allDeps, options.skipLatest);
       
       // Add latest versions to each project
       Object.values(analysis.projects).forEach(project => {
@@ -679,15 +954,48 @@ program
       });
     }
     
-    // Generate HTML report
-    const report = analyzer.generateHtmlReport(analysis);
-    
-    // Save the report
+    // Generate and save the HTML report
+    const report = this.generateHtmlReport(analysis);
     const filename = generateTimestampedFilename('project-deps');
-    await saveAndOpenReport(report, '', options.browser === true, filename);
-  });
+    await saveAndOpenReport(report, options.output, options.browser === true, filename, options.reportsDir);
+    
+    return true;
+  }
+}
+
+module.exports = NxProjectDepsAnalyzer;
 
-// Ensure command processing
-program.parse(process.argv);
+// Run the CLI only when executed directly, so the module can be required as a library
+if (require.main === module) {
+  // Handle command line arguments
+  program
+    .name('nx-project-deps')
+    .description('Analyze dependencies in an Nx monorepo')
+    .version('1.0.0');
+
+  program
+    .command('project')
+    .description('Analyze dependencies of projects in an Nx workspace')
+    .requiredOption('--root <path>', 'Path to the root of the Nx workspace')
+    .option('--project <projectName>', 'Name of the project to analyze')
+    .option('-v, --verbose', 'Enable verbose output')
+    .option('-o, --output <file>', 'Output HTML report file', '')
+    .option('-b, --browser', 'Open the report in a browser after generation', false)
+    .option('-d, --reports-dir <dir>', 'Reports directory', 'deps-reports')
+    .option('-s, --skip-latest', 'Skip fetching latest versions from npm registry', false)
+    .option('-n, --npm-only', 'Show only projects with npm dependencies', false)
+    .action(async (options) => {
+      const analyzer = new NxProjectDepsAnalyzer({
+        rootDir: options.root,
+        verbose: options.verbose
+      });
 
-module.exports = NxProjectDepsAnalyzer;
\ No newline at end of file
+      const result = await analyzer.runAnalysis(options);
+      if (!result) {
+        process.exitCode = 1;
+      }
+    });
+
+  // Ensure command processing
+  program.parse(process.argv);
+}
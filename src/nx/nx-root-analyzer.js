@@ -831,62 +831,46 @@ class NxMonorepoAnalyzer {
 </html>
     `;
   }
-}
 
-// Set up command-line interface
-program
-  .name('nx-root-analyzer')
-  .description('Analyze an Nx monorepo with dependencies managed at the root level')
-  .version('1.0.0');
+  /**
+   * Analyze the monorepo, print the results and optionally save an HTML report
+   * @param {Object} [options]
+   * @param {string} [options.output] - Output HTML report file
+   * @param {boolean} [options.browser=false] - Open the report in the browser
+   * @param {string} [options.reportsDir] - Reports directory
+   * @returns {Promise<boolean>} - Whether the analysis succeeded
+   */
+  async runAnalysis(options = {}) {
+    console.log(`🔍 Analyzing Nx monorepo at ${this.rootDir}`);
 
-program
-  .command('analyze')
-  .description('Analyze the Nx monorepo')
-  .option('-r, --root <path>', 'Path to monorepo root', process.cwd())
-  .option('-a, --apps <dir>', 'Apps directory name', 'apps')
-  .option('-l, --libs <dir>', 'Libraries directory name', 'libs')
-  .option('-v, --verbose', 'Verbose output', false)
-  .option('-o, --output <file>', 'Output HTML report file', '')
-  .option('-b, --browser', 'Open the report in browser', false)
-  .option('-d, --reports-dir <dir>', 'Reports directory', 'deps-reports')
-  .action(async (options) => {
-    console.log(`🔍 Analyzing Nx monorepo at ${options.root}`);
-    
-    const analyzer = new NxMonorepoAnalyzer({
-      rootDir: options.root,
-      appsDir: options.apps,
-      libsDir: options.libs,
-      verbose: options.verbose
-    });
-    
     // Get root dependencies analysis
-    const rootAnalysis = analyzer.analyzeRootDependencies();
+    const rootAnalysis = this.analyzeRootDependencies();
     if (!rootAnalysis) {
       console.error('❌ Failed to analyze root dependencies');
-      process.exit(1);
+      return false;
     }
-    
+
     console.log('\n📦 Monorepo Information:');
     console.log(`Name: ${rootAnalysis.name}`);
     console.log(`Version: ${rootAnalysis.version}`);
     console.log(`Nx Version: ${rootAnalysis.nxVersion}`);
     console.log(`Framework(s): ${rootAnalysis.framework.join(', ') || 'None detected'}`);
-    
+
     console.log(`\n📊 Dependency Counts:`);
     console.log(`Production dependencies: ${rootAnalysis.dependencies}`);
     console.log(`Development dependencies: ${rootAnalysis.devDependencies}`);
     console.log(`Peer dependencies: ${rootAnalysis.peerDependencies}`);
     console.log(`Total unique dependencies: ${rootAnalysis.totalDependencies}`);
-    
+
     // Show projects
-    const projectsInfo = analyzer.analyzeAllProjects();
+    const projectsInfo = this.analyzeAllProjects();
     if (projectsInfo) {
       console.log(`\n🏗️ Project Structure:`);
       console.log(`Total projects: ${projectsInfo.totalProjects}`);
-      
+
       if (projectsInfo.projects.length > 0) {
         console.log('\nProjects:');
-        
+
         // Group projects by type
         const groupedProjects = projectsInfo.projects.reduce((acc, project) => {
           const type = project.type || 'unknown';
@@ -894,7 +878,7 @@ program
           acc[type].push(project.name);
           return acc;
         }, {});
-        
+
         // Print grouped projects
         Object.keys(groupedProjects).forEach(type => {
           console.log(`\n${type.charAt(0).toUpperCase() + type.slice(1)} (${groupedProjects[type].length}):`);
@@ -902,11 +886,11 @@ program
         });
       }
     }
-    
+
     // Get inter-project dependencies
     console.log('\n🔄 Analyzing project dependencies...');
-    const projectDeps = await analyzer.analyzeProjectImports();
-    
+    const projectDeps = await this.analyzeProjectImports();
+
     if (projectDeps) {
       console.log('\n🔄 Project Dependencies:');
       Object.keys(projectDeps).forEach(projectName => {
@@ -920,111 +904,149 @@ program
       console.log('❌ Could not generate project dependency graph');
       console.log('💡 Try running this command in the monorepo root directory');
     }
-    
+
     // Generate HTML report if requested
     if (options.output || options.browser) {
       console.log(`\n📄 Generating HTML report...`);
-      
-      const html = analyzer.generateHtmlReport(rootAnalysis, projectsInfo, projectDeps);
-      
+
+      const html = this.generateHtmlReport(rootAnalysis, projectsInfo, projectDeps);
+
       // Save report and optionally open in browser
       const defaultFilename = generateTimestampedFilename('monorepo-analysis');
       await saveAndOpenReport(html, options.output, options.browser, defaultFilename, options.reportsDir);
-      
+
       console.log(`\n📊 Monorepo analysis completed successfully`);
     }
-  });
 
-program
-  .command('deps')
-  .description('List all dependencies from root package.json')
-  .option('-r, --root <path>', 'Path to monorepo root', process.cwd())
-  .option('-t, --type <type>', 'Dependency type (all, prod, dev, peer)', 'all')
-  .action((options) => {
-    const analyzer = new NxMonorepoAnalyzer({
-      rootDir: options.root
+    return true;
+  }
+}
+
+module.exports = NxMonorepoAnalyzer;
+
+// Run the CLI only when executed directly, so the module can be required as a library
+if (require.main === module) {
+  // Set up command-line interface
+  program
+    .name('nx-root-analyzer')
+    .description('Analyze an Nx monorepo with dependencies managed at the root level')
+    .version('1.0.0');
+
+  program
+    .command('analyze')
+    .description('Analyze the Nx monorepo')
+    .option('-r, --root <path>', 'Path to monorepo root', process.cwd())
+    .option('-a, --apps <dir>', 'Apps directory name', 'apps')
+    .option('-l, --libs <dir>', 'Libraries directory name', 'libs')
+    .option('-v, --verbose', 'Verbose output', false)
+    .option('-o, --output <file>', 'Output HTML report file', '')
+    .option('-b, --browser', 'Open the report in browser', false)
+    .option('-d, --reports-dir <dir>', 'Reports directory', 'deps-reports')
+    .action(async (options) => {
+      const analyzer = new NxMonorepoAnalyzer({
+        rootDir: options.root,
+        appsDir: options.apps,
+        libsDir: options.libs,
+        verbose: options.verbose
+      });
+
+      const result = await analyzer.runAnalysis(options);
+      if (!result) {
+        process.exitCode = 1;
+      }
     });
-    
-    const rootAnalysis = analyzer.analyzeRootDependencies();
-    if (!rootAnalysis) {
-      console.error('❌ Failed to analyze root dependencies');
-      process.exit(1);
-    }
-    
-    const packageJson = rootAnalysis.packageJson;
-    
-    console.log(`\n📦 Dependencies for ${packageJson.name}@${packageJson.version}:`);
-    
-    if (options.type === 'all' || options.type === 'prod') {
-      console.log('\n📌 Production Dependencies:');
-      if (packageJson.dependencies && Object.keys(packageJson.dependencies).length > 0) {
-        Object.entries(packageJson.dependencies).forEach(([name, version]) => {
-          console.log(`  ${name}: ${version}`);
-        });
-      } else {
-        console.log('  None');
+
+  program
+    .command('deps')
+    .description('List all dependencies from root package.json')
+    .option('-r, --root <path>', 'Path to monorepo root', process.cwd())
+    .option('-t, --type <type>', 'Dependency type (all, prod, dev, peer)', 'all')
+    .action((options) => {
+      const analyzer = new NxMonorepoAnalyzer({
+        rootDir: options.root
+      });
+
+      const rootAnalysis = analyzer.analyzeRootDependencies();
+      if (!rootAnalysis) {
+        console.error('❌ Failed to analyze root dependencies');
+        process.exit(1);
       }
-    }
-    
-    if (options.type === 'all' || options.type === 'dev') {
-      console.log('\n🛠️ Development Dependencies:');
-      if (packageJson.devDependencies && Object.keys(packageJson.devDependencies).length > 0) {
-        Object.entries(packageJson.devDependencies).forEach(([name, version]) => {
-          console.log(`  ${name}: ${version}`);
-        });
-      } else {
-        console.log('  None');
+
+      const packageJson = rootAnalysis.packageJson;
+
+      console.log(`\n📦 Dependencies for ${packageJson.name}@${packageJson.version}:`);
+
+      if (options.type === 'all' || options.type === 'prod') {
+        console.log('\n📌 Production Dependencies:');
+        if (packageJson.dependencies && Object.keys(packageJson.dependencies).length > 0) {
+          Object.entries(packageJson.dependencies).forEach(([name, version]) => {
+            console.log(`  ${name}: ${version}`);
+          });
+        } else {
+          console.log('  None');
+        }
       }
-    }
-    
-    if (options.type === 'all' || options.type === 'peer') {
-      console.log('\n🤝 Peer Dependencies:');
-      if (packageJson.peerDependencies && Object.keys(packageJson.peerDependencies).length > 0) {
-        Object.entries(packageJson.peerDependencies).forEach(([name, version]) => {
-          console.log(`  ${name}: ${version}`);
-        });
-      } else {
-        console.log('  None');
+
+      if (options.type === 'all' || options.type === 'dev') {
+        console.log('\n🛠️ Development Dependencies:');
+        if (packageJson.devDependencies && Object.keys(packageJson.devDependencies).length > 0) {
+          Object.entries(packageJson.devDependencies).forEach(([name, version]) => {
+            console.log(`  ${name}: ${version}`);
+          });
+        } else {
+          console.log('  None');
+        }
       }
-    }
-  });
 
-program
-  .command('projects')
-  .description('List all projects in the monorepo')
-  .option('-r, --root <path>', 'Path to monorepo root', process.cwd())
-  .option('-a, --apps <dir>', 'Apps directory name', 'apps')
-  .option('-l, --libs <dir>', 'Libraries directory name', 'libs')
-  .action((options) => {
-    const analyzer = new NxMonorepoAnalyzer({
-      rootDir: options.root,
-      appsDir: options.apps,
-      libsDir: options.libs
-    });
-    
-    const projects = analyzer.getProjects();
-    console.log(`\n🏗️ Projects in ${options.root}:`);
-    console.log(`Found ${projects.length} projects\n`);
-    
-    // Organize projects by type if possible
-    const organizedProjects = {};
-    
-    projects.forEach(project => {
-      const type = typeof project === 'string' ? 'unknown' : (project.type || 'unknown');
-      organizedProjects[type] = organizedProjects[type] || [];
-      organizedProjects[type].push(typeof project === 'string' ? project : project.name);
+      if (options.type === 'all' || options.type === 'peer') {
+        console.log('\n🤝 Peer Dependencies:');
+        if (packageJson.peerDependencies && Object.keys(packageJson.peerDependencies).length > 0) {
+          Object.entries(packageJson.peerDependencies).forEach(([name, version]) => {
+            console.log(`  ${name}: ${version}`);
+          });
+        } else {
+          console.log('  None');
+        }
+      }
     });
-    
-    Object.keys(organizedProjects).forEach(type => {
-      console.log(`${type.charAt(0).toUpperCase() + type.slice(1)} (${organizedProjects[type].length}):`);
-      organizedProjects[type].forEach(name => console.log(`  - ${name}`));
-      console.log('');
+
+  program
+    .command('projects')
+    .description('List all projects in the monorepo')
+    .option('-r, --root <path>', 'Path to monorepo root', process.cwd())
+    .option('-a, --apps <dir>', 'Apps directory name', 'apps')
+    .option('-l, --libs <dir>', 'Libraries directory name', 'libs')
+    .action((options) => {
+      const analyzer = new NxMonorepoAnalyzer({
+        rootDir: options.root,
+        appsDir: options.apps,
+        libsDir: options.libs
+      });
+
+      const projects = analyzer.getProjects();
+      console.log(`\n🏗️ Projects in ${options.root}:`);
+      console.log(`Found ${projects.length} projects\n`);
+
+      // Organize projects by type if possible
+      const organizedProjects = {};
+
+      projects.forEach(project => {
+        const type = typeof project === 'string' ? 'unknown' : (project.type || 'unknown');
+        organizedProjects[type] = organizedProjects[type] || [];
+        organizedProjects[type].push(typeof project === 'string' ? project : project.name);
+      });
+
+      Object.keys(organizedProjects).forEach(type => {
+        console.log(`${type.charAt(0).toUpperCase() + type.slice(1)} (${organizedProjects[type].length}):`);
+        organizedProjects[type].forEach(name => console.log(`  - ${name}`));
+        console.log('');
+      });
     });
-  });
 
-program.parse(process.argv);
+  program.parse(process.argv);
 
-// Show help if no command is provided
-if (!process.argv.slice(2).length) {
-  program.outputHelp();
-} 
\ No newline at end of file
+  // Show help if no command is provided
+  if (!process.argv.slice(2).length) {
+    program.outputHelp();
+  }
+}
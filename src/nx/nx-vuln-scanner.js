@@ -16,30 +16,13 @@ async function scanVulnerabilities(options) {
   try {
     // Run npm audit to get vulnerability info
     console.log('Running npm audit...');
-    
-    const auditCmd = `npm audit --json${level ? ` --audit-level=${level}` : ''}`;
-    console.log(`Executing: ${auditCmd}`);
-    
-    let auditOutput;
-    try {
-      auditOutput = execSync(auditCmd, {
-        cwd: rootDir,
-        encoding: 'utf8',
-        stdio: ['pipe', 'pipe', 'pipe']
-      });
-    } catch (error) {
-      // npm audit returns non-zero exit code if vulnerabilities are found
-      // We need to capture the output anyway
-      auditOutput = error.stdout;
-    }
+    console.log(`Executing: ${getAuditCommand(level)}`);
+    const auditData = runNpmAudit(rootDir, level);
 
-    if (!auditOutput) {
+    if (!auditData) {
       console.log('✅ No vulnerabilities found!');
       return true;
     }
-
-    // Parse the audit output
-    const auditData = JSON.parse(auditOutput);
     
     // Find out which projects use vulnerable dependencies
     console.log('Analyzing project dependencies...');
@@ -68,6 +51,53 @@ async function scanVulnerabilities(options) {
   }
 }
 
+function getAuditCommand(level) {
+  return `npm audit --json${level ? ` --audit-level=${level}` : ''}`;
+}
+
+/**
+ * Run npm audit in the workspace root
+ * @param {string} rootDir - Path to monorepo root
+ * @param {string} [level] - Minimum vulnerability level (low, moderate, high, critical)
+ * @returns {Object|null} - Parsed audit data, or null if npm audit produced no output
+ */
+function runNpmAudit(rootDir, level) {
+  const auditCmd = getAuditCommand(level);
+  
+  let auditOutput;
+  try {
+    auditOutput = execSync(auditCmd, {
+      cwd: rootDir,
+      encoding: 'utf8',
+      stdio: ['pipe', 'pipe', 'pipe']
+    });
+  } catch (error) {
+    // npm audit returns non-zero exit code if vulnerabilities are found
+    // We need to capture the output anyway
+    auditOutput = error.stdout;
+  }
+
+  return auditOutput ? JSON.parse(auditOutput) : null;
+}
+
+/**
+ * Audit the workspace and map vulnerable dependencies to the projects importing them
+ * @param {string} rootDir - Path to monorepo root
+ * @param {string} [level] - Minimum vulnerability level (low, moderate, high, critical)
+ * @returns {Promise<Object>} - Audit metadata, vulnerable direct dependencies and affected projects
+ */
+async function auditWorkspace(rootDir, level) {
+  const auditData = runNpmAudit(rootDir, level) || {};
+  const projectDependencies = await analyzeProjectDependencies(rootDir, auditData);
+  
+  return {
+    metadata: auditData.metadata || {},
+    vulnerabilities: auditData.vulnerabilities || {},
+    vulnerableDependencies: projectDependencies.vulnerableDependencies || [],
+    projectDependencies: projectDependencies.projectDependencies || {}
+  };
+}
+
 /**
  * Analyze which projects use vulnerable dependencies
  */
@@ -948,39 +978,48 @@ function generateVulnerabilityReport(auditData, projectDependencies) {
   `;
 }
 
-// CLI program
-program
-  .name('nx-vuln-scanner')
-  .description('Scan Nx monorepo for vulnerabilities in dependencies')
-  .version('1.0.0');
+module.exports = {
+  scanVulnerabilities,
+  auditWorkspace
+};
 
-program
-  .command('scan')
-  .description('Scan for vulnerabilities')
-  .option('-r, --root <path>', 'Path to monorepo root', process.cwd())
-  .option('-o, --output <file>', 'Output HTML file', '')
-  .option('-b, --browser', 'Open the generated file in browser', false)
-  .option('-d, --reports-dir <dir>', 'Reports directory', 'deps-reports')
-  .option('-l, --level <level>', 'Minimum vulnerability level to report (low, moderate, high, critical)', '')
-  .action(async (options) => {
-    const result = await scanVulnerabilities({
-      rootDir: options.root,
-      outputFile: options.output,
-      openBrowser: options.browser,
-      reportsDir: options.reportsDir,
-      level: options.level
+// Run the CLI only when executed directly, so the module can be required as a library
+if (require.main === module) {
+  // CLI program
+  program
+    .name('nx-vuln-scanner')
+    .description('Scan Nx monorepo for vulnerabilities in dependencies')
+    .version('1.0.0');
+
+  program
+    .command('scan')
+    .description('Scan for vulnerabilities')
+    .option('-r, --root <path>', 'Path to monorepo root', process.cwd())
+    .option('-o, --output <file>', 'Output HTML file', '')
+    .option('-b, --browser', 'Open the generated file in browser', false)
+    .option('-d, --reports-dir <dir>', 'Reports directory', 'deps-reports')
+    .option('-l, --level <level>', 'Minimum vulnerability level to report (low, moderate, high, critical)', '')
+    .action(async (options) => {
+      const result = await scanVulnerabilities({
+        rootDir: options.root,
+        outputFile: options.output,
+        openBrowser: options.browser,
+        reportsDir: options.reportsDir,
+        level: options.level
+      });
+
+      if (result) {
+        console.log(`\n📊 Vulnerability scan completed successfully`);
+      } else {
+        console.log(`\n❌ Vulnerability scan failed`);
+        process.exitCode = 1;
+      }
     });
-    
-    if (result) {
-      console.log(`\n📊 Vulnerability scan completed successfully`);
-    } else {
-      console.log(`\n❌ Vulnerability scan failed`);
-    }
-  });
 
-program.parse(process.argv);
+  program.parse(process.argv);
 
-// Show help if no command is provided
-if (!process.argv.slice(2).length) {
-  program.outputHelp();
-} 
\ No newline at end of file
+  // Show help if no command is provided
+  if (!process.argv.slice(2).length) {
+    program.outputHelp();
+  }
+}
@@ -0,0 +1,233 @@
+const path = require('path');
+const { globSync } = require('glob');
+const { SOURCE_EXTENSIONS, scanFile, getPackageName, getTypesPackage, isBuiltinModule } = require('./import-scanner');
+const { findToolUsage } = require('./tool-usage');
+
+// Build output, caches and installed packages, never scanned
+const IGNORED_DIRECTORIES = ['node_modules', 'dist', 'build', 'coverage', 'out', '.next', '.nx', '.turbo', '.cache'];
+
+// Kinds of files only run during development, whose imports only need devDependencies.
+// Tested in order against paths relative to the package; anything else is shipped "source".
+const FILE_KINDS = [
+  { kind: 'test', label: 'tests', pattern: /[._-](test|spec|e2e)\.[cm]?[jt]sx?$|(^|\/)(__tests__|__mocks__|tests?|e2e|cypress|playwright)\/|(^|\/)setupTests\.[cm]?[jt]sx?$/ },
+  { kind: 'story', label: 'stories', pattern: /\.stories?\.[cm]?[jt]sx?$|(^|\/)\.storybook\// },
+  // Tool configs at the package root: jest.config.ts, vite.config.mjs, .eslintrc.js, ...
+  { kind: 'config', label: 'configs', pattern: /^[^/]+\.config\.[cm]?[jt]s$|^\.[^/]+rc\.[cm]?js$/ },
+  { kind: 'script', label: 'scripts', pattern: /^(scripts|tools)\// }
+];
+
+// Development tools that don't belong in dependencies unless production code imports them.
+// @types packages are left out: libraries whose published types use them need them as dependencies.
+const DEV_TOOL_PATTERNS = [
+  /^(jest|vitest|mocha|chai|sinon|nyc|c8|ts-jest|babel-jest|eslint|prettier|typescript|husky|lint-staged|nodemon|cypress|storybook)$/,
+  /^eslint-(plugin|config)-/,
+  /^@(testing-library|storybook|jest|vitest|eslint|typescript-eslint)\//,
+  /^@playwright\/test$/
+];
+
+/**
+ * Find the source files of a directory
+ * @param {string} dir - Directory to scan
+ * @param {Object} [options]
+ * @param {string[]} [options.excludeDirs] - Absolute directories to skip (e.g. nested workspace packages)
+ * @returns {string[]} - Paths relative to the directory, sorted
+ */
+function findSourceFiles(dir, options = {}) {
+  const extensions = SOURCE_EXTENSIONS.map(extension => extension.slice(1)).join(',');
+  const ignore = [
+    ...IGNORED_DIRECTORIES.map(name => `**/${name}/**`),
+    ...(options.excludeDirs || [])
+      .map(excluded => path.relative(dir, excluded).split(path.sep).join('/'))
+      .filter(relative => relative && !relative.startsWith('..'))
+      .map(relative => `${relative}/**`)
+  ];
+
+  return globSync(`**/*.{${extensions}}`, { cwd: dir, ignore, nodir: true, dot: true, posix: true }).sort();
+}
+
+/**
+ * What a file of a package is: "test", "story", "config", "script", or "source" for shipped code
+ * @param {string} file - Path relative to the package, with forward slashes
+ * @returns {string} - File kind
+ */
+function classifyFile(file) {
+  const match = FILE_KINDS.find(({ pattern }) => pattern.test(file));
+  return match ? match.kind : 'source';
+}
+
+/**
+ * Whether a file only runs during development (tests, stories, configs and scripts)
+ * @param {string} file - Path relative to the package
+ * @returns {boolean}
+ */
+function isDevelopmentFile(file) {
+  return classifyFile(file) !== 'source';
+}
+
+/**
+ * Whether a package is a development tool (test runner, linter, compiler, ...)
+ */
+function isDevTool(name) {
+  return DEV_TOOL_PATTERNS.some(pattern => pattern.test(name));
+}
+
+/**
+ * Collect the packages the source files of a directory import
+ * @param {string} dir - Directory to scan
+ * @param {Object} [options] - See findSourceFiles
+ * @param {string[]} [options.dependencies] - Declared dependencies, imported instead of the Node.js
+ *   builtins of the same name (see isBuiltinModule)
+ * @returns {Object} - { files, imports, usesBuiltins, parseErrors }, imports being a Map from
+ *   package name to { files, kinds, specifiers, production, typeOnly }: the files importing it, their
+ *   kinds (see classifyFile), the specifiers used ("lodash/fp"), whether shipped code imports it at
+ *   runtime, and whether every import is type-only
+ */
+function collectImports(dir, options = {}) {
+  const files = findSourceFiles(dir, options);
+  const imports = new Map();
+  const parseErrors = [];
+  const declared = new Set(options.dependencies || []);
+  let usesBuiltins = false;
+
+  files.forEach(file => {
+    let fileImports;
+    try {
+      fileImports = scanFile(path.join(dir, file));
+    } catch (error) {
+      parseErrors.push({ file, message: error.message });
+      return;
+    }
+
+    fileImports.forEach(({ specifier, typeOnly }) => {
+      if (isBuiltinModule(specifier, declared)) {
+        usesBuiltins = true;
+        return;
+      }
+      // getPackageName leaves out builtin names, even when a declared package shadows them
+      const bareName = specifier.split('/')[0];
+      const name = getPackageName(specifier) || (declared.has(bareName) ? bareName : null);
+      if (!name) {
+        return;
+      }
+
+      if (!imports.has(name)) {
+        imports.set(name, { files: new Set(), kinds: new Set(), specifiers: new Set(), production: false, typeOnly: true });
+      }
+      const usage = imports.get(name);
+      const kind = classifyFile(file);
+      usage.files.add(file);
+      usage.specifiers.add(specifier);
+      usage.kinds.add(kind);
+      // Type-only imports are erased from the shipped code
+      usage.production = usage.production || (kind === 'source' && !typeOnly);
+      usage.typeOnly = usage.typeOnly && typeOnly;
+    });
+  });
+
+  return { files: files.length, imports, usesBuiltins, parseErrors };
+}
+
+/**
+ * Compare the dependencies a workspace package declares with the ones its source files import,
+ * its config files name and its npm scripts run
+ * @param {string} packageDir - Package directory
+ * @param {Object} packageJson - Its package.json
+ * @param {Object} [options] - See findSourceFiles
+ * @returns {Object} - { files, unused: { dependencies, devDependencies }, missing, misplaced, tools, parseErrors }:
+ *   missing maps imported but undeclared packages to the files importing them, misplaced lists
+ *   devDependencies imported at runtime by shipped code, and dependencies only used during development
+ *   ({ dependency, declaredIn, expectedIn, reason, files }), and tools maps the packages used without
+ *   being imported to the config files and scripts using them
+ */
+function analyzeDependencyUsage(packageDir, packageJson, options = {}) {
+  const dependencies = packageJson.dependencies || {};
+  const devDependencies = packageJson.devDependencies || {};
+  const declared = new Set([
+    ...Object.keys(dependencies),
+    ...Object.keys(devDependencies),
+    ...Object.keys(packageJson.peerDependencies || {}),
+    ...Object.keys(packageJson.optionalDependencies || {})
+  ]);
+  const { files, imports, usesBuiltins, parseErrors } = collectImports(packageDir, {
+    ...options,
+    dependencies: Array.from(declared)
+  });
+
+  // Tools run by npm scripts or configured by the package, and what their configs name
+  const tools = findToolUsage(packageDir, packageJson);
+
+  // Type packages are used through the package they describe
+  const typesUsed = new Set([...imports.keys(), ...tools.keys()].map(getTypesPackage));
+  if (usesBuiltins) {
+    typesUsed.add('@types/node');
+  }
+  const isUsed = name => imports.has(name) || tools.has(name) || typesUsed.has(name);
+
+  const missing = {};
+  imports.forEach((usage, name) => {
+    if (!declared.has(name) && name !== packageJson.name) {
+      missing[name] = Array.from(usage.files);
+    }
+  });
+
+  const misplaced = [];
+
+  // Runtime imports of shipped code only declared as devDependencies
+  imports.forEach((usage, name) => {
+    if (devDependencies[name] !== undefined && dependencies[name] === undefined &&
+      (packageJson.peerDependencies || {})[name] === undefined && usage.production) {
+      misplaced.push({
+        dependency: name,
+        declaredIn: 'devDependencies',
+        expectedIn: 'dependencies',
+        reason: 'Imported by shipped code',
+        files: Array.from(usage.files).filter(file => !isDevelopmentFile(file))
+      });
+    }
+  });
+
+  // Dependencies only tests, stories, configs and scripts import, and development tools
+  Object.keys(dependencies).forEach(name => {
+    const usage = imports.get(name);
+    if (usage && usage.production) {
+      return;
+    }
+    if (usage && !usage.kinds.has('source')) {
+      misplaced.push({
+        dependency: name,
+        declaredIn: 'dependencies',
+        expectedIn: 'devDependencies',
+        reason: `Only imported by ${FILE_KINDS.filter(({ kind }) => usage.kinds.has(kind)).map(({ label }) => label).join(', ')}`,
+        files: Array.from(usage.files)
+      });
+    } else if (isDevTool(name)) {
+      misplaced.push({
+        dependency: name,
+        declaredIn: 'dependencies',
+        expectedIn: 'devDependencies',
+        reason: 'Development tool not imported by shipped code',
+        files: usage ? Array.from(usage.files) : []
+      });
+    }
+  });
+
+  return {
+    files,
+    unused: {
+      dependencies: Object.keys(dependencies).filter(name => !isUsed(name)),
+      devDependencies: Object.keys(devDependencies).filter(name => !isUsed(name))
+    },
+    missing,
+    misplaced,
+    tools: Object.fromEntries(tools),
+    parseErrors
+  };
+}
+
+module.exports = {
+  findSourceFiles,
+  classifyFile,
+  isDevelopmentFile,
+  collectImports,
+  analyzeDependencyUsage
+};
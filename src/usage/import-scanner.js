@@ -0,0 +1,234 @@
+const fs = require('fs');
+const path = require('path');
+const { builtinModules } = require('module');
+const { parse } = require('@babel/parser');
+
+const SOURCE_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.mts', '.cts'];
+
+// Calls taking a module specifier as first argument, besides require() and import()
+const MODULE_CALLS = {
+  require: ['resolve'],
+  jest: ['mock', 'unmock', 'doMock', 'dontMock', 'requireActual', 'requireMock', 'createMockFromModule'],
+  vi: ['mock', 'unmock', 'doMock', 'doUnmock', 'importActual', 'importMock']
+};
+
+const BUILTIN_MODULES = new Set(builtinModules);
+
+/**
+ * Babel parser plugins for a file: TypeScript for .ts files (JSX only in .tsx,
+ * where angle-bracket casts aren't allowed), JSX and Flow for JavaScript
+ */
+function getParserPlugins(file) {
+  const extension = path.extname(file);
+  if (['.ts', '.mts', '.cts'].includes(extension)) {
+    return ['typescript', 'decorators-legacy'];
+  }
+  if (extension === '.tsx') {
+    return ['typescript', 'jsx', 'decorators-legacy'];
+  }
+  return ['jsx', 'flow', 'decorators-legacy'];
+}
+
+/**
+ * Value of a string argument: 'x', "x" or `x` without expressions
+ */
+function getStringValue(node) {
+  if (!node) {
+    return null;
+  }
+  if (node.type === 'StringLiteral') {
+    return node.value;
+  }
+  if (node.type === 'TemplateLiteral' && node.expressions.length === 0) {
+    return node.quasis[0].value.cooked;
+  }
+  return null;
+}
+
+/**
+ * Module specifier of a call like require('x'), import('x'), jest.mock('x') or require.resolve('x')
+ * @returns {Object|null} - { specifier, kind }
+ */
+function getCallSpecifier(node) {
+  const { callee } = node;
+  const specifier = getStringValue(node.arguments[0]);
+  if (!specifier) {
+    return null;
+  }
+
+  if (callee.type === 'Import') {
+    return { specifier, kind: 'dynamic' };
+  }
+  if (callee.type === 'Identifier' && callee.name === 'require') {
+    return { specifier, kind: 'require' };
+  }
+  if (callee.type === 'MemberExpression' && !callee.computed &&
+    callee.object.type === 'Identifier' && callee.property.type === 'Identifier') {
+    const methods = MODULE_CALLS[callee.object.name];
+    if (methods && methods.includes(callee.property.name)) {
+      return { specifier, kind: callee.object.name === 'require' ? 'resolve' : 'mock' };
+    }
+  }
+  return null;
+}
+
+/**
+ * Parse a JavaScript or TypeScript file, recovering from errors where Babel can
+ * @param {string} code - Source code
+ * @param {string} [file='file.js'] - File name, which selects the parser plugins
+ * @returns {Object} - Babel AST
+ */
+function parseSource(code, file = 'file.js') {
+  return parse(code, {
+    sourceType: 'unambiguous',
+    errorRecovery: true,
+    allowImportExportEverywhere: true,
+    allowReturnOutsideFunction: true,
+    allowAwaitOutsideFunction: true,
+    plugins: getParserPlugins(file)
+  });
+}
+
+/**
+ * Find the module specifiers used by a source file
+ * @param {string} code - Source code
+ * @param {string} [file='file.js'] - File name, which selects the parser plugins
+ * @returns {Object[]} - { specifier, kind, typeOnly, line }, kind being one of
+ *   import, export, dynamic, require, resolve or mock
+ */
+function findImports(code, file = 'file.js') {
+  const ast = parseSource(code, file);
+
+  const imports = [];
+  const add = (specifier, kind, typeOnly, node) => {
+    imports.push({ specifier, kind, typeOnly: Boolean(typeOnly), line: node.loc ? node.loc.start.line : null });
+  };
+
+  const visit = node => {
+    if (!node || typeof node.type !== 'string') {
+      return;
+    }
+
+    switch (node.type) {
+      case 'ImportDeclaration': {
+        // import { type A, type B } from 'x' is erased like import type
+        const typeOnly = node.importKind === 'type' || node.importKind === 'typeof' ||
+          (node.specifiers.length > 0 && node.specifiers.every(specifier => specifier.importKind === 'type'));
+        add(node.source.value, 'import', typeOnly, node);
+        break;
+      }
+      case 'ExportNamedDeclaration':
+      case 'ExportAllDeclaration':
+        if (node.source) {
+          add(node.source.value, 'export', node.exportKind === 'type', node);
+        }
+        break;
+      case 'CallExpression': {
+        const call = getCallSpecifier(node);
+        if (call) {
+          add(call.specifier, call.kind, false, node);
+        }
+        break;
+      }
+      case 'ImportExpression': {
+        const specifier = getStringValue(node.source);
+        if (specifier) {
+          add(specifier, 'dynamic', false, node);
+        }
+        break;
+      }
+      case 'TSImportType': {
+        // type Foo = import('x').Foo
+        const specifier = getStringValue(node.argument && node.argument.literal ? node.argument.literal : node.argument);
+        if (specifier) {
+          add(specifier, 'import', true, node);
+        }
+        break;
+      }
+      case 'TSExternalModuleReference':
+        // import x = require('x')
+        add(node.expression.value, 'require', false, node);
+        break;
+      default:
+        break;
+    }
+
+    Object.keys(node).forEach(key => {
+      if (key === 'loc' || key === 'leadingComments' || key === 'trailingComments' || key === 'innerComments') {
+        return;
+      }
+      const child = node[key];
+      if (Array.isArray(child)) {
+        child.forEach(visit);
+      } else if (child && typeof child === 'object') {
+        visit(child);
+      }
+    });
+  };
+
+  visit(ast.program);
+  return imports;
+}
+
+/**
+ * Find the module specifiers used by a source file on disk
+ * @param {string} filePath - Path to the file
+ * @returns {Object[]} - Imports, as returned by findImports
+ */
+function scanFile(filePath) {
+  return findImports(fs.readFileSync(filePath, 'utf8'), filePath);
+}
+
+/**
+ * Name of the package a module specifier points to ("lodash/fp" -> "lodash",
+ * "@scope/pkg/sub" -> "@scope/pkg"), or null for relative paths, Node.js
+ * builtins, URLs and path aliases like "~/utils" or "@/components"
+ * @param {string} specifier - Module specifier
+ * @returns {string|null} - Package name
+ */
+function getPackageName(specifier) {
+  // Webpack loaders ("style-loader!./x.css") and query strings
+  const request = specifier.split('!').pop().split('?')[0];
+  if (!request || /^[./#~]/.test(request) || /^[a-z][a-z0-9+.-]*:/i.test(request)) {
+    return null;
+  }
+
+  const segments = request.split('/');
+  const name = request.startsWith('@') ? segments.slice(0, 2).join('/') : segments[0];
+  if (!/^(@[a-z0-9-~][a-z0-9-._~]*\/)?[a-z0-9-~][a-z0-9-._~]*$/i.test(name) || BUILTIN_MODULES.has(name)) {
+    return null;
+  }
+  return name;
+}
+
+/**
+ * DefinitelyTyped package of a package ("react" -> "@types/react", "@babel/core" -> "@types/babel__core")
+ */
+function getTypesPackage(name) {
+  return `@types/${name.startsWith('@') ? name.slice(1).replace('/', '__') : name}`;
+}
+
+/**
+ * Whether a module specifier points to a Node.js builtin ("fs", "node:fs", "fs/promises")
+ * @param {string} specifier - Module specifier
+ * @param {Set<string>} [declared] - Declared dependencies: a bare builtin name among them is the npm
+ *   package of that name (e.g. the "events" or "buffer" polyfills bundlers resolve), "node:" ones never are
+ * @returns {boolean}
+ */
+function isBuiltinModule(specifier, declared = new Set()) {
+  if (specifier.startsWith('node:')) {
+    return true;
+  }
+  const name = specifier.split('/')[0];
+  return BUILTIN_MODULES.has(name) && !declared.has(name);
+}
+
+module.exports = {
+  SOURCE_EXTENSIONS,
+  parseSource,
+  findImports,
+  scanFile,
+  getPackageName,
+  getTypesPackage,
+  isBuiltinModule
+};
@@ -0,0 +1,13 @@
+const { findImports, getPackageName } = require('./import-scanner');
+const { findSourceFiles, isDevelopmentFile, collectImports, analyzeDependencyUsage } = require('./dependency-usage');
+const { findToolUsage } = require('./tool-usage');
+
+module.exports = {
+  findImports,
+  getPackageName,
+  findSourceFiles,
+  isDevelopmentFile,
+  collectImports,
+  analyzeDependencyUsage,
+  findToolUsage
+};
@@ -0,0 +1,600 @@
+/**
+ * Packages a package uses without importing them: tools and plugins named in its
+ * config files (ESLint, Babel, Jest, Prettier, tsconfig) and binaries run by its
+ * npm scripts
+ */
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { parseSource, getPackageName, getTypesPackage } = require('./import-scanner');
+
+// Config files each tool reads from the package root, and the package.json field it also reads
+const TOOL_CONFIGS = [
+  {
+    tool: 'eslint',
+    files: ['.eslintrc', '.eslintrc.json', '.eslintrc.yaml', '.eslintrc.yml', '.eslintrc.js', '.eslintrc.cjs',
+      'eslint.config.js', 'eslint.config.cjs', 'eslint.config.mjs', 'eslint.config.ts'],
+    field: 'eslintConfig',
+    collect: collectEslintPackages
+  },
+  {
+    tool: '@babel/core',
+    files: ['.babelrc', '.babelrc.json', '.babelrc.js', '.babelrc.cjs', 'babel.config.js', 'babel.config.cjs',
+      'babel.config.mjs', 'babel.config.json'],
+    field: 'babel',
+    collect: collectBabelPackages
+  },
+  {
+    tool: 'jest',
+    files: ['jest.config.js', 'jest.config.cjs', 'jest.config.mjs', 'jest.config.ts', 'jest.config.json'],
+    field: 'jest',
+    collect: collectJestPackages
+  },
+  {
+    tool: 'prettier',
+    files: ['.prettierrc', '.prettierrc.json', '.prettierrc.yaml', '.prettierrc.yml', '.prettierrc.js',
+      '.prettierrc.cjs', 'prettier.config.js', 'prettier.config.cjs', 'prettier.config.mjs'],
+    field: 'prettier',
+    collect: collectPrettierPackages
+  }
+];
+
+// Commands running another command: npx jest, yarn eslint, pnpm exec tsc
+const PACKAGE_RUNNERS = ['npx', 'pnpx', 'bunx', 'yarn', 'pnpm', 'npm', 'bun'];
+const RUNNER_SUBCOMMANDS = ['exec', 'dlx', 'run', 'run-script'];
+
+// Binaries setting up the environment of the command that follows them
+const ENV_WRAPPERS = ['cross-env', 'cross-env-shell', 'dotenv', 'env-cmd'];
+
+// Node.js options loading a module: node -r ts-node/register, mocha --require @babel/register
+const MODULE_OPTIONS = ['-r', '--require', '--loader', '--experimental-loader', '--import'];
+
+// Binaries named differently from their package, used when the package isn't installed
+const KNOWN_BINARIES = {
+  tsc: 'typescript',
+  tsserver: 'typescript',
+  ng: '@angular/cli',
+  playwright: '@playwright/test',
+  'vue-cli-service': '@vue/cli-service'
+};
+
+/**
+ * Parse JSON allowing comments and trailing commas, as tsconfig.json and .eslintrc do
+ * @param {string} text - JSON text
+ * @returns {*} - Parsed value
+ */
+function parseJsonWithComments(text) {
+  let output = '';
+  let i = 0;
+  while (i < text.length) {
+    if (text[i] === '"') {
+      let end = i + 1;
+      while (end < text.length && text[end] !== '"') {
+        end += text[end] === '\\' ? 2 : 1;
+      }
+      output += text.slice(i, end + 1);
+      i = end + 1;
+    } else if (text.startsWith('//', i)) {
+      while (i < text.length && text[i] !== '\n') {
+        i++;
+      }
+    } else if (text.startsWith('/*', i)) {
+      const end = text.indexOf('*/', i + 2);
+      i = end === -1 ? text.length : end + 2;
+    } else {
+      output += text[i];
+      i++;
+    }
+  }
+  return JSON.parse(output.replace(/,(\s*[}\]])/g, '$1'));
+}
+
+/**
+ * Static value of an expression: literals, arrays and objects of literals,
+ * top-level constants and require.resolve('x'); undefined for anything else
+ */
+function getStaticValue(node, bindings, depth = 0) {
+  if (!node || depth > 20) {
+    return undefined;
+  }
+
+  switch (node.type) {
+    case 'StringLiteral':
+    case 'NumericLiteral':
+    case 'BooleanLiteral':
+      return node.value;
+    case 'TemplateLiteral':
+      return node.expressions.length === 0 ? node.quasis[0].value.cooked : undefined;
+    case 'ArrayExpression':
+      return node.elements.map(element => getStaticValue(element, bindings, depth + 1));
+    case 'ObjectExpression': {
+      const value = {};
+      node.properties.forEach(property => {
+        if (property.type !== 'ObjectProperty' || property.computed) {
+          return;
+        }
+        const key = property.key.type === 'Identifier' ? property.key.name : property.key.value;
+        value[key] = getStaticValue(property.value, bindings, depth + 1);
+      });
+      return value;
+    }
+    case 'Identifier':
+      return getStaticValue(bindings[node.name], bindings, depth + 1);
+    case 'CallExpression': {
+      const { callee } = node;
+      if (callee.type === 'MemberExpression' && callee.object.name === 'require' && callee.property.name === 'resolve') {
+        return getStaticValue(node.arguments[0], bindings, depth + 1);
+      }
+      return undefined;
+    }
+    case 'TSAsExpression':
+    case 'TSSatisfiesExpression':
+      return getStaticValue(node.expression, bindings, depth + 1);
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Config object a JavaScript config file exports: module.exports = {...}, export default {...},
+ * through a constant, a wrapper call like defineConfig({...}) or a function returning it
+ */
+function getExportedConfig(code, file) {
+  const ast = parseSource(code, file);
+  const bindings = {};
+  let exported = null;
+
+  ast.program.body.forEach(statement => {
+    if (statement.type === 'VariableDeclaration') {
+      statement.declarations.forEach(declaration => {
+        if (declaration.id.type === 'Identifier' && declaration.init) {
+          bindings[declaration.id.name] = declaration.init;
+        }
+      });
+    } else if (statement.type === 'ExportDefaultDeclaration') {
+      exported = statement.declaration;
+    } else if (statement.type === 'ExpressionStatement' && statement.expression.type === 'AssignmentExpression') {
+      const { left } = statement.expression;
+      if (left.type === 'MemberExpression' && left.object.name === 'module' && left.property.name === 'exports') {
+        exported = statement.expression.right;
+      }
+    }
+  });
+
+  for (let depth = 0; exported && depth < 10; depth++) {
+    if (exported.type === 'Identifier') {
+      exported = bindings[exported.name];
+    } else if (exported.type === 'CallExpression') {
+      exported = exported.arguments.find(argument => argument.type !== 'SpreadElement');
+    } else if (['ArrowFunctionExpression', 'FunctionExpression', 'FunctionDeclaration'].includes(exported.type)) {
+      exported = exported.body.type === 'BlockStatement'
+        ? (exported.body.body.find(statement => statement.type === 'ReturnStatement') || {}).argument
+        : exported.body;
+    } else if (exported.type === 'TSAsExpression' || exported.type === 'TSSatisfiesExpression') {
+      exported = exported.expression;
+    } else {
+      break;
+    }
+  }
+
+  return getStaticValue(exported, bindings);
+}
+
+/**
+ * Read a config file, whatever its format
+ * @param {string} filePath - Path to the config file
+ * @returns {*} - Config, or undefined if it can't be read statically
+ */
+function readConfigFile(filePath) {
+  const content = fs.readFileSync(filePath, 'utf8');
+  const extension = path.extname(filePath);
+
+  if (['.js', '.cjs', '.mjs', '.ts'].includes(extension)) {
+    return getExportedConfig(content, filePath);
+  }
+  if (extension === '.yaml' || extension === '.yml') {
+    return YAML.parse(content);
+  }
+  try {
+    return parseJsonWithComments(content);
+  } catch (error) {
+    // .eslintrc, .babelrc and .prettierrc without an extension may be YAML
+    if (extension === '') {
+      return YAML.parse(content);
+    }
+    throw error;
+  }
+}
+
+function toArray(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Package a plugin or preset shorthand refers to, following the ESLint and Babel naming
+ * conventions: ("react", "eslint-plugin") -> "eslint-plugin-react",
+ * ("@scope", "eslint-config") -> "@scope/eslint-config", ("@scope/x", "babel-preset") -> "@scope/babel-preset-x"
+ */
+function resolveShorthand(name, prefix) {
+  if (typeof name !== 'string' || /^[./]/.test(name)) {
+    return null;
+  }
+  if (name.startsWith('@')) {
+    const [scope, rest] = name.split('/');
+    if (!rest) {
+      return `${scope}/${prefix}`;
+    }
+    return getPackageName(rest.startsWith(prefix) ? name : `${scope}/${prefix}-${name.slice(scope.length + 1)}`);
+  }
+  return getPackageName(name.startsWith(`${prefix}-`) ? name : `${prefix}-${name}`);
+}
+
+function collectEslintPackages(config) {
+  const packages = [];
+
+  toArray(config.extends).forEach(name => {
+    if (typeof name !== 'string' || name.startsWith('eslint:')) {
+      return;
+    }
+    if (name.startsWith('plugin:')) {
+      const plugin = name.slice('plugin:'.length);
+      packages.push(resolveShorthand(plugin.slice(0, plugin.lastIndexOf('/')), 'eslint-plugin'));
+    } else {
+      packages.push(resolveShorthand(name, 'eslint-config'));
+    }
+  });
+  // Flat configs set plugins to an object of imported modules, already found by the import scanner
+  if (Array.isArray(config.plugins)) {
+    config.plugins.forEach(name => packages.push(resolveShorthand(name, 'eslint-plugin')));
+  }
+  if (typeof config.parser === 'string') {
+    packages.push(getPackageName(config.parser));
+  }
+  if (config.parserOptions && typeof config.parserOptions.parser === 'string') {
+    packages.push(getPackageName(config.parserOptions.parser));
+  }
+  toArray(config.overrides).forEach(override => {
+    if (override && typeof override === 'object') {
+      packages.push(...collectEslintPackages(override));
+    }
+  });
+
+  return packages;
+}
+
+function collectBabelPackages(config) {
+  const resolve = (entry, kind) => {
+    const name = Array.isArray(entry) ? entry[0] : entry;
+    if (typeof name !== 'string') {
+      return null;
+    }
+    if (name.startsWith('module:')) {
+      return getPackageName(name.slice('module:'.length));
+    }
+    // "@babel/env" -> "@babel/preset-env"
+    if (name.startsWith('@babel/')) {
+      const rest = name.slice('@babel/'.length);
+      return getPackageName(rest.startsWith(`${kind}-`) ? name : `@babel/${kind}-${rest}`);
+    }
+    return resolveShorthand(name, `babel-${kind}`);
+  };
+
+  const packages = [
+    ...toArray(config.presets).map(entry => resolve(entry, 'preset')),
+    ...toArray(config.plugins).map(entry => resolve(entry, 'plugin'))
+  ];
+  [...Object.values(config.env || {}), ...toArray(config.overrides)].forEach(nested => {
+    if (nested && typeof nested === 'object') {
+      packages.push(...collectBabelPackages(nested));
+    }
+  });
+
+  return packages;
+}
+
+function collectJestPackages(config) {
+  const packages = [];
+  const addModule = entry => {
+    const name = Array.isArray(entry) ? entry[0] : entry;
+    if (typeof name === 'string') {
+      packages.push(getPackageName(name));
+    }
+  };
+
+  addModule(config.preset);
+  addModule(config.testRunner);
+  addModule(config.globalSetup);
+  addModule(config.globalTeardown);
+  if (typeof config.testEnvironment === 'string') {
+    // "jsdom" -> "jest-environment-jsdom"
+    const environment = config.testEnvironment;
+    addModule(/^[@./]|^jest-environment-/.test(environment) ? environment : `jest-environment-${environment}`);
+  }
+  Object.values(config.transform || {}).forEach(addModule);
+  ['setupFiles', 'setupFilesAfterEnv', 'snapshotSerializers', 'watchPlugins'].forEach(field => {
+    toArray(config[field]).forEach(addModule);
+  });
+  toArray(config.reporters)
+    .filter(entry => !['default', 'summary', 'github-actions'].includes(Array.isArray(entry) ? entry[0] : entry))
+    .forEach(addModule);
+  toArray(config.projects).forEach(project => {
+    if (project && typeof project === 'object') {
+      packages.push(...collectJestPackages(project));
+    }
+  });
+
+  return packages;
+}
+
+function collectPrettierPackages(config) {
+  // "prettier": "@company/prettier-config" shares a config package
+  if (typeof config === 'string') {
+    return [getPackageName(config)];
+  }
+  return toArray(config.plugins).map(name => (typeof name === 'string' ? getPackageName(name) : null));
+}
+
+/**
+ * Packages a tsconfig refers to: compilerOptions.types, extended configs and language service plugins
+ */
+function collectTsConfigPackages(config) {
+  const compilerOptions = config.compilerOptions || {};
+  const packages = toArray(config.extends).map(name => (typeof name === 'string' ? getPackageName(name) : null));
+
+  // "types": ["node", "jest", "vitest/globals"] loads @types/node, @types/jest and vitest
+  toArray(compilerOptions.types).forEach(type => {
+    if (typeof type !== 'string') {
+      return;
+    }
+    // "node" only means @types/node, not the npm package of that name
+    if (type === 'node') {
+      packages.push(getTypesPackage(type));
+      return;
+    }
+    const name = getPackageName(type);
+    if (name) {
+      packages.push(name, name.startsWith('@types/') ? null : getTypesPackage(name));
+    }
+  });
+  toArray(compilerOptions.plugins).forEach(plugin => {
+    if (plugin && typeof plugin.name === 'string') {
+      packages.push(getPackageName(plugin.name));
+    }
+  });
+
+  return packages;
+}
+
+/**
+ * Find the packages the config files of a directory use
+ * @param {string} dir - Package directory
+ * @param {Object} packageJson - Its package.json, for embedded configs like "eslintConfig"
+ * @returns {Object[]} - { source, packages }, source being the config file or package.json field
+ */
+function findConfigPackages(dir, packageJson) {
+  const results = [];
+  const addConfig = (source, tool, read, collect) => {
+    let config;
+    try {
+      config = read();
+    } catch (error) {
+      // A config we can't read still tells the tool is used
+      results.push({ source, packages: [tool] });
+      return;
+    }
+    const packages = config !== undefined && config !== null ? collect(config) : [];
+    results.push({ source, packages: [tool, ...packages].filter(Boolean) });
+  };
+
+  TOOL_CONFIGS.forEach(({ tool, files, field, collect }) => {
+    files.filter(file => fs.existsSync(path.join(dir, file))).forEach(file => {
+      addConfig(file, tool, () => readConfigFile(path.join(dir, file)), collect);
+    });
+    if (packageJson[field] !== undefined) {
+      addConfig(`package.json#${field}`, tool, () => packageJson[field], collect);
+    }
+  });
+
+  fs.readdirSync(dir)
+    .filter(file => /^tsconfig(\..+)?\.json$/.test(file))
+    .forEach(file => {
+      addConfig(file, 'typescript', () => readConfigFile(path.join(dir, file)), collectTsConfigPackages);
+    });
+
+  return results;
+}
+
+/**
+ * Split an npm script into commands, each a list of words
+ */
+function splitScript(script) {
+  return script
+    .split(/&&|\|\||[;|&]/)
+    .map(command => command.trim().split(/\s+/).filter(Boolean))
+    .filter(words => words.length > 0);
+}
+
+/**
+ * Binaries and modules a command of an npm script runs
+ * @param {string[]} words - Words of the command
+ * @returns {Object} - { binaries, modules }
+ */
+function parseCommand(words) {
+  const binaries = [];
+  const modules = [];
+
+  words.forEach((word, index) => {
+    const [option, value] = word.split('=');
+    if (MODULE_OPTIONS.includes(option)) {
+      const specifier = value !== undefined ? value : words[index + 1];
+      const name = specifier ? getPackageName(specifier.replace(/^['"]|['"]$/g, '')) : null;
+      if (name) {
+        modules.push(name);
+      }
+    }
+  });
+
+  let index = 0;
+  while (index < words.length) {
+    // Variables set for the command: NODE_ENV=test jest
+    while (index < words.length && /^[A-Za-z_][A-Za-z0-9_]*=/.test(words[index])) {
+      index++;
+    }
+    if (index >= words.length) {
+      break;
+    }
+
+    const binary = words[index].replace(/^(\.\/)?node_modules\/\.bin\//, '');
+    if (PACKAGE_RUNNERS.includes(binary)) {
+      index++;
+      while (index < words.length && (words[index].startsWith('-') || RUNNER_SUBCOMMANDS.includes(words[index]))) {
+        index++;
+      }
+      continue;
+    }
+
+    binaries.push(binary);
+    if (!ENV_WRAPPERS.includes(binary)) {
+      break;
+    }
+    // cross-env NODE_ENV=production webpack, dotenv -e .env -- node server.js
+    const separator = words.indexOf('--', index);
+    index = separator !== -1 ? separator + 1 : index + 1;
+    while (index < words.length && words[index].startsWith('-')) {
+      index++;
+    }
+  }
+
+  return { binaries, modules };
+}
+
+/**
+ * Directory of an installed package, looked up in the node_modules of the directory and its parents
+ */
+function findInstalledPackage(dir, name) {
+  let current = path.resolve(dir);
+  while (true) {
+    const candidate = path.join(current, 'node_modules', name);
+    if (fs.existsSync(path.join(candidate, 'package.json'))) {
+      return candidate;
+    }
+    const parent = path.dirname(current);
+    if (parent === current) {
+      return null;
+    }
+    current = parent;
+  }
+}
+
+/**
+ * Binaries a package provides, read from the "bin" field of its installed package.json
+ * @param {string} dir - Directory the package is resolved from
+ * @param {string} name - Package name
+ * @returns {string[]|null} - Binary names, or null if the package isn't installed
+ */
+function getPackageBinaries(dir, name) {
+  const packageDir = findInstalledPackage(dir, name);
+  if (!packageDir) {
+    return null;
+  }
+  try {
+    const { bin } = JSON.parse(fs.readFileSync(path.join(packageDir, 'package.json'), 'utf8'));
+    if (typeof bin === 'string') {
+      return [name.split('/').pop()];
+    }
+    return bin && typeof bin === 'object' ? Object.keys(bin) : [];
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Find the packages the npm scripts of a package run
+ * @param {string} dir - Package directory
+ * @param {Object} packageJson - Its package.json
+ * @param {string[]} candidates - Packages whose binaries the scripts may run
+ * @returns {Object[]} - { source, packages }, source being "scripts.<name>"
+ */
+function findScriptPackages(dir, packageJson, candidates) {
+  const scripts = packageJson.scripts || {};
+  if (Object.keys(scripts).length === 0) {
+    return [];
+  }
+
+  // Binary name -> packages providing it
+  const providers = new Map();
+  const addProvider = (binary, name) => {
+    providers.set(binary, [...(providers.get(binary) || []), name]);
+  };
+  candidates.filter(name => !name.startsWith('@types/')).forEach(name => {
+    const binaries = getPackageBinaries(dir, name);
+    if (binaries) {
+      binaries.forEach(binary => addProvider(binary, name));
+    } else {
+      // Not installed: guess the binary from the package name
+      addProvider(name.split('/').pop(), name);
+    }
+  });
+  Object.entries(KNOWN_BINARIES).forEach(([binary, name]) => {
+    if (candidates.includes(name) && !providers.has(binary)) {
+      addProvider(binary, name);
+    }
+  });
+
+  return Object.entries(scripts)
+    .filter(([, script]) => typeof script === 'string')
+    .map(([scriptName, script]) => {
+      const packages = [];
+      splitScript(script).forEach(words => {
+        const { binaries, modules } = parseCommand(words);
+        binaries.forEach(binary => packages.push(...(providers.get(binary) || [])));
+        packages.push(...modules);
+      });
+      return { source: `scripts.${scriptName}`, packages };
+    })
+    .filter(({ packages }) => packages.length > 0);
+}
+
+/**
+ * Find the packages a package uses without importing them: tools whose config files it
+ * has, the plugins, presets and types those configs name, and the binaries its npm scripts run
+ * @param {string} dir - Package directory
+ * @param {Object} packageJson - Its package.json
+ * @param {Object} [options]
+ * @param {string[]} [options.packages] - Packages whose binaries the scripts may run (defaults to the declared ones)
+ * @returns {Map<string, string[]>} - Package name -> config files and scripts using it
+ */
+function findToolUsage(dir, packageJson, options = {}) {
+  const candidates = options.packages || Object.keys({
+    ...packageJson.dependencies,
+    ...packageJson.devDependencies,
+    ...packageJson.optionalDependencies,
+    ...packageJson.peerDependencies
+  });
+
+  const usage = new Map();
+  [...findConfigPackages(dir, packageJson), ...findScriptPackages(dir, packageJson, candidates)]
+    .forEach(({ source, packages }) => {
+      packages.filter(Boolean).forEach(name => {
+        if (!usage.has(name)) {
+          usage.set(name, []);
+        }
+        if (!usage.get(name).includes(source)) {
+          usage.get(name).push(source);
+        }
+      });
+    });
+
+  return usage;
+}
+
+module.exports = {
+  parseJsonWithComments,
+  readConfigFile,
+  findConfigPackages,
+  findScriptPackages,
+  findToolUsage
+};
@@ -0,0 +1,138 @@
+/**
+ * Utilities for editing package.json files without reformatting them
+ */
+const { createTwoFilesPatch } = require('diff');
+
+function skipWhitespace(text, index) {
+  while (index < text.length && /\s/.test(text[index])) {
+    index++;
+  }
+  return index;
+}
+
+/**
+ * Index just past the string starting at `index` (an opening quote)
+ */
+function scanString(text, index) {
+  let i = index + 1;
+  while (i < text.length && text[i] !== '"') {
+    i += text[i] === '\\' ? 2 : 1;
+  }
+  return i + 1;
+}
+
+/**
+ * Index just past the JSON value starting at `index`
+ */
+function scanValue(text, index) {
+  if (text[index] === '"') {
+    return scanString(text, index);
+  }
+
+  if (text[index] === '{' || text[index] === '[') {
+    let depth = 0;
+    let i = index;
+    while (i < text.length) {
+      if (text[i] === '"') {
+        i = scanString(text, i);
+        continue;
+      }
+      if (text[i] === '{' || text[i] === '[') {
+        depth++;
+      } else if (text[i] === '}' || text[i] === ']') {
+        depth--;
+        if (depth === 0) {
+          return i + 1;
+        }
+      }
+      i++;
+    }
+    return i;
+  }
+
+  // Number, true, false or null
+  let i = index;
+  while (i < text.length && !/[\s,}\]]/.test(text[i])) {
+    i++;
+  }
+  return i;
+}
+
+/**
+ * Find where the value at a key path is in a JSON text
+ * @param {string} text - JSON text
+ * @param {string[]} keyPath - Object keys leading to the value (e.g. ['dependencies', 'lodash'])
+ * @returns {Object|null} - { start, end } offsets of the value, or null if the path doesn't exist
+ */
+function findValueRange(text, keyPath) {
+  let start = skipWhitespace(text, 0);
+
+  for (const key of keyPath) {
+    if (text[start] !== '{') {
+      return null;
+    }
+
+    let i = skipWhitespace(text, start + 1);
+    let found = false;
+    while (i < text.length && text[i] !== '}') {
+      const keyEnd = scanString(text, i);
+      const currentKey = JSON.parse(text.slice(i, keyEnd));
+      const valueStart = skipWhitespace(text, skipWhitespace(text, keyEnd) + 1); // past the ":"
+
+      if (currentKey === key) {
+        start = valueStart;
+        found = true;
+        break;
+      }
+
+      i = skipWhitespace(text, scanValue(text, valueStart));
+      if (text[i] === ',') {
+        i = skipWhitespace(text, i + 1);
+      }
+    }
+
+    if (!found) {
+      return null;
+    }
+  }
+
+  return { start, end: scanValue(text, start) };
+}
+
+/**
+ * Replace the value at a key path, leaving the rest of the text (indentation,
+ * key order, trailing newline) untouched
+ * @param {string} text - JSON text
+ * @param {string[]} keyPath - Object keys leading to the value
+ * @param {*} value - New value
+ * @returns {string} - Updated JSON text
+ */
+function setJsonValue(text, keyPath, value) {
+  const range = findValueRange(text, keyPath);
+  if (!range) {
+    throw new Error(`No value at ${keyPath.join('.')}`);
+  }
+  return text.slice(0, range.start) + JSON.stringify(value) + text.slice(range.end);
+}
+
+/**
+ * Unified diff of a file's contents
+ * @param {string} file - File path shown in the diff headers
+ * @param {string} oldText - Original contents
+ * @param {string} newText - Updated contents
+ * @returns {string} - Unified diff, or an empty string if nothing changed
+ */
+function createDiff(file, oldText, newText) {
+  if (oldText === newText) {
+    return '';
+  }
+  return createTwoFilesPatch(`a/${file}`, `b/${file}`, oldText, newText, '', '', { context: 3 })
+    .replace(/^=+\n/, '')
+    .replace(/^(---|\+\+\+) (.*)\t$/gm, '$1 $2');
+}
+
+module.exports = {
+  findValueRange,
+  setJsonValue,
+  createDiff
+};
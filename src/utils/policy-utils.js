@@ -0,0 +1,244 @@
+/**
+ * Version policy: rules on the dependency ranges the package.json files of a
+ * monorepo may declare, read from a .mcp-npm-policy.json at its root:
+ *
+ *   {
+ *     "rules": [
+ *       { "dependency": "typescript", "pin": "5.4.x" },
+ *       { "dependency": "lodash", "allowed": "^4.17.21" },
+ *       { "dependency": "moment", "banned": true, "message": "Use date-fns" },
+ *       { "sameVersion": ["react", "react-dom"], "except": ["legacy-app"] }
+ *     ]
+ *   }
+ */
+const fs = require('fs');
+const semver = require('semver');
+const { toSemverRange } = require('./semver-utils');
+const { findValueRange } = require('./manifest-utils');
+
+const POLICY_FILE = '.mcp-npm-policy.json';
+
+// Dependency fields checked unless a rule lists its own "types"
+const DEFAULT_TYPES = ['dependencies', 'devDependencies', 'optionalDependencies'];
+const DEPENDENCY_TYPES = [...DEFAULT_TYPES, 'peerDependencies'];
+
+const RULE_KINDS = ['pin', 'allowed', 'banned', 'sameVersion'];
+
+/**
+ * Read and validate a policy file
+ * @param {string} filePath - Path to the policy file
+ * @returns {Object|null} - { rules }, or null if the file doesn't exist
+ */
+function loadPolicy(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+
+  let policy;
+  try {
+    policy = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid ${filePath}: ${error.message}`);
+  }
+  if (!policy || !Array.isArray(policy.rules)) {
+    throw new Error(`Expected a "rules" array in ${filePath}`);
+  }
+
+  policy.rules.forEach((rule, index) => {
+    const problem = validateRule(rule);
+    if (problem) {
+      throw new Error(`Invalid rule ${index + 1} in ${filePath}: ${problem}`);
+    }
+  });
+
+  return policy;
+}
+
+/**
+ * @returns {string|null} - What is wrong with the rule, or null if it is valid
+ */
+function validateRule(rule) {
+  if (!rule || typeof rule !== 'object') {
+    return 'expected an object';
+  }
+
+  const kinds = RULE_KINDS.filter(kind => rule[kind] !== undefined);
+  if (kinds.length !== 1) {
+    return `expected exactly one of ${RULE_KINDS.join(', ')}`;
+  }
+
+  if (kinds[0] === 'sameVersion') {
+    if (!Array.isArray(rule.sameVersion) || rule.sameVersion.length === 0) {
+      return '"sameVersion" must be a non-empty array of dependency names';
+    }
+  } else if (typeof rule.dependency !== 'string' || !rule.dependency) {
+    return '"dependency" is required';
+  }
+
+  if (kinds[0] === 'banned' && rule.banned !== true) {
+    return '"banned" must be true';
+  }
+  if ((kinds[0] === 'pin' || kinds[0] === 'allowed') && !semver.validRange(rule[kinds[0]])) {
+    return `"${kinds[0]}" is not a valid version range: ${rule[kinds[0]]}`;
+  }
+  if (rule.except !== undefined && !Array.isArray(rule.except)) {
+    return '"except" must be an array of package names or directories';
+  }
+  if (rule.types !== undefined &&
+    (!Array.isArray(rule.types) || rule.types.some(type => !DEPENDENCY_TYPES.includes(type)))) {
+    return `"types" must list some of ${DEPENDENCY_TYPES.join(', ')}`;
+  }
+
+  return null;
+}
+
+/**
+ * Check the dependencies declared by a set of manifests against a policy
+ * @param {Object} policy - Policy, as returned by loadPolicy
+ * @param {Object[]} manifests - { name, file, content, packageJson } with the file relative to the root
+ * @returns {Object[]} - Violations: { rule, dependency, package, type, range, expected, message, file, line, column }
+ */
+function evaluatePolicy(policy, manifests) {
+  const violations = [];
+
+  policy.rules.forEach(rule => {
+    const dependencies = rule.sameVersion || [rule.dependency];
+    const declarations = collectDeclarations(manifests, dependencies, rule);
+
+    if (rule.sameVersion) {
+      violations.push(...checkSameVersion(rule, declarations));
+      return;
+    }
+
+    declarations.forEach(declaration => {
+      const problem = checkDeclaration(rule, declaration.range);
+      if (problem) {
+        violations.push({ ...problem, ...declaration });
+      }
+    });
+  });
+
+  return violations;
+}
+
+/**
+ * Declarations of some dependencies in the manifests a rule applies to, with their location
+ */
+function collectDeclarations(manifests, dependencies, rule) {
+  const except = rule.except || [];
+  const declarations = [];
+
+  manifests.forEach(({ name, file, content, packageJson }) => {
+    const directory = file.replace(/\\/g, '/').replace(/\/?package\.json$/, '') || '.';
+    if (except.includes(name) || except.includes(directory)) {
+      return;
+    }
+
+    (rule.types || DEFAULT_TYPES).forEach(type => {
+      dependencies.forEach(dependency => {
+        const range = (packageJson[type] || {})[dependency];
+        if (range !== undefined) {
+          declarations.push({
+            dependency,
+            package: name,
+            type,
+            range,
+            file,
+            ...findLocation(content, [type, dependency])
+          });
+        }
+      });
+    });
+  });
+
+  return declarations;
+}
+
+/**
+ * Check one declared range against a pin, allowed or banned rule
+ * @returns {Object|null} - { rule, expected, message }, or null if the range complies
+ */
+function checkDeclaration(rule, range) {
+  if (rule.banned) {
+    return {
+      rule: 'banned',
+      expected: null,
+      message: rule.message || `${rule.dependency} is banned`
+    };
+  }
+
+  const kind = rule.pin !== undefined ? 'pin' : 'allowed';
+  const expected = rule[kind];
+  const semverRange = semver.validRange(toSemverRange(range));
+
+  // A pin is met by the same range written differently ("5.4.x" and "~5.4.0")
+  const complies = semverRange && (kind === 'pin'
+    ? semverRange === semver.validRange(expected)
+    : semver.subset(semverRange, expected));
+  if (complies) {
+    return null;
+  }
+
+  return {
+    rule: kind,
+    expected,
+    message: rule.message || (kind === 'pin'
+      ? `${rule.dependency} must be pinned to ${expected}`
+      : `${rule.dependency} must stay within ${expected}`)
+  };
+}
+
+/**
+ * Declarations of a same-version group that differ from the range most of them use,
+ * or all of them when no range is used more than the others. Ranges are compared as
+ * semver ranges, so "5.4.x" and "~5.4.0" are the same version.
+ */
+function checkSameVersion(rule, declarations) {
+  const normalize = range => semver.validRange(toSemverRange(range)) || String(range);
+
+  // Declared ranges by normalized range, in order of first appearance
+  const groups = new Map();
+  declarations.forEach(({ range }) => {
+    const key = normalize(range);
+    if (!groups.has(key)) {
+      groups.set(key, { range, count: 0 });
+    }
+    groups.get(key).count++;
+  });
+  if (groups.size <= 1) {
+    return [];
+  }
+
+  const ranked = Array.from(groups.entries()).sort((a, b) => b[1].count - a[1].count);
+  const expectedKey = ranked[0][1].count > ranked[1][1].count ? ranked[0][0] : null;
+  const expected = expectedKey === null ? null : ranked[0][1].range;
+  const message = rule.message ||
+    `${rule.sameVersion.join(', ')} must use the same version everywhere (found ${ranked.map(([, group]) => group.range).join(', ')})`;
+
+  return declarations
+    .filter(declaration => normalize(declaration.range) !== expectedKey)
+    .map(declaration => ({ rule: 'same-version', expected, message, ...declaration }));
+}
+
+/**
+ * Line and column (1-based) of the value at a key path in a JSON text
+ */
+function findLocation(text, keyPath) {
+  const range = findValueRange(text, keyPath);
+  if (!range) {
+    return { line: null, column: null };
+  }
+
+  const before = text.slice(0, range.start);
+  const lineStart = before.lastIndexOf('\n') + 1;
+  return {
+    line: before.split('\n').length,
+    column: range.start - lineStart + 1
+  };
+}
+
+module.exports = {
+  POLICY_FILE,
+  loadPolicy,
+  evaluatePolicy
+};
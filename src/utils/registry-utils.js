@@ -0,0 +1,82 @@
+/**
+ * Utilities for querying the npm registry directly, used where the package
+ * manager's own CLI (npm outdated, npm audit) does not apply
+ */
+const axios = require('axios');
+
+const DEFAULT_REGISTRY = 'https://registry.npmjs.org';
+const REQUEST_TIMEOUT = 5000;
+const BATCH_SIZE = 5; // Process in small batches to avoid rate limiting
+const BATCH_DELAY = 500;
+
+/**
+ * Registry URL, honouring the npm_config_registry environment variable
+ * @returns {string} - Registry URL without a trailing slash
+ */
+function getRegistryUrl() {
+  return (process.env.npm_config_registry || DEFAULT_REGISTRY).replace(/\/+$/, '');
+}
+
+/**
+ * Fetch the abbreviated metadata of a package (versions and dist-tags)
+ * @param {string} name - Package name
+ * @returns {Promise<Object>} - { versions: string[], distTags: Object }
+ */
+async function fetchPackageMetadata(name) {
+  // Scoped names keep their "@" but the slash is encoded: @scope%2fname
+  const response = await axios.get(`${getRegistryUrl()}/${name.replace('/', '%2f')}`, {
+    timeout: REQUEST_TIMEOUT,
+    headers: { Accept: 'application/vnd.npm.install-v1+json' }
+  });
+
+  return {
+    versions: Object.keys(response.data.versions || {}),
+    distTags: response.data['dist-tags'] || {}
+  };
+}
+
+/**
+ * Fetch the advisories affecting a set of installed package versions
+ * @param {Object} packageVersions - Installed versions by package name ({ lodash: ['4.17.15'] })
+ * @returns {Promise<Object>} - Advisories by package name, as returned by the bulk advisory endpoint
+ */
+async function fetchAdvisories(packageVersions) {
+  if (Object.keys(packageVersions).length === 0) {
+    return {};
+  }
+
+  const response = await axios.post(`${getRegistryUrl()}/-/npm/v1/security/advisories/bulk`, packageVersions, {
+    timeout: REQUEST_TIMEOUT * 6,
+    headers: { 'Content-Type': 'application/json' }
+  });
+  return response.data || {};
+}
+
+/**
+ * Run an async function over items in small batches
+ * @param {Array} items - Items to process
+ * @param {Function} fn - Async function called with each item
+ * @returns {Promise<Array>} - Results in item order ({ status, value | reason } per item)
+ */
+async function mapInBatches(items, fn) {
+  const results = [];
+
+  for (let i = 0; i < items.length; i += BATCH_SIZE) {
+    const batch = items.slice(i, i + BATCH_SIZE);
+    results.push(...await Promise.allSettled(batch.map(item => fn(item))));
+
+    // Small delay between batches to avoid rate limiting
+    if (i + BATCH_SIZE < items.length) {
+      await new Promise(resolve => setTimeout(resolve, BATCH_DELAY));
+    }
+  }
+
+  return results;
+}
+
+module.exports = {
+  getRegistryUrl,
+  fetchPackageMetadata,
+  fetchAdvisories,
+  mapInBatches
+};
@@ -8,6 +8,12 @@ const { openInBrowser } = require('./browser-opener');
 // Default reports directory
 const DEFAULT_REPORTS_DIR = 'deps-reports';
 
+// Report file extensions picked up by listReports
+const REPORT_EXTENSIONS = ['.html', '.json'];
+
+// Reports written by this process to a custom location, by the absolute reports directory they were saved for
+const savedReports = new Map();
+
 /**
  * Ensures the reports directory exists
  * @param {string} reportsDir - Path to reports directory
@@ -41,6 +47,31 @@ function saveReport(content, filename, reportsDir = DEFAULT_REPORTS_DIR) {
   return reportPath;
 }
 
+/**
+ * Lists HTML/JSON reports found in the reports directory, plus any report
+ * saved by this process to a custom location instead of that directory
+ * @param {string} reportsDir - Reports directory (default: deps-reports)
+ * @returns {string[]} - Absolute paths of existing reports
+ */
+function listReports(reportsDir = DEFAULT_REPORTS_DIR) {
+  const reports = new Set();
+  const absolutePath = path.resolve(reportsDir);
+  
+  if (fs.existsSync(absolutePath)) {
+    fs.readdirSync(absolutePath)
+      .filter(file => REPORT_EXTENSIONS.includes(path.extname(file)))
+      .forEach(file => reports.add(path.join(absolutePath, file)));
+  }
+  
+  (savedReports.get(absolutePath) || []).forEach(reportPath => {
+    if (fs.existsSync(reportPath)) {
+      reports.add(reportPath);
+    }
+  });
+  
+  return Array.from(reports);
+}
+
 /**
  * Generates a timestamped filename
  * @param {string} prefix - Filename prefix
@@ -95,6 +126,14 @@ async function saveAndOpenReport(content, outputPath, openInBrowserFlag, default
   const finalPath = processOutputPath(outputPath, defaultFilename, reportsDir);
   const reportPath = saveReport(content, path.basename(finalPath), path.dirname(finalPath));
   
+  const reportsDirPath = path.resolve(reportsDir);
+  if (path.dirname(reportPath) !== reportsDirPath) {
+    if (!savedReports.has(reportsDirPath)) {
+      savedReports.set(reportsDirPath, new Set());
+    }
+    savedReports.get(reportsDirPath).add(reportPath);
+  }
+  
   if (openInBrowserFlag) {
     await openInBrowser(reportPath);
   } else {
@@ -108,6 +147,7 @@ module.exports = {
   DEFAULT_REPORTS_DIR,
   ensureReportsDirectory,
   saveReport,
+  listReports,
   generateTimestampedFilename,
   processOutputPath,
   saveAndOpenReport
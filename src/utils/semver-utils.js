@@ -0,0 +1,99 @@
+/**
+ * Utilities for comparing declared version ranges
+ */
+const semver = require('semver');
+
+// Inconsistency severities, most severe first
+const SEVERITIES = ['major-conflict', 'minor-drift', 'compatible-overlap', 'unknown'];
+
+/**
+ * Compare two versions, falling back to string order when they aren't valid semver
+ */
+function compareVersions(a, b) {
+  return semver.valid(a) && semver.valid(b) ? semver.compare(a, b) : String(a).localeCompare(String(b));
+}
+
+/**
+ * Plain semver range of a declared dependency ("npm:^1.0.0" and aliases like
+ * "npm:string-width@^4.2.0" are reduced to the range)
+ * @param {string} range - Declared range
+ * @returns {string} - Range without protocol or alias
+ */
+function toSemverRange(range) {
+  const withoutProtocol = String(range).replace(/^npm:/, '');
+  const at = withoutProtocol.lastIndexOf('@');
+  return at > 0 ? withoutProtocol.slice(at + 1) : withoutProtocol;
+}
+
+/**
+ * Release line of a range: its major version, or "0.minor" below 1.0.0 where
+ * minor versions may break
+ */
+function releaseLine(range) {
+  const minVersion = semver.minVersion(range);
+  if (!minVersion) {
+    return range;
+  }
+  return minVersion.major > 0 ? `${minVersion.major}` : `0.${minVersion.minor}`;
+}
+
+/**
+ * Find a single range accepted by every consumer, i.e. within all the given ranges
+ * @param {string[]} ranges - Valid semver ranges
+ * @returns {string|null} - The range, or null if the ranges have no version in common
+ */
+function findCommonRange(ranges) {
+  // The most restrictive declared range, if it lies within all the others
+  const declared = ranges.find(candidate => ranges.every(other => semver.subset(candidate, other)));
+  if (declared) {
+    return declared;
+  }
+
+  // Otherwise derive one from the lowest version all ranges accept
+  const lowest = ranges
+    .map(range => semver.minVersion(range))
+    .filter(Boolean)
+    .sort(semver.compare)
+    .pop();
+  if (!lowest || !ranges.every(range => semver.satisfies(lowest, range))) {
+    return null;
+  }
+
+  return [`^${lowest.version}`, `~${lowest.version}`, lowest.version]
+    .find(candidate => ranges.every(range => semver.subset(candidate, range))) || null;
+}
+
+/**
+ * Classify the ranges a dependency is declared with across the monorepo:
+ *   compatible-overlap - some version satisfies every range
+ *   minor-drift        - no common version, but all ranges are on the same release line
+ *   major-conflict     - no common version, and the ranges are on different release lines
+ *   unknown            - some ranges aren't semver (workspace:, tags, git or file)
+ * @param {string[]} declaredRanges - Declared ranges
+ * @returns {Object} - { severity, suggestedRange }, suggestedRange being null if no range satisfies all
+ */
+function classifyRanges(declaredRanges) {
+  const ranges = Array.from(new Set(declaredRanges.map(toSemverRange)));
+  if (ranges.some(range => !semver.validRange(range))) {
+    return { severity: 'unknown', suggestedRange: null };
+  }
+
+  const suggestedRange = findCommonRange(ranges);
+  if (suggestedRange) {
+    return { severity: 'compatible-overlap', suggestedRange };
+  }
+
+  const releaseLines = new Set(ranges.map(releaseLine));
+  return {
+    severity: releaseLines.size > 1 ? 'major-conflict' : 'minor-drift',
+    suggestedRange: null
+  };
+}
+
+module.exports = {
+  SEVERITIES,
+  compareVersions,
+  toSemverRange,
+  findCommonRange,
+  classifyRanges
+};
@@ -0,0 +1,134 @@
+const fs = require('fs');
+const path = require('path');
+const { globSync } = require('glob');
+const YAML = require('yaml');
+
+// Used when the monorepo declares no workspaces at all
+const DEFAULT_PATTERNS = ['packages/*'];
+
+/**
+ * Read a JSON file, returning null if it does not exist or cannot be parsed
+ * @param {string} filePath - Path to the JSON file
+ * @returns {Object|null} - Parsed JSON
+ */
+function readJsonFile(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Read the workspace globs declared by the monorepo's package manager.
+ * pnpm-workspace.yaml wins over package.json because pnpm ignores the
+ * "workspaces" field; lerna.json is only used when neither is present.
+ * @param {string} rootDir - Path to monorepo root
+ * @returns {Object|null} - { source, patterns }, or null if nothing is declared
+ */
+function readWorkspacePatterns(rootDir) {
+  const pnpmWorkspacePath = path.join(rootDir, 'pnpm-workspace.yaml');
+  if (fs.existsSync(pnpmWorkspacePath)) {
+    const pnpmWorkspace = YAML.parse(fs.readFileSync(pnpmWorkspacePath, 'utf8')) || {};
+    if (Array.isArray(pnpmWorkspace.packages)) {
+      return { source: 'pnpm-workspace.yaml', patterns: pnpmWorkspace.packages };
+    }
+  }
+
+  // "workspaces" is either an array or { packages: [...], nohoist: [...] }
+  const packageJson = readJsonFile(path.join(rootDir, 'package.json'));
+  if (packageJson && packageJson.workspaces) {
+    const patterns = Array.isArray(packageJson.workspaces)
+      ? packageJson.workspaces
+      : packageJson.workspaces.packages;
+    if (Array.isArray(patterns)) {
+      return { source: 'package.json', patterns };
+    }
+  }
+
+  const lernaJson = readJsonFile(path.join(rootDir, 'lerna.json'));
+  if (lernaJson) {
+    return { source: 'lerna.json', patterns: lernaJson.packages || DEFAULT_PATTERNS };
+  }
+
+  return null;
+}
+
+/**
+ * Normalize a workspace glob so it can be matched relative to the root
+ */
+function normalizePattern(pattern) {
+  return pattern
+    .trim()
+    .replace(/\\/g, '/')
+    .replace(/^\.\//, '')
+    .replace(/\/+$/, '') || '.';
+}
+
+/**
+ * Find the package directories matched by a list of workspace globs.
+ * Globs starting with "!" exclude the directories they match.
+ * @param {string} rootDir - Path to monorepo root
+ * @param {string[]} patterns - Workspace globs
+ * @returns {string[]} - Absolute paths of the package directories, sorted
+ */
+function findWorkspaceDirectories(rootDir, patterns) {
+  const include = [];
+  const ignore = ['**/node_modules/**'];
+
+  patterns.forEach(pattern => {
+    if (typeof pattern !== 'string' || !pattern.trim()) {
+      return;
+    }
+
+    if (pattern.startsWith('!')) {
+      const excluded = normalizePattern(pattern.slice(1));
+      ignore.push(`${excluded}/package.json`);
+    } else {
+      include.push(`${normalizePattern(pattern)}/package.json`);
+    }
+  });
+
+  if (include.length === 0) {
+    return [];
+  }
+
+  const packageJsonPaths = globSync(include, {
+    cwd: rootDir,
+    ignore,
+    absolute: true,
+    nodir: true
+  });
+
+  return Array.from(new Set(packageJsonPaths.map(file => path.dirname(file)))).sort();
+}
+
+/**
+ * Resolve the workspace packages of a monorepo.
+ * An explicit packagesDir overrides the package manager configuration and
+ * matches its immediate subdirectories.
+ * @param {string} rootDir - Path to monorepo root
+ * @param {string} [packagesDir] - Directory containing packages (override)
+ * @returns {Object} - { source, patterns, directories }
+ */
+function resolveWorkspaces(rootDir, packagesDir) {
+  let workspaces;
+
+  if (packagesDir) {
+    const relativeDir = path.relative(rootDir, path.resolve(rootDir, packagesDir)) || '.';
+    workspaces = { source: 'packagesDir', patterns: [`${relativeDir}/*`] };
+  } else {
+    workspaces = readWorkspacePatterns(rootDir) || { source: 'default', patterns: DEFAULT_PATTERNS };
+  }
+
+  return {
+    ...workspaces,
+    directories: findWorkspaceDirectories(rootDir, workspaces.patterns)
+  };
+}
+
+module.exports = {
+  readWorkspacePatterns,
+  findWorkspaceDirectories,
+  resolveWorkspaces
+};
@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const MonorepoWorkspace = require('../src/monorepo-workspace');
+const { createTree, removeTree, quietly } = require('./helpers');
+
+// Tab-indented on purpose: aligning must not reformat the manifests
+const APP_MANIFEST = `{
+\t"name": "app",
+\t"version": "1.0.0",
+\t"dependencies": {
+\t\t"@acme/ui": "*",
+\t\t"lodash": "^4.17.0",
+\t\t"string-width": "npm:string-width@^4.0.0"
+\t}
+}
+`;
+
+function createMonorepo() {
+  return createTree({
+    'package.json': { name: 'root', private: true, workspaces: ['packages/*'] },
+    'packages/app/package.json': APP_MANIFEST,
+    'packages/ui/package.json': {
+      name: '@acme/ui',
+      version: '1.2.0',
+      dependencies: { lodash: '^4.17.21', 'string-width': '^4.2.0' },
+      peerDependencies: { react: '>=17.0.0' }
+    },
+    'packages/web/package.json': {
+      name: 'web',
+      version: '1.0.0',
+      dependencies: { '@acme/ui': '^2.0.0', react: '^18.2.0', 'string-width': '^4.2.0' }
+    }
+  });
+}
+
+function readManifest(root, name) {
+  return fs.readFileSync(path.join(root, 'packages', name, 'package.json'), 'utf8');
+}
+
+test('alignVersions rewrites only the range strings of the suggested dependencies', async t => {
+  const root = createMonorepo();
+  t.after(() => removeTree(root));
+
+  const result = await quietly(() => new MonorepoWorkspace({ monorepoRoot: root }).alignVersions());
+
+  assert.deepEqual(result.changes, [
+    { package: 'app', dependency: 'lodash', type: 'dependencies', from: '^4.17.0', to: '^4.17.21' }
+  ]);
+  assert.equal(readManifest(root, 'app'), APP_MANIFEST.replace('"lodash": "^4.17.0"', '"lodash": "^4.17.21"'));
+});
+
+test('alignVersions leaves npm: aliases alone', async t => {
+  const root = createMonorepo();
+  t.after(() => removeTree(root));
+
+  const result = await quietly(() => new MonorepoWorkspace({ monorepoRoot: root })
+    .alignVersions({ dependencies: ['string-width'], versions: { 'string-width': '^4.2.3' } }));
+
+  assert.deepEqual(result.changes.map(change => change.package), ['@acme/ui', 'web']);
+  assert.ok(readManifest(root, 'app').includes('"string-width": "npm:string-width@^4.0.0"'));
+});
+
+test('alignVersions keeps peer ranges that already accept the new range', async t => {
+  const root = createMonorepo();
+  t.after(() => removeTree(root));
+
+  const workspace = new MonorepoWorkspace({ monorepoRoot: root });
+  const widened = await quietly(() => workspace.alignVersions({ dependencies: ['react'], versions: { react: '^18.3.0' }, dryRun: true }));
+  assert.deepEqual(widened.changes, [
+    { package: 'web', dependency: 'react', type: 'dependencies', from: '^18.2.0', to: '^18.3.0' }
+  ]);
+
+  const narrowed = await quietly(() => workspace.alignVersions({ dependencies: ['react'], versions: { react: '^16.14.0' }, dryRun: true }));
+  assert.deepEqual(narrowed.changes.map(change => `${change.package}:${change.type}`),
+    ['@acme/ui:peerDependencies', 'web:dependencies']);
+});
+
+test('alignVersions only aligns workspace packages to ranges accepting the local version', async t => {
+  const root = createMonorepo();
+  t.after(() => removeTree(root));
+
+  const workspace = new MonorepoWorkspace({ monorepoRoot: root });
+  const suggested = await quietly(() => workspace.alignVersions({ dependencies: ['@acme/ui'], dryRun: true }));
+  assert.deepEqual(suggested.changes, []);
+  assert.match(suggested.skipped[0].reason, /does not accept the local version 1\.2\.0/);
+
+  const chosen = await quietly(() => workspace.alignVersions({ dependencies: ['@acme/ui'], versions: { '@acme/ui': '^2.0.0' }, dryRun: true }));
+  assert.deepEqual(chosen.changes, []);
+  assert.match(chosen.skipped[0].reason, /\^2\.0\.0 does not accept the local version 1\.2\.0/);
+
+  const local = await quietly(() => workspace.alignVersions({ dependencies: ['@acme/ui'], versions: { '@acme/ui': '^1.2.0' }, dryRun: true }));
+  assert.deepEqual(local.changes.map(change => [change.package, change.from, change.to]),
+    [['app', '*', '^1.2.0'], ['web', '^2.0.0', '^1.2.0']]);
+});
+
+test('alignVersions in dry-run mode returns the diff without writing', async t => {
+  const root = createMonorepo();
+  t.after(() => removeTree(root));
+
+  const result = await quietly(() => new MonorepoWorkspace({ monorepoRoot: root }).alignVersions({ dryRun: true }));
+
+  assert.equal(result.dryRun, true);
+  assert.deepEqual(result.files, [{ file: path.join('packages', 'app', 'package.json'), changes: 1 }]);
+  assert.match(result.diff, /^-\t\t"lodash": "\^4\.17\.0",$/m);
+  assert.match(result.diff, /^\+\t\t"lodash": "\^4\.17\.21",$/m);
+  assert.equal(readManifest(root, 'app'), APP_MANIFEST);
+});
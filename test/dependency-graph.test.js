@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { NpmLockfile, YarnLockfile, PnpmLockfile, DependencyGraph } = require('../src/lockfile');
+
+const LOCKFILES_DIR = path.join(__dirname, 'fixtures', 'lockfiles');
+
+// The workspace packages of the lockfile fixtures
+const WORKSPACES = [
+  {
+    name: '@acme/api',
+    version: '1.0.0',
+    location: path.join('packages', 'api'),
+    dependencies: [
+      { name: 'debug', range: '^4.3.0', type: 'dependencies' },
+      { name: 'lodash', range: '4.17.15', type: 'dependencies' }
+    ]
+  },
+  {
+    name: '@acme/web',
+    version: '1.0.0',
+    location: path.join('packages', 'web'),
+    dependencies: [
+      { name: '@acme/api', range: '^1.0.0', type: 'dependencies' },
+      { name: 'lodash', range: '^4.17.0', type: 'dependencies' },
+      { name: 'react', range: '^18.2.0', type: 'dependencies' },
+      { name: 'swr', range: '^2.2.0', type: 'dependencies' }
+    ]
+  }
+];
+
+const CASES = [
+  { dir: 'npm-v3', Lockfile: NpmLockfile, msRange: '^2.1.1' },
+  { dir: 'yarn-berry', Lockfile: YarnLockfile, msRange: 'npm:^2.1.1' },
+  { dir: 'pnpm-v9', Lockfile: PnpmLockfile, msRange: null }
+];
+
+CASES.forEach(({ dir, Lockfile, msRange }) => {
+  test(`${dir}: explains why each version of a package is installed`, () => {
+    const graph = new DependencyGraph(Lockfile.read(path.join(LOCKFILES_DIR, dir)), WORKSPACES);
+
+    assert.deepEqual(graph.getPackageNames(), ['debug', 'lodash', 'ms', 'react', 'swr']);
+    const lodash = graph.getVersions('lodash');
+    assert.deepEqual(Array.from(lodash.keys()).sort(), ['4.17.15', '4.17.21']);
+
+    const [oldLodash] = lodash.get('4.17.15');
+    assert.deepEqual(graph.getDependents(oldLodash), [{ id: 'workspace:packages/api', range: '4.17.15' }]);
+    assert.equal(graph.describe(oldLodash), 'lodash@4.17.15');
+
+    const [ms] = graph.getVersions('ms').get('2.1.2');
+    const [chain] = graph.findChains(ms);
+    assert.deepEqual(chain.map(id => graph.describe(id)), ['@acme/api', 'debug@4.3.4', 'ms@2.1.2']);
+    assert.deepEqual(graph.describeHops(chain).map(({ name, range, type, workspace }) => ({ name, range, type, workspace })), [
+      { name: 'debug', range: '^4.3.0', type: 'dependencies', workspace: false },
+      { name: 'ms', range: msRange, type: 'dependencies', workspace: false }
+    ]);
+
+    assert.deepEqual(graph.findChains(ms, { throughWorkspaces: true }).map(found => found.map(id => graph.describe(id))), [
+      ['@acme/api', 'debug@4.3.4', 'ms@2.1.2'],
+      ['@acme/web', '@acme/api', 'debug@4.3.4', 'ms@2.1.2']
+    ]);
+
+    const [swr] = graph.getVersions('swr').get('2.2.0');
+    assert.deepEqual(graph.getPeers(swr), [{ name: 'react', range: '^16.11.0 || ^17.0.0 || ^18.0.0', optional: false }]);
+  });
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { collectImports, analyzeDependencyUsage } = require('../src/usage/dependency-usage');
+const { createTree, removeTree } = require('./helpers');
+
+const PACKAGE_JSON = {
+  name: '@acme/app',
+  version: '1.0.0',
+  dependencies: { chalk: '^5.0.0', options: '^1.0.0', 'fast-glob': '^3.0.0', 'left-pad': '^1.0.0' },
+  devDependencies: { lodash: '^4.17.21', '@types/lodash': '^4.0.0', '@types/node': '^20.0.0', '@testing-library/react': '^14.0.0' }
+};
+
+function createPackage() {
+  return createTree({
+    'package.json': PACKAGE_JSON,
+    'src/index.ts': [
+      "import type { Options } from 'options';",
+      "import chalk from 'chalk';",
+      "import { readFileSync } from 'node:fs';",
+      "import { merge } from 'lodash/fp';",
+      "import { helper } from './helper';",
+      "import { name } from '@acme/app/package.json';",
+      ''
+    ].join('\n'),
+    'src/helper.ts': "export * from 'dayjs';\n",
+    'src/index.test.ts': "import { render } from '@testing-library/react';\njest.mock('axios');\n",
+    'scripts/build.js': "const glob = require('fast-glob');\n",
+    // Build output and installed packages are not scanned
+    'dist/index.js': "require('left-pad');\n",
+    'node_modules/chalk/index.js': "require('left-pad');\n"
+  });
+}
+
+test('collectImports groups the imports of each package by file kind', t => {
+  const dir = createPackage();
+  t.after(() => removeTree(dir));
+
+  const { files, imports, usesBuiltins, parseErrors } = collectImports(dir);
+
+  assert.equal(files, 4);
+  assert.equal(usesBuiltins, true);
+  assert.deepEqual(parseErrors, []);
+  assert.deepEqual(Array.from(imports.keys()).sort(),
+    ['@acme/app', '@testing-library/react', 'axios', 'chalk', 'dayjs', 'fast-glob', 'lodash', 'options']);
+
+  const options = imports.get('options');
+  assert.deepEqual([options.production, options.typeOnly], [false, true]);
+  const lodash = imports.get('lodash');
+  assert.deepEqual([lodash.production, Array.from(lodash.specifiers)], [true, ['lodash/fp']]);
+  const axios = imports.get('axios');
+  assert.deepEqual([axios.production, Array.from(axios.kinds)], [false, ['test']]);
+});
+
+test('analyzeDependencyUsage reports unused, missing and misplaced dependencies', t => {
+  const dir = createPackage();
+  t.after(() => removeTree(dir));
+
+  const result = analyzeDependencyUsage(dir, PACKAGE_JSON);
+
+  assert.deepEqual(result.unused, { dependencies: ['left-pad'], devDependencies: [] });
+  assert.deepEqual(result.missing, { dayjs: ['src/helper.ts'], axios: ['src/index.test.ts'] });
+  assert.deepEqual(result.misplaced, [
+    { dependency: 'lodash', declaredIn: 'devDependencies', expectedIn: 'dependencies', reason: 'Imported by shipped code', files: ['src/index.ts'] },
+    { dependency: 'fast-glob', declaredIn: 'dependencies', expectedIn: 'devDependencies', reason: 'Only imported by scripts', files: ['scripts/build.js'] }
+  ]);
+});
+
+test('declared packages named after Node.js builtins are imported instead of the builtins', t => {
+  const packageJson = { name: 'widget', dependencies: { events: '^3.3.0', buffer: '^6.0.3', util: '^0.12.5' } };
+  const dir = createTree({
+    'package.json': packageJson,
+    'src/index.js': [
+      "import { EventEmitter } from 'events';",
+      "import { Buffer } from 'buffer/';",
+      "import { inspect } from 'node:util';",
+      "import assert from 'assert';",
+      ''
+    ].join('\n')
+  });
+  t.after(() => removeTree(dir));
+
+  const result = analyzeDependencyUsage(dir, packageJson);
+
+  assert.deepEqual(result.unused, { dependencies: ['util'], devDependencies: [] });
+  assert.deepEqual(result.missing, {});
+  assert.equal(collectImports(dir).imports.size, 0);
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const MonorepoWorkspace = require('../src/monorepo-workspace');
+const { createTree, removeTree, quietly } = require('./helpers');
+
+const API_DEPENDENCIES = { 'fast-lib': '^1.0.0', 'old-lib': '^1.0.0' };
+
+function createMonorepo(rootPackageJson) {
+  return createTree({
+    'package.json': { name: 'root', private: true, workspaces: ['packages/*'], ...rootPackageJson },
+    // A version manager alias: only nvm knows which version it is
+    '.nvmrc': 'lts/*\n',
+    'packages/api/package.json': { name: 'api', version: '1.0.0', engines: { node: '>=20.0.0' }, dependencies: API_DEPENDENCIES },
+    'packages/web/package.json': { name: 'web', version: '1.0.0' },
+    'packages/ui/package.json': { name: 'ui', version: '1.0.0', engines: { node: 'sixteen' } },
+    'package-lock.json': {
+      name: 'root',
+      lockfileVersion: 3,
+      requires: true,
+      packages: {
+        '': { name: 'root', workspaces: ['packages/*'] },
+        'packages/api': { name: 'api', version: '1.0.0', dependencies: API_DEPENDENCIES },
+        'node_modules/api': { resolved: 'packages/api', link: true },
+        'node_modules/fast-lib': { version: '1.0.0', engines: { node: '>=22' } },
+        // Very old packages list their engines as strings, which can't be checked
+        'node_modules/old-lib': { version: '1.0.0', engines: ['node >= 0.8'] }
+      }
+    }
+  });
+}
+
+async function analyzeEngines(t, rootPackageJson, options) {
+  const root = createMonorepo(rootPackageJson);
+  t.after(() => removeTree(root));
+  return quietly(() => new MonorepoWorkspace({ monorepoRoot: root }).analyzeEngines(options));
+}
+
+test('analyzeEngines reports the engines that exclude the lowest supported and pinned Node versions', async t => {
+  const result = await analyzeEngines(t, { engines: { node: '>=18.0.0' }, volta: { node: '20.11.0' } });
+
+  assert.deepEqual(result.node, {
+    lowestSupported: '18.0.0',
+    pins: [
+      { source: '.nvmrc', value: 'lts/*', range: null },
+      { source: 'volta', value: '20.11.0', range: '20.11.0' }
+    ],
+    pinConflicts: [],
+    targets: [
+      { source: 'lowest supported (engines)', range: '18.0.0' },
+      { source: 'volta', range: '20.11.0' }
+    ]
+  });
+  // web has no engines field, so it accepts any version
+  assert.deepEqual(result.workspaces, [
+    { package: 'root', range: '>=18.0.0', valid: true, excludes: [] },
+    { package: 'api', range: '>=20.0.0', valid: true, excludes: [{ source: 'lowest supported (engines)', range: '18.0.0' }] },
+    { package: 'ui', range: 'sixteen', valid: false, excludes: [] }
+  ]);
+  assert.equal(result.commonRange, '>=20.0.0');
+  assert.deepEqual(result.installed, {
+    lockfile: 'package-lock.json',
+    checked: 1,
+    incompatible: [
+      {
+        name: 'fast-lib',
+        version: '1.0.0',
+        range: '>=22',
+        excludes: [
+          { source: 'lowest supported (engines)', range: '18.0.0' },
+          { source: 'volta', range: '20.11.0' }
+        ],
+        path: ['api', 'fast-lib@1.0.0']
+      }
+    ]
+  });
+  assert.equal(result.total, 3);
+});
+
+test('analyzeEngines has no target without a root engines field or a pinned version', async t => {
+  const result = await analyzeEngines(t, {});
+
+  assert.deepEqual([result.node.lowestSupported, result.node.targets], [null, []]);
+  assert.deepEqual(result.workspaces.map(workspace => workspace.excludes), [[], []]);
+  assert.deepEqual(result.installed.incompatible, []);
+
+  // An explicit version gives the target back
+  const withNode = await analyzeEngines(t, {}, { node: 'v18' });
+  assert.deepEqual(withNode.node.targets, [{ source: 'lowest supported (--node)', range: '18.0.0' }]);
+  assert.deepEqual(withNode.installed.incompatible.map(pkg => pkg.name), ['fast-lib']);
+  assert.deepEqual(await analyzeEngines(t, {}, { node: 'lts/iron' }), { error: 'Invalid Node version: lts/iron' });
+});
@@ -0,0 +1,63 @@
+/**
+ * Shared helpers for the test files
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { InMemoryTransport } = require('@modelcontextprotocol/sdk/inMemory.js');
+const { createMcpServer } = require('../src/mcp/mcp-protocol-server');
+
+/**
+ * Write a throwaway directory tree; objects are written as formatted JSON
+ * @param {Object} files - File contents by relative path
+ * @returns {string} - Path of the directory
+ */
+function createTree(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-npm-test-'));
+  Object.entries(files).forEach(([file, content]) => {
+    const filePath = path.join(dir, file);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, typeof content === 'string' ? content : JSON.stringify(content, null, 2) + '\n');
+  });
+  return dir;
+}
+
+function removeTree(dir) {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+/**
+ * Run a function with console.log silenced (the analyses report their progress on it)
+ */
+async function quietly(fn) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = log;
+  }
+}
+
+/**
+ * Connect an SDK client to the MCP server of an MCPNpmServer through an in-process transport
+ * pair; the client is closed after the test
+ */
+async function connectClient(t, npmServer) {
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  const client = new Client({ name: 'test-client', version: '1.0.0' });
+  await Promise.all([
+    createMcpServer(npmServer).connect(serverTransport),
+    client.connect(clientTransport)
+  ]);
+  t.after(() => client.close());
+  return client;
+}
+
+module.exports = {
+  createTree,
+  removeTree,
+  quietly,
+  connectClient
+};
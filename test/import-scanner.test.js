@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { findImports, getPackageName, getTypesPackage, isBuiltinModule } = require('../src/usage/import-scanner');
+
+function summarize(imports) {
+  return imports.map(({ specifier, kind, typeOnly }) => `${kind}${typeOnly ? ' type' : ''} ${specifier}`);
+}
+
+test('findImports reads static, dynamic and CommonJS imports', () => {
+  const code = [
+    "import React from 'react';",
+    "import './styles.css';",
+    "const lodash = require('lodash');",
+    'const chalk = require(`chalk`);',
+    "const page = await import('./page');",
+    'const plugin = require(pluginName);'
+  ].join('\n');
+
+  assert.deepEqual(findImports(code).map(({ specifier, kind, line }) => [specifier, kind, line]), [
+    ['react', 'import', 1],
+    ['./styles.css', 'import', 2],
+    ['lodash', 'require', 3],
+    ['chalk', 'require', 4],
+    ['./page', 'dynamic', 5]
+  ]);
+});
+
+test('findImports marks type-only imports and exports, which are erased from the output', () => {
+  const code = [
+    "import type { Options } from 'options';",
+    "import { type Theme, type Color } from 'theme';",
+    "import { type Store, createStore } from 'store';",
+    "export type { Schema } from 'schema';",
+    "type Router = import('router').Router;"
+  ].join('\n');
+
+  assert.deepEqual(summarize(findImports(code, 'index.ts')), [
+    'import type options',
+    'import type theme',
+    'import store',
+    'export type schema',
+    'import type router'
+  ]);
+
+  // Flow type imports in JavaScript files
+  assert.deepEqual(summarize(findImports("import type { Node } from 'react';", 'component.js')), ['import type react']);
+});
+
+test('findImports reads re-exports, TypeScript import-equals and module calls', () => {
+  const code = [
+    "export { merge } from 'deepmerge';",
+    "export * from 'utils';",
+    "import fs = require('fs-extra');",
+    "const entry = require.resolve('entry/package.json');",
+    "jest.mock('axios');",
+    "const actual = jest.requireActual('axios');",
+    "vi.mock('dayjs');",
+    "other.mock('ignored');"
+  ].join('\n');
+
+  assert.deepEqual(summarize(findImports(code, 'setup.ts')), [
+    'export deepmerge',
+    'export utils',
+    'require fs-extra',
+    'resolve entry/package.json',
+    'mock axios',
+    'mock axios',
+    'mock dayjs'
+  ]);
+});
+
+test('getPackageName keeps package names and drops paths, builtins, URLs and aliases', () => {
+  assert.equal(getPackageName('lodash/fp'), 'lodash');
+  assert.equal(getPackageName('@babel/core/lib/index.js'), '@babel/core');
+  assert.equal(getPackageName('style-loader!css-loader?modules!./styles.css'), null);
+  ['./local', '../up', '/abs', '#internal', '~/utils', '@/components', 'fs', 'node:fs', 'https://cdn.example.com/x.js'].forEach(specifier => {
+    assert.equal(getPackageName(specifier), null, specifier);
+  });
+
+  assert.equal(getTypesPackage('react'), '@types/react');
+  assert.equal(getTypesPackage('@babel/core'), '@types/babel__core');
+  assert.ok(isBuiltinModule('fs/promises') && isBuiltinModule('node:test'));
+  assert.ok(!isBuiltinModule('lodash'));
+  // Declared packages shadow the builtins of the same name, unless imported with "node:"
+  assert.ok(!isBuiltinModule('events', new Set(['events'])) && !isBuiltinModule('buffer/', new Set(['buffer'])));
+  assert.ok(isBuiltinModule('node:events', new Set(['events'])) && isBuiltinModule('util', new Set(['events'])));
+});
@@ -7,7 +7,11 @@ const {
   MCPNpmServer, 
   MCPNpmClient, 
   createServer, 
-  createClient 
+  createClient,
+  NxMonorepoAnalyzer,
+  NxProjectDepsAnalyzer,
+  scanVulnerabilities,
+  generateDependencyGraph
 } = require('../index.js');
 
 // Simple validation tests
@@ -18,5 +22,9 @@ if (!MCPNpmServer) throw new Error('MCPNpmServer export is missing');
 if (!MCPNpmClient) throw new Error('MCPNpmClient export is missing');
 if (typeof createServer !== 'function') throw new Error('createServer export is not a function');
 if (typeof createClient !== 'function') throw new Error('createClient export is not a function');
+if (typeof NxMonorepoAnalyzer !== 'function') throw new Error('NxMonorepoAnalyzer export is not a class');
+if (typeof NxProjectDepsAnalyzer !== 'function') throw new Error('NxProjectDepsAnalyzer export is not a class');
+if (typeof scanVulnerabilities !== 'function') throw new Error('scanVulnerabilities export is not a function');
+if (typeof generateDependencyGraph !== 'function') throw new Error('generateDependencyGraph export is not a function');
 
 console.log('✅ All basic validations passed'); 
\ No newline at end of file
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const MonorepoWorkspace = require('../src/monorepo-workspace');
+const { createTree, removeTree, quietly } = require('./helpers');
+
+/**
+ * A monorepo whose app depends on the local @acme/ui (1.2.0) and @acme/core (2.0.0)
+ */
+function createMonorepo(packageManager, appDependencies) {
+  return createTree({
+    'package.json': { name: 'root', private: true, packageManager, workspaces: ['packages/*'] },
+    'pnpm-workspace.yaml': 'packages:\n  - packages/*\n',
+    'packages/ui/package.json': { name: '@acme/ui', version: '1.2.0' },
+    'packages/core/package.json': { name: '@acme/core', version: '2.0.0' },
+    'packages/app/package.json': { name: 'app', version: '1.0.0', dependencies: { lodash: '^4.17.21', ...appDependencies } }
+  });
+}
+
+async function validate(t, packageManager, appDependencies) {
+  const root = createMonorepo(packageManager, appDependencies);
+  t.after(() => removeTree(root));
+  return quietly(() => new MonorepoWorkspace({ monorepoRoot: root }).validateInternalDependencies());
+}
+
+test('validateInternalDependencies reports semver ranges that exclude the local version', async t => {
+  const result = await validate(t, 'npm@10.2.0', { '@acme/ui': '^1.0.0', '@acme/core': '^1.0.0' });
+
+  assert.deepEqual([result.packageManager, result.total, result.preferredProtocol], ['npm', 2, 'semver']);
+  assert.deepEqual(result.issues, [
+    {
+      package: 'app',
+      dependency: '@acme/core',
+      type: 'dependencies',
+      range: '^1.0.0',
+      localVersion: '2.0.0',
+      issue: 'range-excludes-local',
+      message: '^1.0.0 does not accept the local version 2.0.0, so @acme/core is installed from the registry instead of linked',
+      suggestedRange: '^2.0.0'
+    }
+  ]);
+});
+
+test('validateInternalDependencies checks the range of workspace: dependencies', async t => {
+  const result = await validate(t, 'pnpm@8.15.0', { '@acme/ui': 'workspace:~1.2.0', '@acme/core': 'workspace:^1.5.0' });
+
+  assert.deepEqual(result.protocols, { workspace: 2 });
+  assert.deepEqual(result.issues.map(({ dependency, issue, suggestedRange }) => ({ dependency, issue, suggestedRange })), [
+    { dependency: '@acme/core', issue: 'range-excludes-local', suggestedRange: 'workspace:^' }
+  ]);
+
+  // "workspace:^" links whatever the local version is; npm has no workspace: protocol
+  assert.deepEqual((await validate(t, 'pnpm@8.15.0', { '@acme/core': 'workspace:^' })).issues, []);
+  const npmResult = await validate(t, 'npm@10.2.0', { '@acme/core': 'workspace:^' });
+  assert.deepEqual(npmResult.issues.map(({ issue, suggestedRange }) => ({ issue, suggestedRange })), [
+    { issue: 'unsupported-protocol', suggestedRange: '^2.0.0' }
+  ]);
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const MonorepoWorkspace = require('../src/monorepo-workspace');
+const { createTree, removeTree, quietly } = require('./helpers');
+
+const LOCKFILES_DIR = path.join(__dirname, 'fixtures', 'lockfiles');
+
+const LOCKFILES = {
+  'npm-v2': 'package-lock.json',
+  'npm-v3': 'package-lock.json',
+  'yarn-classic': 'yarn.lock',
+  'yarn-berry': 'yarn.lock',
+  'pnpm-v5': 'pnpm-lock.yaml',
+  'pnpm-v6': 'pnpm-lock.yaml',
+  'pnpm-v9': 'pnpm-lock.yaml'
+};
+
+/**
+ * The monorepo of a lockfile fixture, with the dependencies of packages/web overridden
+ */
+function createMonorepo(dir, webDependencies = {}) {
+  const filename = LOCKFILES[dir];
+  return createTree({
+    'package.json': { name: 'acme', version: '1.0.0', private: true, workspaces: ['packages/*'] },
+    'pnpm-workspace.yaml': 'packages:\n  - packages/*\n',
+    'packages/api/package.json': { name: '@acme/api', version: '1.0.0', dependencies: { debug: '^4.3.0', lodash: '4.17.15' } },
+    'packages/web/package.json': {
+      name: '@acme/web',
+      version: '1.0.0',
+      dependencies: { '@acme/api': '^1.0.0', lodash: '^4.17.0', react: '^18.2.0', swr: '^2.2.0', ...webDependencies }
+    },
+    [filename]: fs.readFileSync(path.join(LOCKFILES_DIR, dir, filename), 'utf8')
+  });
+}
+
+async function checkDrift(t, dir, webDependencies) {
+  const root = createMonorepo(dir, webDependencies);
+  t.after(() => removeTree(root));
+  return quietly(() => new MonorepoWorkspace({ monorepoRoot: root }).checkLockfileDrift());
+}
+
+Object.keys(LOCKFILES).forEach(dir => {
+  test(`${dir}: the lockfile is in sync with the manifests it was installed from`, async t => {
+    const drift = await checkDrift(t, dir);
+
+    assert.equal(drift.inSync, true);
+    assert.deepEqual([drift.checked, drift.skipped], [5, 1]);
+  });
+
+  test(`${dir}: locked packages no manifest requires are unreferenced`, async t => {
+    const drift = await checkDrift(t, dir, { swr: undefined });
+
+    assert.equal(drift.inSync, false);
+    assert.deepEqual(drift.unreferenced, [{ name: 'swr', version: '2.2.0' }]);
+  });
+});
+
+['yarn-classic', 'yarn-berry', 'pnpm-v5', 'pnpm-v6', 'pnpm-v9'].forEach(dir => {
+  test(`${dir}: a range edited without reinstalling is missing from the lockfile`, async t => {
+    const drift = await checkDrift(t, dir, { lodash: '^4.17.10' });
+
+    assert.equal(drift.inSync, false);
+    assert.deepEqual(drift.missing, [{ package: '@acme/web', dependency: 'lodash', type: 'dependencies', range: '^4.17.10' }]);
+    assert.deepEqual(drift.unsatisfied, []);
+    // The next install replaces the entry locked for the old range
+    assert.deepEqual(drift.unreferenced, []);
+  });
+});
+
+test('npm: a range edited without reinstalling is only drift when the locked version no longer satisfies it', async t => {
+  assert.equal((await checkDrift(t, 'npm-v3', { lodash: '^4.17.10' })).inSync, true);
+
+  const drift = await checkDrift(t, 'npm-v3', { lodash: '^4.17.30' });
+  assert.equal(drift.inSync, false);
+  assert.deepEqual(drift.unsatisfied, [
+    { package: '@acme/web', dependency: 'lodash', type: 'dependencies', range: '^4.17.30', locked: '4.17.21' }
+  ]);
+});
@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { NpmLockfile, YarnLockfile, PnpmLockfile, loadLockfile } = require('../src/lockfile');
+
+// The same monorepo locked by each package manager: packages/web depends on packages/api,
+// lodash ^4.17.0, react and swr (which has react as a peer); packages/api depends on
+// debug (which depends on ms) and an older lodash 4.17.15
+const LOCKFILES_DIR = path.join(__dirname, 'fixtures', 'lockfiles');
+
+const INSTALLED = [
+  'debug@4.3.4',
+  'lodash@4.17.15',
+  'lodash@4.17.21',
+  'ms@2.1.2',
+  'react@18.2.0',
+  'swr@2.2.0'
+];
+
+const CASES = [
+  { dir: 'npm-v2', Lockfile: NpmLockfile, lockfileVersion: 2, msRange: '^2.1.1', workspaceLinks: true },
+  { dir: 'npm-v3', Lockfile: NpmLockfile, lockfileVersion: 3, msRange: '^2.1.1', workspaceLinks: true },
+  { dir: 'yarn-classic', Lockfile: YarnLockfile, lockfileVersion: 1, msRange: '^2.1.1', workspaceLinks: false },
+  { dir: 'yarn-berry', Lockfile: YarnLockfile, lockfileVersion: 8, msRange: 'npm:^2.1.1', workspaceLinks: true },
+  // pnpm doesn't record the ranges of transitive dependencies
+  { dir: 'pnpm-v5', Lockfile: PnpmLockfile, lockfileVersion: '5.4', msRange: null, workspaceLinks: true },
+  { dir: 'pnpm-v6', Lockfile: PnpmLockfile, lockfileVersion: '6.0', msRange: null, workspaceLinks: true },
+  { dir: 'pnpm-v9', Lockfile: PnpmLockfile, lockfileVersion: '9.0', msRange: null, workspaceLinks: true }
+];
+
+function findNode(graph, name, version) {
+  return Array.from(graph.entries()).find(([, node]) => node.name === name && node.version === version) || [];
+}
+
+CASES.forEach(({ dir, Lockfile, lockfileVersion, msRange, workspaceLinks }) => {
+  test(`${dir}: reads the installed packages`, () => {
+    const lockfile = Lockfile.read(path.join(LOCKFILES_DIR, dir));
+
+    assert.equal(lockfile.lockfileVersion, lockfileVersion);
+    assert.deepEqual(lockfile.getPackages().map(pkg => `${pkg.name}@${pkg.version}`).sort(), INSTALLED);
+  });
+
+  test(`${dir}: resolves the dependencies of each workspace package`, () => {
+    const lockfile = Lockfile.read(path.join(LOCKFILES_DIR, dir));
+
+    assert.equal(lockfile.resolveDependency('packages/web', 'lodash', '^4.17.0').version, '4.17.21');
+    assert.equal(lockfile.resolveDependency('packages/api', 'lodash', '4.17.15').version, '4.17.15');
+    assert.equal(lockfile.resolveDependency('packages/api', 'debug', '^4.3.0').link, false);
+    assert.equal(lockfile.resolveDependency('packages/web', 'left-pad', '^1.0.0'), null);
+
+    const api = lockfile.resolveDependency('packages/web', '@acme/api', '^1.0.0');
+    if (workspaceLinks) {
+      assert.equal(api.link, true);
+      assert.equal(api.location, 'packages/api');
+    } else {
+      // Yarn classic doesn't lock workspace packages
+      assert.equal(api, null);
+    }
+  });
+
+  test(`${dir}: links installed packages to what their dependencies resolve to`, () => {
+    const graph = Lockfile.read(path.join(LOCKFILES_DIR, dir)).getPackageGraph();
+
+    assert.equal(graph.size, INSTALLED.length);
+    const [debugId, debug] = findNode(graph, 'debug', '4.3.4');
+    const [msId] = findNode(graph, 'ms', '2.1.2');
+    assert.ok(debugId && msId);
+    assert.deepEqual(debug.dependencies.map(({ name, range, type, id }) => ({ name, range, type, id })), [
+      { name: 'ms', range: msRange, type: 'dependencies', id: msId }
+    ]);
+
+    const [, swr] = findNode(graph, 'swr', '2.2.0');
+    // Yarn classic doesn't record peer dependencies
+    assert.deepEqual(swr.peerDependencies, dir === 'yarn-classic' ? {} : { react: '^16.11.0 || ^17.0.0 || ^18.0.0' });
+  });
+});
+
+CASES.filter(({ Lockfile }) => Lockfile !== NpmLockfile).forEach(({ dir, Lockfile }) => {
+  test(`${dir}: only resolves the ranges the lockfile was resolved for`, () => {
+    const lockfile = Lockfile.read(path.join(LOCKFILES_DIR, dir));
+
+    // As after editing a package.json without reinstalling
+    assert.equal(lockfile.resolveDependency('packages/web', 'lodash', '^4.17.10'), null);
+    assert.equal(lockfile.resolveDependency('packages/api', 'debug').version, '4.3.4');
+  });
+});
+
+test('NpmLockfile lists the workspace packages and nested dependencies', () => {
+  const lockfile = NpmLockfile.read(path.join(LOCKFILES_DIR, 'npm-v3'));
+
+  assert.deepEqual(lockfile.getWorkspaces(), [
+    { name: '@acme/api', version: '1.0.0', location: 'packages/api' },
+    { name: '@acme/web', version: '1.0.0', location: 'packages/web' }
+  ]);
+  assert.equal(lockfile.resolveDependency('packages/api', 'lodash').location, 'packages/api/node_modules/lodash');
+  assert.equal(lockfile.resolveDependency('node_modules/debug', 'ms').version, '2.1.2');
+});
+
+test('loadLockfile picks the parser from the lockfile present', () => {
+  assert.ok(loadLockfile(path.join(LOCKFILES_DIR, 'npm-v3')) instanceof NpmLockfile);
+  assert.ok(loadLockfile(path.join(LOCKFILES_DIR, 'yarn-berry')) instanceof YarnLockfile);
+  assert.ok(loadLockfile(path.join(LOCKFILES_DIR, 'pnpm-v9')) instanceof PnpmLockfile);
+  assert.equal(loadLockfile(__dirname), null);
+});
+
+test('NpmLockfile rejects lockfileVersion 1', () => {
+  assert.throws(() => new NpmLockfile({ lockfileVersion: 1, dependencies: {} }), /only lockfileVersion 2 and 3/);
+});
+
+test('PnpmLockfile reads peer dependency suffixes and single-package lockfiles', () => {
+  const lockfile = new PnpmLockfile([
+    'lockfileVersion: 5.3',
+    'specifiers:',
+    '  swr: ^2.2.0',
+    'dependencies:',
+    '  swr: 2.2.0_react@18.2.0',
+    'packages:',
+    '  /swr/2.2.0_react@18.2.0:',
+    '    resolution: {integrity: sha512-swr}',
+    ''
+  ].join('\n'));
+
+  assert.equal(lockfile.resolveDependency('', 'swr').version, '2.2.0');
+  assert.deepEqual(lockfile.getPackages(), [{ name: 'swr', version: '2.2.0' }]);
+});
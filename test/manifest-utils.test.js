@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { findValueRange, setJsonValue, createDiff } = require('../src/utils/manifest-utils');
+
+const MANIFEST = `{
+    "name": "app",
+    "scripts": { "test": "jest --config \\"jest.config.js\\"" },
+    "dependencies": {
+        "react": "^17.0.0",
+        "lodash": "^4.17.0"
+    },
+    "devDependencies": {"react": "^17.0.2"}
+}
+`;
+
+test('findValueRange locates nested values without matching keys inside strings or other objects', () => {
+  const range = findValueRange(MANIFEST, ['devDependencies', 'react']);
+  assert.equal(MANIFEST.slice(range.start, range.end), '"^17.0.2"');
+  assert.equal(findValueRange(MANIFEST, ['peerDependencies', 'react']), null);
+  assert.equal(findValueRange(MANIFEST, ['name', 'react']), null);
+});
+
+test('setJsonValue replaces only the value, keeping indentation, key order and the trailing newline', () => {
+  const updated = setJsonValue(MANIFEST, ['dependencies', 'react'], '^18.2.0');
+  assert.equal(updated, MANIFEST.replace('"react": "^17.0.0"', '"react": "^18.2.0"'));
+  assert.deepEqual(JSON.parse(updated).devDependencies, { react: '^17.0.2' });
+});
+
+test('setJsonValue handles compact objects and escapes the new value', () => {
+  const updated = setJsonValue(MANIFEST, ['devDependencies', 'react'], 'npm:@acme/react@"1"');
+  assert.ok(updated.includes('"devDependencies": {"react": "npm:@acme/react@\\"1\\""}'));
+  assert.equal(JSON.parse(updated).devDependencies.react, 'npm:@acme/react@"1"');
+});
+
+test('setJsonValue throws when the key path does not exist', () => {
+  assert.throws(() => setJsonValue(MANIFEST, ['dependencies', 'vue'], '^3.0.0'), /No value at dependencies\.vue/);
+});
+
+test('createDiff is empty for unchanged text and a unified diff otherwise', () => {
+  assert.equal(createDiff('package.json', MANIFEST, MANIFEST), '');
+
+  const diff = createDiff('packages/app/package.json', MANIFEST, setJsonValue(MANIFEST, ['dependencies', 'lodash'], '^4.17.21'));
+  assert.match(diff, /^--- a\/packages\/app\/package.json\n\+\+\+ b\/packages\/app\/package.json\n/);
+  assert.match(diff, /^-        "lodash": "\^4.17.0"$/m);
+  assert.match(diff, /^\+        "lodash": "\^4.17.21"$/m);
+});
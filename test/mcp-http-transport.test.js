@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { StreamableHTTPClientTransport } = require('@modelcontextprotocol/sdk/client/streamableHttp.js');
+const MCPNpmServer = require('../src/mcp-npm-server');
+const { createTree, removeTree } = require('./helpers');
+
+const INITIALIZE = {
+  jsonrpc: '2.0',
+  id: 1,
+  method: 'initialize',
+  params: { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'raw-client', version: '1.0.0' } }
+};
+
+/**
+ * Serve the /mcp endpoint of a server on a free port for the duration of a test
+ */
+async function listen(t) {
+  const root = createTree({
+    'package.json': { name: 'root', private: true, workspaces: ['packages/*'] },
+    'packages/a/package.json': { name: 'a', version: '1.0.0' }
+  });
+  // Sessions are logged as they start and end
+  t.mock.method(console, 'log', () => {});
+
+  const npmServer = new MCPNpmServer({ monorepoRoot: root });
+  const httpServer = await new Promise(resolve => {
+    const listening = npmServer.app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const clients = [];
+  t.after(async () => {
+    await Promise.all(clients.map(client => client.close()));
+    await npmServer.mcpHttp.closeAll();
+    httpServer.closeAllConnections();
+    await new Promise(resolve => httpServer.close(resolve));
+    removeTree(root);
+  });
+
+  const url = new URL(`http://127.0.0.1:${httpServer.address().port}/mcp`);
+  const connect = async () => {
+    const transport = new StreamableHTTPClientTransport(url);
+    const client = new Client({ name: 'test-client', version: '1.0.0' });
+    await client.connect(transport);
+    clients.push(client);
+    return { client, transport };
+  };
+  const post = async (body, sessionId) => {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'application/json, text/event-stream',
+        ...(sessionId ? { 'mcp-session-id': sessionId } : {})
+      },
+      body: JSON.stringify(body)
+    });
+    return { status: response.status, sessionId: response.headers.get('mcp-session-id'), text: await response.text() };
+  };
+  return { sessions: npmServer.mcpHttp.sessions, closeAll: npmServer.mcpHttp.closeAll, connect, post };
+}
+
+test('initialize starts a session that later requests reuse', async t => {
+  const { sessions, connect } = await listen(t);
+
+  const { client, transport } = await connect();
+  assert.ok(transport.sessionId);
+  assert.deepEqual(Array.from(sessions.keys()), [transport.sessionId]);
+
+  // Every call goes through the session of the client
+  const { tools } = await client.listTools();
+  assert.ok(tools.some(tool => tool.name === 'list_workspaces'));
+  const result = await client.callTool({ name: 'list_workspaces' });
+  assert.equal(JSON.parse(result.content[0].text)[0].name, 'default');
+  assert.equal(sessions.size, 1);
+
+  const other = await connect();
+  assert.notEqual(other.transport.sessionId, transport.sessionId);
+  assert.equal(sessions.size, 2);
+
+  // DELETE /mcp ends the session
+  await other.transport.terminateSession();
+  assert.deepEqual(Array.from(sessions.keys()), [transport.sessionId]);
+});
+
+test('requests without a session or with an unknown one are rejected', async t => {
+  const { post } = await listen(t);
+
+  const listTools = { jsonrpc: '2.0', id: 2, method: 'tools/list', params: {} };
+  const missing = await post(listTools);
+  assert.equal(missing.status, 400);
+  assert.match(JSON.parse(missing.text).error.message, /missing session ID/);
+
+  const unknown = await post(listTools, 'not-a-session');
+  assert.equal(unknown.status, 404);
+  assert.deepEqual(JSON.parse(unknown.text), {
+    jsonrpc: '2.0',
+    error: { code: -32000, message: 'Unknown MCP session: not-a-session' },
+    id: null
+  });
+
+  const initialized = await post(INITIALIZE);
+  assert.equal(initialized.status, 200);
+  assert.ok(initialized.sessionId);
+});
+
+test('closeAll ends every open session', async t => {
+  const { sessions, closeAll, connect, post } = await listen(t);
+
+  const { transport } = await connect();
+  await connect();
+  assert.equal(sessions.size, 2);
+
+  await closeAll();
+  assert.equal(sessions.size, 0);
+  const afterClose = await post({ jsonrpc: '2.0', id: 3, method: 'tools/list', params: {} }, transport.sessionId);
+  assert.equal(afterClose.status, 404);
+});
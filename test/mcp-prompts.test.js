@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const MCPNpmServer = require('../src/mcp-npm-server');
+const { PROMPTS, summarizeAudit } = require('../src/mcp/mcp-prompts');
+const { createTree, removeTree, quietly, connectClient } = require('./helpers');
+
+const AUDIT = {
+  auditReportVersion: 2,
+  vulnerabilities: {
+    minimist: {
+      name: 'minimist',
+      severity: 'critical',
+      isDirect: false,
+      via: [{ source: 1097678, title: 'Prototype Pollution in minimist' }],
+      range: '<1.2.6',
+      fixAvailable: true
+    },
+    mkdirp: { name: 'mkdirp', severity: 'critical', isDirect: true, via: ['minimist'], range: '0.4.1 - 0.5.1', fixAvailable: true },
+    semver: { name: 'semver', severity: 'moderate', isDirect: true, via: [{ title: 'semver vulnerable to ReDoS' }], range: '<7.5.2', fixAvailable: false },
+    debug: { name: 'debug', severity: 'low', isDirect: false, via: [{ title: 'Regular Expression DoS in debug' }], range: '<2.6.9', fixAvailable: true }
+  }
+};
+
+test('summarizeAudit keeps the vulnerabilities at or above the lowest severity', () => {
+  assert.deepEqual(summarizeAudit(AUDIT, 'high'), [
+    { name: 'minimist', severity: 'critical', range: '<1.2.6', isDirect: false, via: ['Prototype Pollution in minimist'], fixAvailable: true },
+    { name: 'mkdirp', severity: 'critical', range: '0.4.1 - 0.5.1', isDirect: true, via: ['minimist'], fixAvailable: true }
+  ]);
+  assert.deepEqual(summarizeAudit(AUDIT, 'moderate').map(vuln => vuln.name), ['minimist', 'mkdirp', 'semver']);
+  assert.deepEqual(summarizeAudit(AUDIT, 'info').map(vuln => vuln.name), ['minimist', 'mkdirp', 'semver', 'debug']);
+
+  // Audit failures are passed through for the assistant to see
+  const failure = { error: 'npm audit failed', details: 'ENOLOCK' };
+  assert.equal(summarizeAudit(failure, 'low'), failure);
+});
+
+test('prompts/get explain_dependency only keeps the paths from the given package', async t => {
+  const root = createTree({
+    'package.json': { name: 'acme', version: '1.0.0', private: true, workspaces: ['packages/*'] },
+    'packages/api/package.json': { name: '@acme/api', version: '1.0.0', dependencies: { debug: '^4.3.0', lodash: '4.17.15' } },
+    'packages/web/package.json': {
+      name: '@acme/web',
+      version: '1.0.0',
+      dependencies: { '@acme/api': '^1.0.0', lodash: '^4.17.0', react: '^18.2.0', swr: '^2.2.0' }
+    },
+    'package-lock.json': fs.readFileSync(path.join(__dirname, 'fixtures', 'lockfiles', 'npm-v3', 'package-lock.json'), 'utf8')
+  });
+  t.after(() => removeTree(root));
+  const client = await connectClient(t, new MCPNpmServer({ monorepoRoot: root }));
+
+  const explain = async args => {
+    const prompt = await quietly(() => client.getPrompt({ name: 'explain_dependency', arguments: args }));
+    const text = prompt.messages[0].content.text;
+    return { description: prompt.description, paths: JSON.parse(text.match(/```json\n([\s\S]*?)\n```/)[1]) };
+  };
+
+  const all = await explain({ dependency: 'lodash' });
+  assert.equal(all.description, 'Why our monorepo depends on lodash');
+  assert.deepEqual([all.paths.workspaces, all.paths.totalPaths], [['@acme/api', '@acme/web'], 3]);
+
+  // @acme/web reaches lodash 4.17.15 through @acme/api, but @acme/api never reaches 4.17.21
+  const api = await explain({ dependency: 'lodash', package: '@acme/api' });
+  assert.equal(api.description, 'Why @acme/api depends on lodash');
+  assert.deepEqual([api.paths.workspaces, api.paths.totalPaths], [['@acme/api'], 1]);
+  assert.deepEqual(api.paths.installed, [
+    {
+      version: '4.17.15',
+      paths: [
+        {
+          workspace: '@acme/api',
+          dev: false,
+          hops: [{ name: 'lodash', version: '4.17.15', workspace: false, range: '4.17.15', type: 'dependencies' }]
+        }
+      ]
+    }
+  ]);
+
+  await assert.rejects(client.getPrompt({ name: 'explain_dependency', arguments: {} }), /Missing required argument: dependency/);
+  assert.deepEqual((await client.listPrompts()).prompts.map(prompt => prompt.name), PROMPTS.map(prompt => prompt.name));
+});
@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ErrorCode } = require('@modelcontextprotocol/sdk/types.js');
+const MCPNpmServer = require('../src/mcp-npm-server');
+const { SERVER_INFO } = require('../src/mcp/mcp-protocol-server');
+const { TOOLS, findTool, validateToolArguments } = require('../src/mcp/mcp-tools');
+const { createTree, removeTree, quietly, connectClient } = require('./helpers');
+
+function createMonorepo(packages) {
+  const files = { 'package.json': { name: 'root', private: true, workspaces: ['packages/*'] } };
+  packages.forEach(name => {
+    files[`packages/${name}/package.json`] = { name, version: '1.0.0', dependencies: { lodash: '^4.17.21' } };
+  });
+  return createTree(files);
+}
+
+function parseResult(result) {
+  return JSON.parse(result.content[0].text);
+}
+
+test('tools/list returns every registered tool with its input schema', async t => {
+  const root = createMonorepo(['a']);
+  t.after(() => removeTree(root));
+  const client = await connectClient(t, new MCPNpmServer({ monorepoRoot: root }));
+
+  assert.deepEqual(client.getServerVersion(), SERVER_INFO);
+  const { tools } = await client.listTools();
+  assert.deepEqual(tools.map(tool => tool.name), TOOLS.map(tool => tool.name));
+  tools.forEach(tool => {
+    assert.equal(tool.inputSchema.type, 'object', tool.name);
+    assert.ok(tool.description, tool.name);
+  });
+});
+
+test('tools/call runs the analysis of the workspace named by the workspace argument', async t => {
+  const root = createMonorepo(['a']);
+  const other = createMonorepo(['b', 'c']);
+  t.after(() => [root, other].forEach(removeTree));
+  const npmServer = new MCPNpmServer({ monorepoRoot: root });
+  npmServer.addWorkspace({ name: 'other', root: other });
+  const client = await connectClient(t, npmServer);
+
+  const packageNames = result => parseResult(result).packages.map(pkg => pkg.name).sort();
+  assert.deepEqual(packageNames(await quietly(() => client.callTool({ name: 'analyze_structure' }))), ['a']);
+  assert.deepEqual(packageNames(await quietly(() => client.callTool({ name: 'analyze_structure', arguments: { workspace: 'other' } }))), ['b', 'c']);
+
+  const workspaces = parseResult(await client.callTool({ name: 'list_workspaces' }));
+  assert.deepEqual(workspaces.map(({ name, default: isDefault }) => [name, isDefault]), [['default', true], ['other', false]]);
+
+  await assert.rejects(client.callTool({ name: 'analyze_structure', arguments: { workspace: 'missing' } }),
+    { code: ErrorCode.InvalidParams, message: /Unknown workspace: missing/ });
+});
+
+test('invalid tool calls are protocol errors, and failed analyses are error results', async t => {
+  const root = createMonorepo(['a']);
+  t.after(() => removeTree(root));
+  const client = await connectClient(t, new MCPNpmServer({ monorepoRoot: root }));
+
+  await assert.rejects(client.callTool({ name: 'drop_tables' }), { code: ErrorCode.InvalidParams, message: /Unknown tool: drop_tables/ });
+  await assert.rejects(client.callTool({ name: 'analyze_structure', arguments: { verbose: true } }),
+    { code: ErrorCode.InvalidParams, message: /Unknown argument: verbose/ });
+  await assert.rejects(client.callTool({ name: 'find_unused_dependencies', arguments: { package: 42 } }),
+    { code: ErrorCode.InvalidParams, message: /Argument "package" must be of type string/ });
+
+  t.mock.method(console, 'error', () => {});
+  const result = await quietly(() => client.callTool({ name: 'find_unused_dependencies', arguments: { package: 'nope' } }));
+  assert.deepEqual(result, { isError: true, content: [{ type: 'text', text: 'Error: Package not found: nope' }] });
+});
+
+test('validateToolArguments checks required arguments, types and enums against the input schema', () => {
+  const tool = {
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: { type: 'string' },
+        depth: { type: 'integer' },
+        packages: { type: 'array' },
+        level: { type: 'string', enum: ['low', 'high'] }
+      },
+      required: ['name']
+    }
+  };
+
+  assert.equal(validateToolArguments(tool, { name: 'lodash', depth: 2, packages: [], level: 'high' }), null);
+  assert.equal(validateToolArguments(tool, { name: '' }), 'Missing required argument: name');
+  assert.equal(validateToolArguments(tool, { name: 'lodash', depth: 1.5 }), 'Argument "depth" must be of type integer');
+  assert.equal(validateToolArguments(tool, { name: 'lodash', packages: 'a,b' }), 'Argument "packages" must be of type array');
+  assert.equal(validateToolArguments(tool, { name: 'lodash', level: 'medium' }), 'Argument "level" must be one of: low, high');
+  assert.equal(validateToolArguments(findTool('list_workspaces'), {}), null);
+});
+
+test('long analyses stop when cancelled, and report progress to clients that ask for it', async t => {
+  const root = createMonorepo(['a', 'b', 'c']);
+  t.after(() => removeTree(root));
+  const npmServer = new MCPNpmServer({ monorepoRoot: root });
+  const client = await connectClient(t, npmServer);
+
+  // Cancelling after the first package stops the analysis before the next one
+  const workspace = npmServer.getWorkspace();
+  t.mock.method(workspace, 'findUnusedDependencies');
+  const controller = new AbortController();
+  await assert.rejects(quietly(() => client.callTool({ name: 'find_unused_dependencies' }, undefined, {
+    signal: controller.signal,
+    onprogress: () => controller.abort()
+  })), { message: /This operation was aborted/ });
+
+  // The server aborts with the reason of the cancellation notification
+  const [call] = workspace.findUnusedDependencies.mock.calls;
+  const { signal } = call.arguments[1];
+  assert.equal(signal.aborted, true);
+  await assert.rejects(call.result, reason => reason === signal.reason);
+
+  // Failed analyses aren't cached, so the next call runs it again
+  const progress = [];
+  const result = await quietly(() => client.callTool({ name: 'find_unused_dependencies' }, undefined, {
+    onprogress: notification => progress.push(notification)
+  }));
+  assert.deepEqual(Object.keys(parseResult(result)), ['a', 'b', 'c']);
+  assert.deepEqual(progress, [
+    { progress: 1, total: 3, message: 'Checked a' },
+    { progress: 2, total: 3, message: 'Checked b' },
+    { progress: 3, total: 3, message: 'Checked c' }
+  ]);
+});
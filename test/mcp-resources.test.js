@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const MCPNpmServer = require('../src/mcp-npm-server');
+const { RESOURCE_NOT_FOUND, RESOURCE_TEMPLATES } = require('../src/mcp/mcp-resources');
+const { createTree, removeTree, quietly, connectClient } = require('./helpers');
+
+/**
+ * The default workspace (npm, with a report) and a yarn workspace registered as "web"
+ */
+async function connectWorkspaces(t) {
+  const root = createTree({
+    'package.json': { name: 'root', private: true, workspaces: ['packages/*'] },
+    'packages/ui/package.json': { name: '@acme/ui', version: '1.2.0' },
+    'packages/app/package.json': { name: 'app', version: '1.0.0', dependencies: { '@acme/ui': '^1.2.0' } },
+    'package-lock.json': { name: 'root', lockfileVersion: 3, packages: {} },
+    'deps-reports/outdated.html': '<html></html>\n',
+    'deps-reports/notes.txt': 'Not a report\n'
+  });
+  const web = createTree({
+    'package.json': { name: 'web', private: true, workspaces: ['packages/*'] },
+    'packages/site/package.json': { name: 'site', version: '0.1.0' },
+    'yarn.lock': '# yarn lockfile v1\n'
+  });
+  t.after(() => [root, web].forEach(removeTree));
+
+  const npmServer = new MCPNpmServer({ monorepoRoot: root });
+  npmServer.addWorkspace({ name: 'web', root: web });
+  return { root, web, client: await connectClient(t, npmServer) };
+}
+
+test('resources/list lists the manifests, lockfile and reports of every workspace', async t => {
+  const { client } = await connectWorkspaces(t);
+
+  const { resources } = await quietly(() => client.listResources());
+  assert.deepEqual(resources.map(({ uri, mimeType }) => [uri, mimeType]).sort(), [
+    ['npm-deps://lockfile/package-lock.json', 'application/json'],
+    ['npm-deps://package/@acme/ui/package.json', 'application/json'],
+    ['npm-deps://package/app/package.json', 'application/json'],
+    ['npm-deps://report/outdated.html', 'text/html'],
+    ['npm-deps://workspace/web/lockfile/yarn.lock', 'text/plain'],
+    ['npm-deps://workspace/web/package/site/package.json', 'application/json']
+  ]);
+  assert.ok(resources.some(resource => resource.name === 'yarn.lock (web)'));
+
+  const { resourceTemplates } = await client.listResourceTemplates();
+  assert.deepEqual(resourceTemplates, RESOURCE_TEMPLATES);
+});
+
+test('resources/read returns the file behind a URI, scoped package names included', async t => {
+  const { root, web, client } = await connectWorkspaces(t);
+
+  const manifest = fs.readFileSync(path.join(root, 'packages', 'ui', 'package.json'), 'utf8');
+  for (const uri of ['npm-deps://package/@acme/ui/package.json', 'npm-deps://package/%40acme%2Fui/package.json']) {
+    const { contents } = await quietly(() => client.readResource({ uri }));
+    assert.deepEqual(contents, [{ uri, mimeType: 'application/json', text: manifest }]);
+  }
+
+  const lockfile = await client.readResource({ uri: 'npm-deps://workspace/web/lockfile/yarn.lock' });
+  assert.equal(lockfile.contents[0].text, fs.readFileSync(path.join(web, 'yarn.lock'), 'utf8'));
+  const report = await client.readResource({ uri: 'npm-deps://report/outdated.html' });
+  assert.deepEqual([report.contents[0].mimeType, report.contents[0].text], ['text/html', '<html></html>\n']);
+});
+
+test('resources/read fails with RESOURCE_NOT_FOUND for unknown URIs', async t => {
+  const { client } = await connectWorkspaces(t);
+
+  const unknown = [
+    'npm-deps://package/@acme/missing/package.json',
+    'npm-deps://package/@acme/ui/README.md',
+    // The default workspace is locked by npm
+    'npm-deps://lockfile/yarn.lock',
+    'npm-deps://report/notes.txt',
+    'npm-deps://report/../package.json',
+    'npm-deps://workspace/missing/lockfile/yarn.lock',
+    'npm-deps://settings/config.json',
+    'file:///etc/passwd'
+  ];
+  for (const uri of unknown) {
+    await assert.rejects(quietly(() => client.readResource({ uri })),
+      error => error.code === RESOURCE_NOT_FOUND && error.message.includes(`Resource not found: ${uri}`), uri);
+  }
+});
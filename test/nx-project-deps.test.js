@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const NxProjectDepsAnalyzer = require('../src/nx/nx-project-deps');
+const { createTree, removeTree, quietly } = require('./helpers');
+
+const ROOT_PACKAGE_JSON = {
+  name: 'acme',
+  private: true,
+  dependencies: { react: '^18.2.0', lodash: '^4.17.0', dayjs: '^1.11.0', clsx: '^2.0.0', tslib: '^2.6.0' },
+  devDependencies: { axios: '^1.6.0', '@testing-library/react': '^14.0.0' }
+};
+
+function createWorkspace(files = {}) {
+  return createTree({
+    'package.json': ROOT_PACKAGE_JSON,
+    'package-lock.json': {
+      name: 'acme',
+      lockfileVersion: 3,
+      requires: true,
+      packages: {
+        '': { name: 'acme', dependencies: ROOT_PACKAGE_JSON.dependencies, devDependencies: ROOT_PACKAGE_JSON.devDependencies },
+        'node_modules/react': { version: '18.2.0' },
+        'node_modules/lodash': { version: '4.17.21' },
+        'node_modules/tslib': { version: '2.6.2' },
+        'node_modules/axios': { version: '1.6.7', dev: true }
+      }
+    },
+    // The lockfile wins over node_modules, which is only used for what the lockfile lacks
+    'node_modules/lodash/package.json': { name: 'lodash', version: '4.17.20' },
+    'node_modules/dayjs/package.json': { name: 'dayjs', version: '1.11.10' },
+    'tsconfig.base.json': {
+      compilerOptions: {
+        paths: {
+          '@acme/data': ['libs/data/src/index.ts'],
+          '@acme/*': ['libs/*']
+        }
+      }
+    },
+    'libs/data/package.json': { name: '@acme/data', version: '0.3.0' },
+    'libs/data/src/index.ts': 'export const store = {};\n',
+    'libs/ui/package.json': { name: '@acme/ui', version: '2.1.0' },
+    'libs/ui/index.ts': 'export const theme = {};\n',
+    'libs/button/src/index.ts': [
+      "import React from 'react';",
+      "import { debounce } from 'lodash';",
+      "import dayjs from 'dayjs';",
+      "import clsx from 'clsx';",
+      "import axios from 'axios';",
+      "import { store } from '@acme/data';",
+      "import { theme } from '@acme/ui';",
+      ''
+    ].join('\n'),
+    'libs/button/src/button.test.tsx': "import { render } from '@testing-library/react';\n",
+    ...files
+  });
+}
+
+function generate(rootDir, config = { root: 'libs/button', projectType: 'library' }) {
+  const analyzer = new NxProjectDepsAnalyzer({ rootDir });
+  analyzer.getProjectConfig = () => config;
+  return quietly(() => analyzer.generatePackageJson('button'));
+}
+
+test('generatePackageJson pins npm packages to the locked versions and maps libraries to their package', async t => {
+  const dir = createWorkspace();
+  t.after(() => removeTree(dir));
+
+  const result = await generate(dir);
+
+  assert.deepEqual(result.packageJson, {
+    name: 'button',
+    version: '0.0.1',
+    dependencies: {
+      '@acme/data': '0.3.0',
+      '@acme/ui': '2.1.0',
+      axios: '1.6.7',
+      clsx: '^2.0.0',
+      dayjs: '1.11.10',
+      lodash: '4.17.21'
+    },
+    peerDependencies: { react: '^18.2.0' }
+  });
+  assert.deepEqual(result.internal, [
+    { import: '@acme/data', package: '@acme/data', version: '0.3.0', root: 'libs/data' },
+    { import: '@acme/ui', package: '@acme/ui', version: '2.1.0', root: 'libs/ui' }
+  ]);
+  assert.deepEqual(result.unpinned, [
+    { dependency: 'clsx', range: '^2.0.0', reason: 'Neither locked nor installed at the root, so the root range is used' }
+  ]);
+  // Only imported by tests, @testing-library/react is neither added nor reported
+  assert.deepEqual(result.unresolved, []);
+  assert.deepEqual(result.misplaced.map(({ dependency, files }) => ({ dependency, files })), [
+    { dependency: 'axios', files: ['src/index.ts'] }
+  ]);
+  assert.deepEqual([result.exists, result.changed, result.written], [false, true, false]);
+});
+
+test('generatePackageJson adds tslib when the project compiles with importHelpers', async t => {
+  const dir = createWorkspace({
+    'libs/button/tsconfig.json': { extends: './tsconfig.lib.json' },
+    'libs/button/tsconfig.lib.json': { compilerOptions: { importHelpers: true } }
+  });
+  t.after(() => removeTree(dir));
+
+  const result = await generate(dir, { root: 'libs/button', projectType: 'application' });
+
+  assert.equal(result.packageJson.dependencies.tslib, '2.6.2');
+  // Applications bundle their frameworks
+  assert.equal(result.packageJson.dependencies.react, '18.2.0');
+  assert.equal(result.packageJson.peerDependencies, undefined);
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const MonorepoWorkspace = require('../src/monorepo-workspace');
+const { createTree, removeTree, quietly } = require('./helpers');
+
+const APP_DEPENDENCIES = { react: '^17.0.2', 'react-dom': '^18.2.0', 'styled-kit': '^1.0.0' };
+
+// react-dom wants react 18, and styled-kit a theme nobody installs next to an optional devtools peer
+const PACKAGE_LOCK = {
+  name: 'root',
+  lockfileVersion: 3,
+  requires: true,
+  packages: {
+    '': { name: 'root', workspaces: ['packages/*'] },
+    'packages/app': { name: 'app', version: '1.0.0', dependencies: APP_DEPENDENCIES },
+    'node_modules/app': { resolved: 'packages/app', link: true },
+    'node_modules/react': { version: '17.0.2' },
+    'node_modules/react-dom': { version: '18.2.0', peerDependencies: { react: '^18.2.0' } },
+    'node_modules/styled-kit': {
+      version: '1.0.0',
+      peerDependencies: { 'styled-theme': '^1.0.0', 'styled-devtools': '*' },
+      peerDependenciesMeta: { 'styled-devtools': { optional: true } }
+    }
+  }
+};
+
+async function checkPeers(t, files) {
+  const root = createTree(files);
+  t.after(() => removeTree(root));
+  return quietly(() => new MonorepoWorkspace({ monorepoRoot: root }).checkPeerDependencies());
+}
+
+test('checkPeerDependencies reports missing and incompatible peers, but not missing optional ones', async t => {
+  const result = await checkPeers(t, {
+    'package.json': { name: 'root', private: true, workspaces: ['packages/*'] },
+    'packages/app/package.json': { name: 'app', version: '1.0.0', dependencies: APP_DEPENDENCIES },
+    'package-lock.json': PACKAGE_LOCK
+  });
+
+  assert.deepEqual([result.lockfile, result.checked, result.missing, result.incompatible], ['package-lock.json', 3, 1, 1]);
+  assert.deepEqual(result.issues.map(({ package: name, peer, range, optional, problem, consumer, found }) =>
+    ({ package: name, peer, range, optional, problem, consumer, found })), [
+    { package: 'react-dom', peer: 'react', range: '^18.2.0', optional: false, problem: 'incompatible', consumer: 'app', found: '17.0.2' },
+    { package: 'styled-kit', peer: 'styled-theme', range: '^1.0.0', optional: false, problem: 'missing', consumer: 'app', found: null }
+  ]);
+  assert.equal(result.issues[1].explanation, [
+    'While resolving: app',
+    'Missing peer dependency:',
+    'peer styled-theme@"^1.0.0" from styled-kit@1.0.0',
+    '  styled-kit@"^1.0.0" from app'
+  ].join('\n'));
+  assert.equal(result.note, null);
+});
+
+test('checkPeerDependencies reads the peers of yarn classic packages from node_modules', async t => {
+  const fixtures = path.join(__dirname, 'fixtures', 'lockfiles', 'yarn-classic');
+  const result = await checkPeers(t, {
+    'package.json': { name: 'acme', version: '1.0.0', private: true, workspaces: ['packages/*'] },
+    'packages/api/package.json': { name: '@acme/api', version: '1.0.0', dependencies: { debug: '^4.3.0', lodash: '4.17.15' } },
+    'packages/web/package.json': {
+      name: '@acme/web',
+      version: '1.0.0',
+      dependencies: { '@acme/api': '^1.0.0', lodash: '^4.17.0', react: '^18.2.0', swr: '^2.2.0' }
+    },
+    'yarn.lock': fs.readFileSync(path.join(fixtures, 'yarn.lock'), 'utf8'),
+    // Only swr is installed, and yarn.lock doesn't say which react it expects
+    'node_modules/swr/package.json': { name: 'swr', version: '2.2.0', peerDependencies: { react: '^19.0.0' } }
+  });
+
+  assert.deepEqual(result.issues.map(({ package: name, peer, problem, found }) => ({ package: name, peer, problem, found })), [
+    { package: 'swr', peer: 'react', problem: 'incompatible', found: '18.2.0' }
+  ]);
+  assert.match(result.note, /^yarn\.lock \(classic\) does not record peer dependencies.*; 5 locked packages are not installed/);
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { loadPolicy, evaluatePolicy } = require('../src/utils/policy-utils');
+const { createTree, removeTree } = require('./helpers');
+
+function manifest(name, file, fields) {
+  const packageJson = { name, version: '1.0.0', ...fields };
+  return { name, file, content: JSON.stringify(packageJson, null, 2), packageJson };
+}
+
+const MANIFESTS = [
+  manifest('web', 'apps/web/package.json', {
+    dependencies: { react: '^18.2.0', 'react-dom': '^18.2.0', moment: '^2.29.0' },
+    devDependencies: { typescript: '5.4.x' }
+  }),
+  manifest('admin', 'apps/admin/package.json', {
+    dependencies: { react: '^18.2.0', 'react-dom': '18.x' },
+    devDependencies: { typescript: '~5.4.0' }
+  }),
+  manifest('ui', 'libs/ui/package.json', {
+    devDependencies: { react: '^18.2.0', typescript: '^5.3.0' },
+    peerDependencies: { react: '>=17' }
+  })
+];
+
+function loadRules(rules) {
+  const root = createTree({ '.mcp-npm-policy.json': { rules } });
+  try {
+    return loadPolicy(path.join(root, '.mcp-npm-policy.json'));
+  } finally {
+    removeTree(root);
+  }
+}
+
+test('loadPolicy returns null without a policy file and rejects invalid rules', () => {
+  assert.equal(loadPolicy(path.join(__dirname, 'no-such-policy.json')), null);
+
+  assert.throws(() => loadRules([{ dependency: 'moment', banned: false }]), /rule 1 .*"banned" must be true/);
+  assert.throws(() => loadRules([{ dependency: 'lodash', pin: '4.17.21', allowed: '^4.0.0' }]), /exactly one of/);
+  assert.throws(() => loadRules([{ pin: '4.17.21' }]), /"dependency" is required/);
+  assert.throws(() => loadRules([{ dependency: 'lodash', allowed: 'latest' }]), /not a valid version range/);
+  assert.throws(() => loadRules([{ sameVersion: [] }]), /non-empty array/);
+  assert.throws(() => loadRules([{ dependency: 'lodash', banned: true, types: ['scripts'] }]), /"types" must list/);
+});
+
+test('pin rules accept equivalent ranges and report the others with their location', () => {
+  const violations = evaluatePolicy(loadRules([{ dependency: 'typescript', pin: '5.4.x', types: ['devDependencies'] }]), MANIFESTS);
+
+  assert.equal(violations.length, 1);
+  const [violation] = violations;
+  assert.deepEqual([violation.rule, violation.package, violation.range, violation.expected], ['pin', 'ui', '^5.3.0', '5.4.x']);
+  assert.deepEqual([violation.file, violation.line, violation.column], ['libs/ui/package.json', 6, 19]);
+});
+
+test('allowed and banned rules honour except and types', () => {
+  const policy = loadRules([
+    { dependency: 'react', allowed: '^18.0.0', types: ['peerDependencies'] },
+    { dependency: 'moment', banned: true, message: 'Use date-fns', except: ['apps/admin'] }
+  ]);
+
+  assert.deepEqual(evaluatePolicy(policy, MANIFESTS).map(violation => [violation.rule, violation.package, violation.message]), [
+    ['allowed', 'ui', 'react must stay within ^18.0.0'],
+    ['banned', 'web', 'Use date-fns']
+  ]);
+  assert.deepEqual(evaluatePolicy(loadRules([{ dependency: 'moment', banned: true, except: ['web'] }]), MANIFESTS), []);
+});
+
+test('sameVersion compares the declared ranges as semver ranges', () => {
+  const typescript = evaluatePolicy(loadRules([{ sameVersion: ['typescript'], except: ['ui'] }]), MANIFESTS);
+  assert.deepEqual(typescript, []);
+
+  const react = evaluatePolicy(loadRules([{ sameVersion: ['react', 'react-dom'] }]), MANIFESTS);
+  assert.deepEqual(react.map(violation => [violation.package, violation.dependency, violation.range, violation.expected]), [
+    ['admin', 'react-dom', '18.x', '^18.2.0']
+  ]);
+  assert.match(react[0].message, /found \^18\.2\.0, 18\.x/);
+});
@@ -0,0 +1,19 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { saveAndOpenReport, listReports } = require('../src/utils/report-utils');
+const { createTree, removeTree, quietly } = require('./helpers');
+
+test('listReports only lists the reports saved for that reports directory', async t => {
+  const root = createTree({ 'web/deps-reports/graph.html': '<html></html>\n', 'api/deps-reports/notes.txt': 'not a report\n' });
+  t.after(() => removeTree(root));
+
+  const webReports = path.join(root, 'web', 'deps-reports');
+  const apiReports = path.join(root, 'api', 'deps-reports');
+  const custom = path.join(root, 'out', 'audit.html');
+  await quietly(() => saveAndOpenReport('<html></html>', custom, false, 'audit.html', webReports));
+  await quietly(() => saveAndOpenReport('{}', '', false, 'deps.json', apiReports));
+
+  assert.deepEqual(listReports(webReports), [path.join(webReports, 'graph.html'), custom]);
+  assert.deepEqual(listReports(apiReports), [path.join(apiReports, 'deps.json')]);
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { toSemverRange, findCommonRange, classifyRanges } = require('../src/utils/semver-utils');
+
+test('findCommonRange keeps the most restrictive declared range when the others all contain it', () => {
+  assert.equal(findCommonRange(['^1.2.0', '^1.4.0']), '^1.4.0');
+  assert.equal(findCommonRange(['^1.2.0', '~1.2.5']), '~1.2.5');
+  assert.equal(findCommonRange(['^1.0.0', '1.2.3']), '1.2.3');
+  assert.equal(findCommonRange(['*', '^2.1.0']), '^2.1.0');
+  assert.equal(findCommonRange(['^1.2.0', '>=1.4.0 <1.6.0']), '>=1.4.0 <1.6.0');
+});
+
+test('findCommonRange derives a range from the lowest version every range accepts', () => {
+  // ^1.2.0 would allow 1.5.0
+  assert.equal(findCommonRange(['>=1.2.0', '<1.5.0']), '~1.2.0');
+  assert.equal(findCommonRange(['^1.2.0', '^2.0.0']), null);
+  assert.equal(findCommonRange(['1.2.3', '1.2.4']), null);
+});
+
+test('classifyRanges suggests a common range for overlapping caret, tilde, exact and wildcard ranges', () => {
+  assert.deepEqual(classifyRanges(['^1.2.0', '^1.4.0', '^1.2.0']), { severity: 'compatible-overlap', suggestedRange: '^1.4.0' });
+  assert.deepEqual(classifyRanges(['~1.2.3', '^1.2.0']), { severity: 'compatible-overlap', suggestedRange: '~1.2.3' });
+  assert.deepEqual(classifyRanges(['1.2.3', '^1.0.0', '*']), { severity: 'compatible-overlap', suggestedRange: '1.2.3' });
+});
+
+test('classifyRanges tells drift within a release line from conflicts across release lines', () => {
+  assert.deepEqual(classifyRanges(['~1.2.0', '~1.3.0']), { severity: 'minor-drift', suggestedRange: null });
+  assert.deepEqual(classifyRanges(['1.2.3', '1.2.4']), { severity: 'minor-drift', suggestedRange: null });
+  assert.deepEqual(classifyRanges(['^1.2.0', '^2.0.0']), { severity: 'major-conflict', suggestedRange: null });
+  // Below 1.0.0, minor versions are release lines
+  assert.deepEqual(classifyRanges(['^0.2.0', '^0.3.0']), { severity: 'major-conflict', suggestedRange: null });
+});
+
+test('classifyRanges compares npm: ranges by their semver range and leaves other protocols unknown', () => {
+  assert.equal(toSemverRange('npm:string-width@^4.2.0'), '^4.2.0');
+  assert.deepEqual(classifyRanges(['npm:^1.2.0', '^1.3.0']), { severity: 'compatible-overlap', suggestedRange: '^1.3.0' });
+  assert.deepEqual(classifyRanges(['npm:string-width@^4.2.0', '^4.1.0']), { severity: 'compatible-overlap', suggestedRange: '^4.2.0' });
+  assert.deepEqual(classifyRanges(['workspace:*', '^1.0.0']), { severity: 'unknown', suggestedRange: null });
+  assert.deepEqual(classifyRanges(['latest', '^1.0.0']), { severity: 'unknown', suggestedRange: null });
+});
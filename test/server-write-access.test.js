@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const MCPNpmServer = require('../src/mcp-npm-server');
+const { createTree, removeTree, quietly } = require('./helpers');
+
+function createMonorepo() {
+  return createTree({
+    'package.json': { name: 'root', private: true, workspaces: ['packages/*'] },
+    'packages/a/package.json': { name: 'a', version: '1.0.0', dependencies: { lodash: '^4.17.0' } },
+    'packages/b/package.json': { name: 'b', version: '1.0.0', dependencies: { lodash: '^4.17.21' } }
+  });
+}
+
+/**
+ * Serve the REST API of a server on a free port for the duration of a test
+ */
+async function listen(t, options) {
+  const server = new MCPNpmServer(options);
+  const httpServer = await new Promise(resolve => {
+    const listening = server.app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  t.after(() => new Promise(resolve => httpServer.close(resolve)));
+
+  const baseUrl = `http://127.0.0.1:${httpServer.address().port}/api`;
+  return async (endpoint, method = 'GET', body) => {
+    const response = await fetch(`${baseUrl}${endpoint}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body && JSON.stringify(body)
+    });
+    return { status: response.status, data: await response.json() };
+  };
+}
+
+test('write routes are disabled unless the server allows writes', async t => {
+  const root = createMonorepo();
+  const other = createMonorepo();
+  t.after(() => [root, other].forEach(removeTree));
+
+  const request = await listen(t, { monorepoRoot: root });
+
+  const register = await request('/workspaces', 'POST', { name: 'other', root: other });
+  assert.equal(register.status, 403);
+  assert.match(register.data.error, /--allow-write/);
+
+  const remove = await request('/workspaces/other', 'DELETE');
+  assert.equal(remove.status, 403);
+
+  const fix = await request('/inconsistencies/fix', 'POST', {});
+  assert.equal(fix.status, 403);
+
+  const generate = await request('/nx/project/a/package-json', 'POST', { write: true });
+  assert.equal(generate.status, 403);
+
+  const dryRun = await quietly(() => request('/inconsistencies/fix', 'POST', { dryRun: true }));
+  assert.equal(dryRun.status, 200);
+  assert.equal(dryRun.data.changes.length, 1);
+});
+
+test('with writes allowed, workspace roots must be directories containing a package.json', async t => {
+  const root = createMonorepo();
+  const notAPackage = createTree({ 'README.md': '# Not a package\n' });
+  t.after(() => [root, notAPackage].forEach(removeTree));
+
+  const request = await listen(t, { monorepoRoot: root, allowWrite: true });
+
+  const missing = await request('/workspaces', 'POST', { name: 'missing', root: `${root}-missing` });
+  assert.equal(missing.status, 400);
+  assert.match(missing.data.error, /not a directory/);
+
+  const withoutManifest = await request('/workspaces', 'POST', { name: 'docs', root: notAPackage });
+  assert.equal(withoutManifest.status, 400);
+  assert.match(withoutManifest.data.error, /no package\.json/);
+
+  const registered = await quietly(() => request('/workspaces', 'POST', { name: 'again', root }));
+  assert.equal(registered.status, 201);
+});
+
+test('writes are only accepted from localhost', t => {
+  const root = createMonorepo();
+  t.after(() => removeTree(root));
+
+  const server = new MCPNpmServer({ monorepoRoot: root, allowWrite: true });
+
+  const respond = remoteAddress => {
+    const result = {};
+    const res = {
+      status: code => ({ json: data => Object.assign(result, { code, data }) })
+    };
+    server.requireWriteAccess({ socket: { remoteAddress } }, res, () => Object.assign(result, { code: 'next' }));
+    return result;
+  };
+
+  assert.equal(respond('127.0.0.1').code, 'next');
+  assert.equal(respond('::1').code, 'next');
+  assert.equal(respond('10.0.0.7').code, 403);
+  assert.match(respond('10.0.0.7').data.error, /localhost/);
+});
+
+test('only registered workspaces need a package.json at their root', t => {
+  const packagesOnly = createTree({ 'libs/a/package.json': { name: 'a', version: '1.0.0' } });
+  const workspacesFile = createTree({ 'workspaces.json': { workspaces: [{ name: 'libs', root: packagesOnly }] } });
+  t.after(() => [packagesOnly, workspacesFile].forEach(removeTree));
+
+  const server = new MCPNpmServer({ monorepoRoot: packagesOnly, packagesDir: 'libs' });
+  assert.equal(server.getWorkspace().monorepoRoot, packagesOnly);
+
+  assert.throws(() => new MCPNpmServer({ monorepoRoot: packagesOnly, workspacesFile: `${workspacesFile}/workspaces.json` }),
+    /no package\.json/);
+});
@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { findConfigPackages, findScriptPackages, findToolUsage } = require('../src/usage/tool-usage');
+const { analyzeDependencyUsage } = require('../src/usage/dependency-usage');
+const { createTree, removeTree } = require('./helpers');
+
+function withoutEmpty(results) {
+  return results.map(({ source, packages }) => ({ source, packages: packages.filter(Boolean) }));
+}
+
+test('findConfigPackages reads the tools, plugins and presets config files name', t => {
+  const packageJson = { name: 'app', prettier: '@acme/prettier-config' };
+  const dir = createTree({
+    'package.json': packageJson,
+    '.eslintrc.json': `{
+      // Shorthands follow the ESLint naming conventions
+      "extends": ["airbnb", "plugin:@typescript-eslint/recommended", "eslint:recommended"],
+      "plugins": ["react"],
+      "parser": "@typescript-eslint/parser",
+      "overrides": [{ "files": ["*.test.js"], "extends": ["plugin:jest/recommended"] }],
+    }`,
+    'babel.config.js': [
+      "const presets = [['@babel/env', { targets: 'defaults' }], '@babel/preset-react'];",
+      "module.exports = { presets, plugins: ['styled-components'], env: { test: { plugins: ['@babel/transform-runtime'] } } };",
+      ''
+    ].join('\n'),
+    'jest.config.ts': [
+      "import type { Config } from 'jest';",
+      'export default {',
+      "  preset: 'ts-jest',",
+      "  testEnvironment: 'jsdom',",
+      "  setupFilesAfterEnv: ['@testing-library/jest-dom', './setup.ts'],",
+      "  reporters: ['default', 'jest-junit']",
+      '} satisfies Config;',
+      ''
+    ].join('\n'),
+    'tsconfig.json': {
+      extends: '@tsconfig/node18/tsconfig.json',
+      compilerOptions: { types: ['node', 'jest', 'vitest/globals'] }
+    }
+  });
+  t.after(() => removeTree(dir));
+
+  assert.deepEqual(withoutEmpty(findConfigPackages(dir, packageJson)), [
+    {
+      source: '.eslintrc.json',
+      packages: ['eslint', 'eslint-config-airbnb', '@typescript-eslint/eslint-plugin', 'eslint-plugin-react',
+        '@typescript-eslint/parser', 'eslint-plugin-jest']
+    },
+    {
+      source: 'babel.config.js',
+      packages: ['@babel/core', '@babel/preset-env', '@babel/preset-react', 'babel-plugin-styled-components',
+        '@babel/plugin-transform-runtime']
+    },
+    {
+      source: 'jest.config.ts',
+      packages: ['jest', 'ts-jest', 'jest-environment-jsdom', '@testing-library/jest-dom', 'jest-junit']
+    },
+    { source: 'package.json#prettier', packages: ['prettier', '@acme/prettier-config'] },
+    {
+      source: 'tsconfig.json',
+      packages: ['typescript', '@tsconfig/node18', '@types/node', 'jest', '@types/jest', 'vitest', '@types/vitest']
+    }
+  ]);
+});
+
+test('findScriptPackages maps the binaries and modules npm scripts run to their packages', t => {
+  const dir = createTree({
+    'package.json': {},
+    // Installed packages are matched by the binaries they declare
+    'node_modules/serve-kit/package.json': { name: 'serve-kit', version: '1.0.0', bin: { 'my-server': 'cli.js' } }
+  });
+  t.after(() => removeTree(dir));
+
+  const packageJson = {
+    scripts: {
+      build: 'tsc -p tsconfig.build.json && cross-env NODE_ENV=production webpack --mode production',
+      test: 'NODE_ENV=test npx jest --coverage',
+      lint: 'yarn eslint . | tee lint.log',
+      dev: 'node -r ts-node/register --import=tsx src/index.ts',
+      e2e: 'pnpm exec playwright test',
+      serve: 'my-server --port 8080',
+      clean: 'echo done'
+    }
+  };
+  const candidates = ['typescript', 'cross-env', 'webpack', 'jest', 'eslint', '@playwright/test', 'serve-kit', 'lodash'];
+
+  assert.deepEqual(findScriptPackages(dir, packageJson, candidates), [
+    { source: 'scripts.build', packages: ['typescript', 'cross-env', 'webpack'] },
+    { source: 'scripts.test', packages: ['jest'] },
+    { source: 'scripts.lint', packages: ['eslint'] },
+    { source: 'scripts.dev', packages: ['ts-node', 'tsx'] },
+    { source: 'scripts.e2e', packages: ['@playwright/test'] },
+    { source: 'scripts.serve', packages: ['serve-kit'] }
+  ]);
+});
+
+test('packages no config or script uses are not counted as used', t => {
+  const packageJson = {
+    name: 'app',
+    scripts: { start: 'node index.js', lint: 'eslint .' },
+    dependencies: { lodash: '^4.17.21' },
+    devDependencies: { eslint: '^8.0.0', 'eslint-plugin-react': '^7.0.0', 'eslint-plugin-vue': '^9.0.0' }
+  };
+  const dir = createTree({
+    'package.json': packageJson,
+    'index.js': "console.log('no imports');\n",
+    '.eslintrc.js': "module.exports = { plugins: ['react'] };\n",
+    // Not readable statically: the tool still counts as used, but nothing else
+    '.prettierrc.js': "module.exports = require('./shared/prettier');\n"
+  });
+  t.after(() => removeTree(dir));
+
+  const usage = findToolUsage(dir, packageJson);
+  assert.deepEqual(Object.fromEntries(usage), {
+    eslint: ['.eslintrc.js', 'scripts.lint'],
+    'eslint-plugin-react': ['.eslintrc.js'],
+    prettier: ['.prettierrc.js']
+  });
+
+  assert.deepEqual(analyzeDependencyUsage(dir, packageJson).unused, {
+    dependencies: ['lodash'],
+    devDependencies: ['eslint-plugin-vue']
+  });
+});
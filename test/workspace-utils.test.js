@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { readWorkspacePatterns, findWorkspaceDirectories, resolveWorkspaces } = require('../src/utils/workspace-utils');
+const { createTree, removeTree } = require('./helpers');
+
+const PACKAGES = {
+  'packages/api/package.json': { name: '@acme/api' },
+  'packages/web/package.json': { name: '@acme/web' },
+  'packages/legacy/package.json': { name: '@acme/legacy' },
+  'packages/web/test/fixtures/app/package.json': { name: 'fixture-app' },
+  'packages/web/node_modules/react/package.json': { name: 'react' },
+  'tools/cli/package.json': { name: '@acme/cli' },
+  // Not a package: no package.json
+  'packages/docs/README.md': '# Docs\n'
+};
+
+function relativeDirectories(dir, directories) {
+  return directories.map(directory => path.relative(dir, directory).split(path.sep).join('/'));
+}
+
+test('the workspaces field of package.json is read in its array and object forms', t => {
+  const arrayDir = createTree({ 'package.json': { workspaces: ['packages/*', './tools/cli/'] }, ...PACKAGES });
+  const objectDir = createTree({
+    'package.json': { workspaces: { packages: ['packages/*'], nohoist: ['**/react-native'] } },
+    ...PACKAGES
+  });
+  t.after(() => [arrayDir, objectDir].forEach(removeTree));
+
+  const workspaces = resolveWorkspaces(arrayDir);
+  assert.deepEqual([workspaces.source, workspaces.patterns], ['package.json', ['packages/*', './tools/cli/']]);
+  assert.deepEqual(relativeDirectories(arrayDir, workspaces.directories),
+    ['packages/api', 'packages/legacy', 'packages/web', 'tools/cli']);
+
+  assert.deepEqual(readWorkspacePatterns(objectDir), { source: 'package.json', patterns: ['packages/*'] });
+});
+
+test('pnpm-workspace.yaml wins over package.json, and lerna.json is only used without either', t => {
+  const pnpmDir = createTree({
+    'package.json': { workspaces: ['packages/*'] },
+    'pnpm-workspace.yaml': "packages:\n  - 'tools/*'\n",
+    ...PACKAGES
+  });
+  const lernaDir = createTree({ 'package.json': {}, 'lerna.json': { packages: ['tools/*'] }, ...PACKAGES });
+  const lernaDefaultDir = createTree({ 'package.json': {}, 'lerna.json': { version: 'independent' } });
+  const undeclaredDir = createTree({ 'package.json': {}, ...PACKAGES });
+  t.after(() => [pnpmDir, lernaDir, lernaDefaultDir, undeclaredDir].forEach(removeTree));
+
+  const pnpmWorkspaces = resolveWorkspaces(pnpmDir);
+  assert.deepEqual([pnpmWorkspaces.source, pnpmWorkspaces.patterns], ['pnpm-workspace.yaml', ['tools/*']]);
+  assert.deepEqual(relativeDirectories(pnpmDir, pnpmWorkspaces.directories), ['tools/cli']);
+
+  assert.deepEqual(readWorkspacePatterns(lernaDir), { source: 'lerna.json', patterns: ['tools/*'] });
+  assert.deepEqual(readWorkspacePatterns(lernaDefaultDir), { source: 'lerna.json', patterns: ['packages/*'] });
+
+  assert.equal(readWorkspacePatterns(undeclaredDir), null);
+  const defaults = resolveWorkspaces(undeclaredDir);
+  assert.deepEqual([defaults.source, defaults.patterns], ['default', ['packages/*']]);
+  assert.deepEqual(resolveWorkspaces(undeclaredDir, 'tools').patterns, ['tools/*']);
+});
+
+test('negated globs exclude the directories they match, and node_modules is never a workspace', t => {
+  const dir = createTree({ 'package.json': {}, ...PACKAGES });
+  t.after(() => removeTree(dir));
+
+  assert.deepEqual(relativeDirectories(dir, findWorkspaceDirectories(dir, ['packages/**', '!packages/legacy', '!**/test/**'])),
+    ['packages/api', 'packages/web']);
+  assert.deepEqual(findWorkspaceDirectories(dir, ['!packages/*', '', 42]), []);
+});